@@ -5,12 +5,14 @@
 // ─── State ──────────────────────────────────────────────────────
 let allClusters = [];
 let activeCategory = 'all';
+let activeCountry = null; // { id, name } of the selected country profile, or null for all
 let currentStoryIndex = null;
 
 // ─── DOM elements ───────────────────────────────────────────────
 const feedView = document.getElementById('feed-view');
 const storyView = document.getElementById('story-view');
 const categoryNav = document.getElementById('category-nav');
+const countryFilter = document.getElementById('country-filter');
 const storiesEl = document.getElementById('stories');
 const loadingEl = document.getElementById('loading');
 const errorEl = document.getElementById('error');
@@ -41,6 +43,7 @@ const intelActorDivider = document.getElementById('intel-actor-divider');
 // ─── Initialize ─────────────────────────────────────────────────
 loadNews();
 loadIntelligence();
+loadCountries();
 
 // ─── Event Listeners ────────────────────────────────────────────
 
@@ -68,6 +71,14 @@ document.querySelectorAll('.category-btn').forEach((btn) => {
   });
 });
 
+// Country filter
+countryFilter.addEventListener('change', () => {
+  const option = countryFilter.selectedOptions[0];
+  activeCountry = countryFilter.value ? { id: countryFilter.value, name: option.textContent } : null;
+  renderStories();
+  loadIntelligence();
+});
+
 // Follow-up question
 followupInput.addEventListener('keydown', (e) => {
   if (e.key === 'Enter' && followupInput.value.trim()) {
@@ -117,14 +128,39 @@ async function loadNews() {
   }
 }
 
+// ─── Country Filter ─────────────────────────────────────────────
+// Only shown when more than one country profile is monitored
+
+async function loadCountries() {
+  try {
+    const res = await fetch('/api/countries');
+    if (!res.ok) return;
+    const { countries } = await res.json();
+    if (!countries || countries.length < 2) return;
+
+    countryFilter.innerHTML = '<option value="">All countries</option>' +
+      countries.map((c) => `<option value="${esc(c.id)}">${esc(c.name)}</option>`).join('');
+    countryFilter.style.display = '';
+  } catch (err) {
+    console.debug('Country list not available:', err.message);
+  }
+}
+
 // ─── Intelligence Banner ────────────────────────────────────────
 
 async function loadIntelligence() {
   try {
-    const res = await fetch('/api/intelligence');
+    const qs = activeCountry ? `?country=${encodeURIComponent(activeCountry.id)}` : '';
+    const res = await fetch(`/api/intelligence${qs}`);
     if (!res.ok) return;
     const data = await res.json();
 
+    intelBanner.style.display = 'none';
+    intelRegion.style.display = 'none';
+    intelRegionDivider.style.display = 'none';
+    intelActor.style.display = 'none';
+    intelActorDivider.style.display = 'none';
+
     if (data.eventsThisWeek > 0) {
       intelEvents.textContent = data.eventsThisWeek;
       intelHigh.textContent = data.highSeverityCount;
@@ -152,7 +188,7 @@ async function loadIntelligence() {
 // ─── Feed Rendering ─────────────────────────────────────────────
 
 function renderStories() {
-  const filtered =
+  let filtered =
     activeCategory === 'all'
       ? allClusters
       : allClusters.filter(
@@ -161,6 +197,15 @@ function renderStories() {
             c.articles.some((a) => a.sourceCategory === activeCategory)
         );
 
+  // Countries are tagged at cluster time (keywords and place names), so
+  // stories show up before — or without — event extraction
+  if (activeCountry) {
+    const name = activeCountry.name.toLowerCase();
+    filtered = filtered.filter((c) =>
+      (c.countries || []).includes(activeCountry.id) || (c.event?.country || '').toLowerCase() === name
+    );
+  }
+
   if (filtered.length === 0) {
     storiesEl.innerHTML = '';
     emptyEl.style.display = 'block';
@@ -270,14 +315,14 @@ function createHeroCard(cluster, index) {
     <div class="story-card hero ${sevClass}" data-story-index="${index}">
       ${imageHtml}
       <div class="hero-body">
-        <h2 class="story-title">${esc(primary.title)}</h2>
+        <h2 class="story-title">${esc(displayTitle(primary))}</h2>
         ${cluster.summary ? `<p class="story-summary">${esc(cluster.summary)}</p>` : ''}
         ${intelTagsHtml}
         <div class="story-meta">
           <div class="story-sources-row">
             ${event && event.severity >= 3 ? `<span class="severity-label sev-${event.severity}"><span class="severity-dot sev-${event.severity}"></span>Severity ${event.severity}</span>` : ''}
             ${sourcesHtml}
-            <span class="source-count-badge">${cluster.sourceCount} source${cluster.sourceCount !== 1 ? 's' : ''}</span>
+            <span class="source-count-badge">${sourceCountText(cluster)}</span>
           </div>
           <div style="display:flex;align-items:center;gap:8px">
             ${event ? buildVerificationBadge(event.verificationStatus) : ''}
@@ -310,14 +355,14 @@ function createRegularCard(cluster, index) {
     <div class="story-card regular ${sevClass}" data-story-index="${index}">
       ${imageHtml}
       <div class="card-body">
-        <h3 class="story-title">${esc(primary.title)}</h3>
+        <h3 class="story-title">${esc(displayTitle(primary))}</h3>
         ${cluster.summary ? `<p class="story-summary">${esc(cluster.summary)}</p>` : ''}
         ${intelTagsHtml}
         <div class="story-meta">
           <div class="story-sources-row">
             ${event && event.severity >= 3 ? `<span class="severity-dot sev-${event.severity}"></span>` : ''}
             ${sourcesHtml}
-            <span class="source-count-badge">${cluster.sourceCount}s</span>
+            <span class="source-count-badge" title="${esc(sourceCountText(cluster))}">${cluster.sourceCount}s</span>
           </div>
           <div style="display:flex;align-items:center;gap:6px">
             ${event ? buildVerificationBadge(event.verificationStatus) : ''}
@@ -347,13 +392,13 @@ function createFeaturedCard(cluster, index) {
     <div class="story-card featured ${sevClass}" data-story-index="${index}">
       ${imageHtml}
       <div class="featured-body">
-        <h3 class="story-title">${esc(primary.title)}</h3>
+        <h3 class="story-title">${esc(displayTitle(primary))}</h3>
         ${cluster.summary ? `<p class="story-summary">${esc(cluster.summary)}</p>` : ''}
         ${intelTagsHtml}
         <div class="story-meta">
           <div class="story-sources-row">
             ${event && event.severity >= 3 ? `<span class="severity-dot sev-${event.severity}"></span>` : ''}
-            <span class="source-count-badge">${cluster.sourceCount} source${cluster.sourceCount !== 1 ? 's' : ''}</span>
+            <span class="source-count-badge">${sourceCountText(cluster)}</span>
           </div>
           <div style="display:flex;align-items:center;gap:6px">
             ${event ? buildVerificationBadge(event.verificationStatus) : ''}
@@ -381,12 +426,12 @@ function createCompactCard(cluster, index) {
     <div class="story-card compact ${sevClass}" data-story-index="${index}">
       ${imageHtml}
       <div class="compact-body">
-        <h3 class="story-title">${esc(primary.title)}</h3>
+        <h3 class="story-title">${esc(displayTitle(primary))}</h3>
         <div class="story-meta">
           <div class="story-sources-row">
             ${event && event.severity >= 3 ? `<span class="severity-dot sev-${event.severity}"></span>` : ''}
             ${event ? buildVerificationBadge(event.verificationStatus) : ''}
-            <span class="source-count-badge">${cluster.sourceCount}s</span>
+            <span class="source-count-badge" title="${esc(sourceCountText(cluster))}">${cluster.sourceCount}s</span>
           </div>
           <span class="story-time">${timeAgo}</span>
         </div>
@@ -456,7 +501,8 @@ function renderStoryDetail(data) {
 
   // Header
   let html = `<div class="story-detail-header">`;
-  html += `<h1 class="story-detail-title">${esc(primary.title)}</h1>`;
+  html += `<h1 class="story-detail-title">${esc(displayTitle(primary))}</h1>`;
+  html += buildTranslationNote(primary);
   html += `<div class="story-detail-meta">`;
   if (event && event.severity >= 3) {
     html += `<span class="severity-label sev-${event.severity}"><span class="severity-dot sev-${event.severity}"></span>Severity ${event.severity}/5</span>`;
@@ -464,23 +510,50 @@ function renderStoryDetail(data) {
   }
   html += `<span class="detail-time">Published ${timeAgo}</span>`;
   html += `<span class="detail-dot"></span>`;
-  html += `<span class="detail-source-count">${data.sourceCount} source${data.sourceCount !== 1 ? 's' : ''}</span>`;
+  html += `<span class="detail-source-count">${sourceCountText(data)}</span>`;
   if (event && event.verificationStatus) {
     html += `<span class="detail-dot"></span>`;
     html += buildVerificationBadge(event.verificationStatus);
   }
+  if (event && event.analystReviewed) {
+    html += `<span class="intel-tag reviewed" title="Classification checked by an analyst">Analyst-reviewed</span>`;
+  }
   html += `</div>`;
   // Intelligence tags (regions + actors)
   if (event) {
     html += buildIntelTags(event, false);
   }
+  // Figures with who reported them; disagreeing sources side by side
+  if (event && event.figures && event.figures.length > 0) {
+    html += `<ul class="story-figures">`;
+    event.figures.forEach((f) => {
+      html += `<li${f.conflict ? ' class="disputed"' : ''}><strong>${esc(f.label)}</strong> ${esc(figureClaimsText(f))}`;
+      if (f.conflict) html += ` <span class="figure-conflict">sources disagree</span>`;
+      html += `</li>`;
+    });
+    html += `</ul>`;
+  }
+  // Other events the story reports (roundups), most severe first
+  if (event && event.otherEvents && event.otherEvents.length > 0) {
+    html += `<ul class="story-other-events">`;
+    event.otherEvents.forEach((o) => {
+      const label = (o.eventSubtype || o.eventType).replace(/_/g, ' ');
+      const where = o.regions.length > 0 ? ` · ${o.regions.slice(0, 2).join(', ')}` : '';
+      html += `<li><span class="severity-dot sev-${o.severity}"></span>Also reported: ${esc(label)}${esc(where)}</li>`;
+    });
+    html += `</ul>`;
+  }
 
-  // Source favicons row
+  // Source favicons row (outlets that only carry wire copies are dimmed)
   html += `<div class="story-detail-sources">`;
+  const independent = new Set(data.articles.filter((a) => !a.syndicatedFrom).map((a) => a.source));
   const uniqueSources = getUniqueSources(data.articles);
   uniqueSources.forEach((a) => {
     const domain = getDomain(a.url);
-    html += `<a href="${esc(a.url)}" target="_blank" rel="noopener" class="source-favicon">`;
+    const original = !independent.has(a.source) && data.articles.find((o) => o.url === a.syndicatedFrom);
+    html += original
+      ? `<a href="${esc(a.url)}" target="_blank" rel="noopener" class="source-favicon syndicated" title="Syndicated copy of ${esc(original.source)}">`
+      : `<a href="${esc(a.url)}" target="_blank" rel="noopener" class="source-favicon">`;
     if (domain) html += `<img src="https://www.google.com/s2/favicons?domain=${esc(domain)}&sz=16" alt="" onerror="this.style.display='none'">`;
     html += `${esc(a.source)}</a>`;
   });
@@ -526,7 +599,63 @@ function renderStoryDetail(data) {
     html += `</div>`;
   }
 
+  // Storyline timeline: filled in once loaded, left empty for one-off events
+  if (event && event.storylineId) {
+    html += `<div class="storyline" data-storyline="${esc(event.storylineId)}"></div>`;
+  }
+
   storyContent.innerHTML = html;
+
+  if (event && event.storylineId) loadStoryline(event.storylineId, data.id);
+}
+
+// ─── Storyline Timeline ─────────────────────────────────────────
+
+async function loadStoryline(storylineId, currentStoryId) {
+  try {
+    const res = await fetch(`/api/storylines/${encodeURIComponent(storylineId)}`);
+    if (!res.ok) return;
+    const storyline = await res.json();
+    // The reader may have moved on to another story meanwhile
+    const el = storyContent.querySelector(`.storyline[data-storyline="${CSS.escape(storylineId)}"]`);
+    if (!el || storyline.eventCount < 2) return;
+    el.innerHTML = renderStorylineTimeline(storyline, currentStoryId);
+  } catch (err) {
+    console.error('Failed to load storyline:', err);
+  }
+}
+
+function renderStorylineTimeline(storyline, currentStoryId) {
+  const first = new Date(storyline.firstDate);
+  const last = new Date(storyline.lastDate);
+  const fmt = (d) => d.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+
+  let html = `<h2 class="story-section-heading">Timeline</h2>`;
+  html += `<div class="storyline-meta">${esc(storyline.label)} &middot; ${storyline.eventCount} events, ${fmt(first)} – ${fmt(last)}</div>`;
+  html += `<ol class="storyline-timeline">`;
+  storyline.timeline.forEach((day) => {
+    html += `<li class="storyline-day">`;
+    html += `<div class="storyline-date">${esc(fmt(new Date(day.date)))}</div>`;
+    day.events.forEach((e) => {
+      const current = e.storyId === currentStoryId;
+      html += `<div class="storyline-event${current ? ' current' : ''}">`;
+      html += `<span class="severity-dot sev-${e.severity}"></span>`;
+      html += `<div class="storyline-event-body">`;
+      html += `<p>${esc(e.summary || e.primaryTitle)}</p>`;
+      html += `<div class="storyline-event-meta">`;
+      if (e.eventSubtype) html += `<span>${esc(e.eventSubtype.replace(/_/g, ' '))}</span>`;
+      html += `<span>${sourceCountText(e)}</span>`;
+      if (current) {
+        html += `<span>this story</span>`;
+      } else if (e.primaryUrl) {
+        html += `<a href="${esc(e.primaryUrl)}" target="_blank" rel="noopener">${esc(getDomain(e.primaryUrl) || 'source')}</a>`;
+      }
+      html += `</div></div></div>`;
+    });
+    html += `</li>`;
+  });
+  html += `</ol>`;
+  return html;
 }
 
 function buildSkeleton(cluster) {
@@ -535,11 +664,11 @@ function buildSkeleton(cluster) {
 
   // Show real title + meta but skeleton for body
   let html = `<div class="story-detail-header">`;
-  html += `<h1 class="story-detail-title">${esc(primary.title)}</h1>`;
+  html += `<h1 class="story-detail-title">${esc(displayTitle(primary))}</h1>`;
   html += `<div class="story-detail-meta">`;
   html += `<span class="detail-time">Published ${timeAgo}</span>`;
   html += `<span class="detail-dot"></span>`;
-  html += `<span class="detail-source-count">${cluster.sourceCount} source${cluster.sourceCount !== 1 ? 's' : ''}</span>`;
+  html += `<span class="detail-source-count">${sourceCountText(cluster)}</span>`;
   html += `</div>`;
 
   // Source favicons
@@ -606,9 +735,9 @@ function renderDiscoverMore(currentIndex) {
         <div class="related-card" data-related-index="${index}">
           ${imgHtml}
           <div class="related-card-text">
-            <div class="related-card-title">${esc(primary.title)}</div>
+            <div class="related-card-title">${esc(displayTitle(primary))}</div>
             <div class="related-card-snippet">${esc(snippet.slice(0, 120))}${snippet.length > 120 ? '...' : ''}</div>
-            <div class="related-card-sources">${cluster.sourceCount} source${cluster.sourceCount !== 1 ? 's' : ''}</div>
+            <div class="related-card-sources">${sourceCountText(cluster)}</div>
           </div>
         </div>
       `;
@@ -692,6 +821,14 @@ function buildIntelTags(event, compact) {
   if (!event) return '';
   const tags = [];
 
+  // Figures (max 2, or 1 in compact mode), who reported them on hover
+  if (event.figures && event.figures.length > 0) {
+    event.figures.slice(0, compact ? 1 : 2).forEach((f) => {
+      const title = `${f.conflict ? 'Sources disagree: ' : ''}${figureClaimsText(f)}`;
+      tags.push(`<span class="intel-tag figure${f.conflict ? ' disputed' : ''}" title="${esc(title)}">${esc(f.label)}${f.conflict ? ' ?' : ''}</span>`);
+    });
+  }
+
   // Regions (max 2)
   if (event.regions && event.regions.length > 0) {
     event.regions.slice(0, compact ? 1 : 2).forEach((r) => {
@@ -710,6 +847,14 @@ function buildIntelTags(event, compact) {
   return `<div class="intel-tags">${tags.join('')}</div>`;
 }
 
+// Who said what: "reported by WFP" for a single claim, else
+// "50 killed (reported by OCHA) vs 12 killed (reported by SSPDF)"
+function figureClaimsText(figure) {
+  const attribution = (c) => `${c.source ? `reported by ${c.source}` : 'unattributed'}${c.date ? `, as of ${c.date}` : ''}`;
+  if (figure.claims.length === 1) return attribution(figure.claims[0]);
+  return figure.claims.map((c) => `${c.label} (${attribution(c)})`).join(figure.conflict ? ' vs ' : '; ');
+}
+
 function buildVerificationBadge(status) {
   if (!status) return '';
   return `<span class="intel-tag verification ${status}">${esc(status)}</span>`;
@@ -731,6 +876,14 @@ function buildSourceFavicons(articles, maxCount) {
     .join('');
 }
 
+// "4 sources", or "4 sources · 2 independent" when some only carry wire copies
+function sourceCountText(cluster) {
+  const text = `${cluster.sourceCount} source${cluster.sourceCount !== 1 ? 's' : ''}`;
+  const independent = cluster.independentSourceCount;
+  if (!independent || independent >= cluster.sourceCount) return text;
+  return `${text} · ${independent} independent`;
+}
+
 function getUniqueSources(articles) {
   const seen = new Set();
   return articles.filter((a) => {
@@ -740,6 +893,19 @@ function getUniqueSources(articles) {
   });
 }
 
+// French/Arabic articles show their English translation when there is one
+const LANGUAGE_NAMES = { fr: 'French', ar: 'Arabic' };
+
+function displayTitle(article) {
+  return article.translatedTitle || article.title;
+}
+
+function buildTranslationNote(article) {
+  if (!article.translatedTitle) return '';
+  const lang = LANGUAGE_NAMES[article.language] || article.language;
+  return `<div class="translation-note" title="${esc(article.title)}">Translated from ${esc(lang)} &middot; <span dir="auto">${esc(article.title)}</span></div>`;
+}
+
 function getDomain(url) {
   try {
     return new URL(url).hostname.replace(/^www\./, '');
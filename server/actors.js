@@ -0,0 +1,63 @@
+// Actor normalization — shared by extraction, digest and backtests.
+// Regional and international bodies live here; country-specific parties,
+// armed groups and governments come from the country profiles.
+
+const { getProfileActorAliases } = require('./countries');
+
+const SHARED_ACTOR_ALIASES = {
+  // United Nations — all forms → single canonical name
+  'un': 'United Nations',
+  'united nations': 'United Nations',
+  'the united nations': 'United Nations',
+  'the un': 'United Nations',
+
+  // Known orgs — normalize to canonical form
+  'igad': 'IGAD',
+  'intergovernmental authority on development': 'IGAD',
+  'unhcr': 'UNHCR',
+  'un refugee agency': 'UNHCR',
+  'wfp': 'WFP',
+  'world food programme': 'WFP',
+  'world food program': 'WFP',
+  'icrc': 'ICRC',
+  'international committee of the red cross': 'ICRC',
+  'red cross': 'ICRC',
+  'au': 'African Union',
+  'african union': 'African Union',
+  'ocha': 'UN OCHA',
+  'un ocha': 'UN OCHA',
+  'unicef': 'UNICEF',
+  'iom': 'IOM',
+  'international organization for migration': 'IOM',
+  'msf': 'MSF',
+  'doctors without borders': 'MSF',
+  'médecins sans frontières': 'MSF',
+  'eu': 'European Union',
+  'european union': 'European Union',
+  'the european union': 'European Union',
+  'icj': 'International Commission of Jurists',
+  'international commission of jurists': 'International Commission of Jurists',
+};
+
+const ACTOR_ALIASES = { ...getProfileActorAliases(), ...SHARED_ACTOR_ALIASES };
+
+function normalizeActor(actor) {
+  const key = actor.toLowerCase().trim();
+  return ACTOR_ALIASES[key] || actor.trim();
+}
+
+function normalizeActors(actors) {
+  if (!Array.isArray(actors)) return [];
+  const seen = new Set();
+  const result = [];
+  for (const actor of actors) {
+    const normalized = normalizeActor(actor);
+    if (normalized && !seen.has(normalized.toLowerCase())) {
+      seen.add(normalized.toLowerCase());
+      result.push(normalized);
+    }
+  }
+  return result;
+}
+
+module.exports = { ACTOR_ALIASES, normalizeActor, normalizeActors };
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+// ─── Ingest adapter check ────────────────────────────────────
+// Runs every source adapter against its fixture in server/fixtures/ and
+// checks the normalized articles: count, title, absolute URL, date, image.
+// No network, no database.
+//
+// Usage:
+//   node server/adapter-check.js              # All adapters
+//   node server/adapter-check.js html-list    # One adapter
+//   node server/adapter-check.js --verbose    # Print the normalized articles
+//
+// Exits non-zero if any adapter fails, so it can gate a deploy.
+
+const { fetchFromSource } = require('./fetcher');
+
+// Fixture source configs + what each should produce. A `dedicated` source
+// prior clears the relevance threshold, so the check covers parsing only.
+const CASES = [
+  {
+    type: 'rss',
+    config: { fixture: 'rss.xml' },
+    expect: { count: 2, firstTitle: 'South Sudan parliament extends transitional period', withImages: 1 },
+  },
+  {
+    type: 'atom',
+    config: { fixture: 'atom.xml' },
+    expect: { count: 2, firstTitle: 'UNMISS peacekeepers deployed to Upper Nile', withImages: 0 },
+  },
+  {
+    type: 'json-api',
+    url: 'https://reliefweb.example/reports',
+    config: {
+      fixture: 'json-api.json',
+      itemsPath: 'data',
+      fields: {
+        title: 'fields.title',
+        link: 'fields.url_alias',
+        guid: 'id',
+        date: 'fields.date.created',
+        description: 'fields.body',
+        image: 'fields.file.preview.url',
+      },
+    },
+    expect: { count: 2, firstTitle: 'South Sudan: Cholera outbreak response update', withImages: 1 },
+  },
+  {
+    type: 'sitemap',
+    config: { fixture: 'sitemap.xml' },
+    expect: { count: 2, firstTitle: 'Kiir reshuffles cabinet, names new finance minister', withImages: 1 },
+  },
+  {
+    type: 'html-list',
+    url: 'https://gov.example/press/',
+    config: {
+      fixture: 'html-list.html',
+      item: 'ul.press-list > li.release',
+      title: 'h3 a',
+      link: 'h3 a@href',
+      date: 'time@datetime',
+      description: 'p.summary',
+      image: 'img@src',
+    },
+    expect: { count: 2, firstTitle: 'Ceasefire monitoring mechanism meets in Juba', withImages: 1 },
+  },
+  {
+    type: 'reliefweb',
+    url: 'https://api.reliefweb.int/v2/reports',
+    config: { fixture: 'reliefweb.json' },
+    expect: { count: 3, firstTitle: 'South Sudan: Humanitarian Situation Report No. 14 (1 October 2026)', withImages: 1 },
+  },
+];
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const only = args.find((a) => !a.startsWith('--'));
+
+function checkArticles(articles, expect) {
+  const problems = [];
+  if (articles.length !== expect.count) problems.push(`expected ${expect.count} articles, got ${articles.length}`);
+  if (articles[0]?.title !== expect.firstTitle) problems.push(`first title: "${articles[0]?.title}"`);
+  const withImages = articles.filter((a) => a.image).length;
+  if (withImages !== expect.withImages) problems.push(`expected ${expect.withImages} with images, got ${withImages}`);
+
+  for (const a of articles) {
+    if (!a.title) problems.push(`missing title (${a.url})`);
+    if (!/^https?:\/\//.test(a.url)) problems.push(`non-absolute url: ${a.url}`);
+    if (isNaN(new Date(a.publishedAt))) problems.push(`bad date: ${a.publishedAt}`);
+    if (!a.id) problems.push(`missing id (${a.url})`);
+    if (/<[a-z]|\*\*|\]\(/i.test(a.description)) problems.push(`markup left in description (${a.url})`);
+  }
+  return problems;
+}
+
+async function main() {
+  const cases = only ? CASES.filter((c) => c.type === only) : CASES;
+  if (cases.length === 0) {
+    console.error(`No fixture case for type "${only}"`);
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const c of cases) {
+    const source = {
+      name: `fixture-${c.type}`,
+      url: c.url || 'https://example.org/',
+      type: c.type,
+      config: c.config,
+      category: 'local',
+      reliability: 'medium',
+      relevanceProfile: 'dedicated',
+    };
+    const result = await fetchFromSource(source);
+    const problems = result.status === 'failed'
+      ? [`fetch failed: ${result.error}`]
+      : checkArticles(result.articles, c.expect);
+
+    console.log(`${problems.length ? 'FAIL' : 'ok  '} ${c.type.padEnd(10)} ${result.articles.length} articles`);
+    for (const p of problems) console.log(`       - ${p}`);
+    if (verbose) {
+      for (const a of result.articles) console.log(`       ${a.publishedAt}  ${a.title}\n         ${a.url}${a.image ? `\n         image: ${a.image}` : ''}`);
+    }
+    if (problems.length) failed++;
+  }
+
+  console.log(`\n${cases.length - failed}/${cases.length} adapters passed`);
+  if (failed) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
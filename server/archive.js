@@ -0,0 +1,227 @@
+// Full-text article archive.
+//
+// A background step after each fetch cycle: every stored article URL gets
+// its page fetched once, run through readability extraction (readability.js)
+// and the result stored in `article_texts` — paragraphs, byline, publish
+// date. Extraction, deep summaries and follow-ups read the archive instead
+// of the 500-char RSS snippet.
+//
+// Guards:
+//   - robots.txt is honoured (per origin, cached for ROBOTS_TTL_MS)
+//   - FETCH_TIMEOUT_MS per page, MAX_HTML_BYTES per page (streamed, aborted past it)
+//   - only text/html responses are parsed
+//   - MAX_PER_RUN pages per cycle, BATCH_SIZE at a time; failures retry up to
+//     MAX_ATTEMPTS times, no sooner than an hour apart (see db.js)
+
+const { getArticlesNeedingText, saveArticleText, getArticleText: getStoredText } = require('./db');
+const { extractReadable } = require('./readability');
+
+// Identify honestly: robots.txt rules are matched against ROBOTS_AGENT
+const ARCHIVE_UA = 'Mozilla/5.0 (compatible; HornMonitor/1.0; article archive)';
+const ROBOTS_AGENT = 'hornmonitor';
+
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_HTML_BYTES = 2 * 1024 * 1024;
+const MAX_TEXT_CHARS = 100000;
+const ROBOTS_TTL_MS = 12 * 60 * 60 * 1000;
+const BATCH_SIZE = 4;
+const MAX_PER_RUN = 60;
+const MAX_ATTEMPTS = 3;
+
+// An expected outcome other than success; `archiveStatus` is what gets recorded
+function archiveError(status, message) {
+  const err = new Error(message);
+  err.archiveStatus = status;
+  return err;
+}
+
+async function fetchWithTimeout(url, accept) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, {
+      signal: controller.signal,
+      headers: { 'User-Agent': ARCHIVE_UA, Accept: accept, 'Accept-Language': 'en-US,en;q=0.9,fr;q=0.8,ar;q=0.7' },
+      redirect: 'follow',
+    });
+    return { res, controller, timeoutId };
+  } catch (err) {
+    clearTimeout(timeoutId);
+    throw err;
+  }
+}
+
+// ─── robots.txt ─────────────────────────────────────────────────
+
+const robotsCache = new Map(); // origin → { rules, fetchedAt }
+
+// Rules from the group for our agent, else the `*` group
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/#.*/, '').trim();
+    const m = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!m) continue;
+    const field = m[1].toLowerCase();
+    const value = m[2].trim();
+    if (field === 'user-agent') {
+      if (!lastWasAgent) groups.push((current = { agents: [], rules: [] }));
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+    } else {
+      lastWasAgent = false;
+      if (current && (field === 'allow' || field === 'disallow')) {
+        current.rules.push({ allow: field === 'allow', path: value });
+      }
+    }
+  }
+  const ours = groups.find((g) => g.agents.includes(ROBOTS_AGENT));
+  const any = groups.find((g) => g.agents.includes('*'));
+  return (ours || any || { rules: [] }).rules;
+}
+
+function ruleMatches(rulePath, path) {
+  const pattern = rulePath
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\\\$$/, '$');
+  return new RegExp(`^${pattern}`).test(path);
+}
+
+// Longest matching rule wins; Allow wins a tie. An empty Disallow allows all.
+function isPathAllowed(rules, path) {
+  let best = null;
+  for (const rule of rules) {
+    if (!rule.path || !ruleMatches(rule.path, path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+async function robotsRules(origin) {
+  const cached = robotsCache.get(origin);
+  if (cached && Date.now() - cached.fetchedAt < ROBOTS_TTL_MS) return cached.rules;
+
+  let rules = [];
+  try {
+    const { res, timeoutId } = await fetchWithTimeout(`${origin}/robots.txt`, 'text/plain');
+    clearTimeout(timeoutId);
+    // 4xx = no restrictions; 5xx = assume the whole site is off limits for now
+    if (res.ok) rules = parseRobots(await res.text());
+    else if (res.status >= 500) rules = [{ allow: false, path: '/' }];
+  } catch {
+    rules = []; // unreachable robots.txt: treated as no restrictions
+  }
+  robotsCache.set(origin, { rules, fetchedAt: Date.now() });
+  return rules;
+}
+
+async function isAllowedByRobots(url) {
+  const u = new URL(url);
+  return isPathAllowed(await robotsRules(u.origin), `${u.pathname}${u.search}`);
+}
+
+// ─── Page fetch ─────────────────────────────────────────────────
+
+// Reads the body up to MAX_HTML_BYTES, aborting the download past it
+async function fetchHtml(url) {
+  const { res, controller, timeoutId } = await fetchWithTimeout(
+    url, 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5'
+  );
+  try {
+    if (!res.ok) throw archiveError('failed', `HTTP ${res.status}`);
+    const type = res.headers.get('content-type') || '';
+    if (type && !/html/i.test(type)) {
+      controller.abort();
+      throw archiveError('not_html', `content-type ${type}`);
+    }
+    const declared = parseInt(res.headers.get('content-length'));
+    if (declared > MAX_HTML_BYTES) {
+      controller.abort();
+      throw archiveError('too_large', `${declared} bytes`);
+    }
+
+    const chunks = [];
+    let bytes = 0;
+    for await (const chunk of res.body) {
+      bytes += chunk.length;
+      if (bytes > MAX_HTML_BYTES) {
+        controller.abort();
+        throw archiveError('too_large', `over ${MAX_HTML_BYTES} bytes`);
+      }
+      chunks.push(chunk);
+    }
+    return { html: Buffer.concat(chunks).toString('utf8'), finalUrl: res.url, bytes };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// ─── Archiving ──────────────────────────────────────────────────
+
+// Fetch, extract and store one URL. Always records an outcome.
+async function archiveUrl(url) {
+  const record = { url };
+  try {
+    if (!(await isAllowedByRobots(url))) throw archiveError('blocked', 'disallowed by robots.txt');
+    const { html, finalUrl, bytes } = await fetchHtml(url);
+    const readable = extractReadable(html);
+    Object.assign(record, {
+      status: readable.paragraphs.length > 0 ? 'ok' : 'empty',
+      finalUrl,
+      htmlBytes: bytes,
+      title: readable.title,
+      byline: readable.byline,
+      publishedAt: readable.publishedAt,
+      paragraphs: readable.paragraphs,
+      text: readable.text.slice(0, MAX_TEXT_CHARS),
+      wordCount: readable.wordCount,
+    });
+  } catch (err) {
+    record.status = err.archiveStatus || 'failed';
+    record.error = err.name === 'AbortError' ? `timeout after ${FETCH_TIMEOUT_MS}ms` : err.message;
+  }
+  saveArticleText(record);
+  return record;
+}
+
+let running = false;
+
+// Background step: archive articles that don't have text yet
+async function archiveArticles({ limit = MAX_PER_RUN } = {}) {
+  if (running) return { skipped: true };
+  running = true;
+  try {
+    const pending = getArticlesNeedingText(limit, MAX_ATTEMPTS);
+    if (pending.length === 0) return { archived: 0, attempted: 0 };
+    console.log(`Archiving full text for ${pending.length} articles (background)...`);
+
+    const counts = {};
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+      const batch = pending.slice(i, i + BATCH_SIZE);
+      const results = await Promise.all(batch.map((a) => archiveUrl(a.url)));
+      for (const r of results) counts[r.status] = (counts[r.status] || 0) + 1;
+    }
+
+    const summary = Object.entries(counts).map(([status, n]) => `${n} ${status}`).join(', ');
+    console.log(`Archive: ${summary}`);
+    return { archived: counts.ok || 0, attempted: pending.length, counts };
+  } finally {
+    running = false;
+  }
+}
+
+// Archived text for a URL; archives it on the spot when there's no
+// record yet (deep summaries of stories the background step hasn't reached)
+async function getArticleText(url, { fetchIfMissing = true } = {}) {
+  if (!url || url.includes('news.google.com/')) return '';
+  let record = getStoredText(url);
+  if (!record && fetchIfMissing) record = await archiveUrl(url);
+  return record && record.status === 'ok' ? record.text : '';
+}
+
+module.exports = { archiveArticles, getArticleText };
@@ -1,6 +1,9 @@
 #!/usr/bin/env node
 // ─── Backtest Pipeline ───────────────────────────────────────
-// Tests the extraction pipeline against known historical events.
+// Tests the extraction pipeline against known historical events. The top
+// cluster of each event goes through the production extractor
+// (extractor.js) — same prompt, model, tool schema and validation — so
+// a score is a score for what runs live.
 //
 // Data sources (tried in order):
 //   1. Local JSON file: data/backtest-articles/{event-id}.json
@@ -20,11 +23,10 @@ require('dotenv').config({ quiet: true });
 const fs = require('fs');
 const path = require('path');
 const { clusterArticles } = require('./cluster');
+const { initDB, findSourceByDomain } = require('./db');
+const { initExtractor, extractCluster, MODEL_VERSION, PROMPT_VERSION } = require('./extractor');
 const goldLabels = require('./gold-labels.json');
 
-let Groq;
-try { Groq = require('groq-sdk'); } catch { Groq = null; }
-
 // ─── Config ──────────────────────────────────────────────────
 
 const GDELT_DOC_API = 'https://api.gdeltproject.org/api/v2/doc/doc';
@@ -156,12 +158,11 @@ async function fetchFromGdelt(goldEvent) {
   }
 }
 
+// Reliability comes from the source registry (matched on publisher domain);
+// unregistered domains default to medium
 function mapGdeltReliability(domain) {
-  if (!domain) return 'medium';
-  const d = domain.toLowerCase();
-  if (['reuters', 'bbc', 'aljazeera', 'theguardian', 'france24', 'apnews', 'voanews', 'un.org'].some((s) => d.includes(s))) return 'high';
-  if (['sudantribune', 'dabanga', 'radiotamazuj'].some((s) => d.includes(s))) return 'medium';
-  return 'medium';
+  const source = findSourceByDomain(domain);
+  return source ? source.reliability : 'medium';
 }
 
 // ─── Data source 3: Synthetic articles from gold labels ─────
@@ -238,80 +239,6 @@ function buildSyntheticVariations(goldEvent) {
   return variations;
 }
 
-// ─── Extraction ─────────────────────────────────────────────
-
-const MODEL_VERSION = 'llama-3.3-70b-versatile';
-const PROMPT_VERSION = 'v2-backtest';
-
-const EXTRACTION_PROMPT = `You are a structured data extractor for a Horn of Africa risk monitoring system.
-Given news articles about a story, extract structured event data as JSON.
-
-Return ONLY valid JSON (no markdown, no explanation) with these fields:
-
-{
-  "summary": "1-2 sentence factual summary",
-  "country": "Primary country (e.g. South Sudan, Sudan, Uganda)",
-  "regions": ["Array of specific regions/states mentioned"],
-  "eventType": "One of: security, political, economic, humanitarian, infrastructure, legal",
-  "eventSubtype": "Specific subtype",
-  "severity": 1-5,
-  "scope": "One of: local, state, national, cross_border",
-  "verificationStatus": "One of: confirmed, reported, unverified",
-  "confidence": 0.0-1.0,
-  "actors": ["Array of key actors"],
-  "rationale": "1-2 sentences explaining severity choice"
-}
-
-Severity scale:
-1 = Routine  2 = Notable  3 = Significant  4 = Major  5 = Critical
-
-Rules:
-- country should be the PRIMARY country affected
-- regions should use standard admin names:
-  South Sudan states: Upper Nile, Jonglei, Unity, Warrap, Northern Bahr el Ghazal, Western Bahr el Ghazal, Lakes, Western Equatoria, Central Equatoria, Eastern Equatoria
-  Sudan states: Khartoum, North Darfur, South Darfur, West Darfur, Central Darfur, East Darfur, South Kordofan, North Kordofan, West Kordofan, Blue Nile, White Nile, Gezira, Sennar, Kassala, Gedaref, Red Sea, River Nile, Northern
-- Return ONLY the JSON object, nothing else`;
-
-let groqClient = null;
-
-async function extractCluster(cluster) {
-  if (!groqClient) return null;
-
-  const articlesText = cluster.articles
-    .slice(0, 5)
-    .map((a) => `[${a.source}] ${a.title}\n${a.description || ''}`)
-    .join('\n\n');
-
-  for (let attempt = 0; attempt <= 2; attempt++) {
-    try {
-      const response = await groqClient.chat.completions.create({
-        model: MODEL_VERSION,
-        messages: [
-          { role: 'system', content: EXTRACTION_PROMPT },
-          { role: 'user', content: `Extract structured event data:\n\n${articlesText}` },
-        ],
-        max_tokens: 500,
-        temperature: 0.1,
-      });
-
-      const raw = response.choices[0]?.message?.content?.trim();
-      if (!raw) return null;
-
-      const jsonStr = raw.replace(/^```json?\n?/i, '').replace(/\n?```$/i, '').trim();
-      return JSON.parse(jsonStr);
-    } catch (err) {
-      if (err.status === 429 && attempt < 2) {
-        console.warn(`  Rate limited, waiting ${(attempt + 1) * 3}s...`);
-        await sleep((attempt + 1) * 3000);
-        continue;
-      }
-      console.warn(`  Extraction failed: ${err.message}`);
-      return null;
-    }
-  }
-  return null;
-}
-
 // ─── Scoring ────────────────────────────────────────────────
 
 function scoreExtraction(extracted, expected) {
@@ -415,20 +342,21 @@ async function runBacktest() {
   console.log(`Source: ${forceSynthetic ? 'SYNTHETIC ONLY' : 'local → GDELT → synthetic'}`);
   console.log(`Events: ${eventFilter || 'ALL'}\n`);
 
+  console.log(`Extractor: ${MODEL_VERSION} / prompt ${PROMPT_VERSION}\n`);
+
   // Init Groq
   if (!dryRun) {
-    if (!Groq) {
-      console.error('ERROR: groq-sdk not installed. Run: npm install groq-sdk');
-      process.exit(1);
-    }
     const apiKey = process.env.GROQ_API_KEY;
     if (!apiKey) {
       console.error('ERROR: GROQ_API_KEY required for extraction. Use --dry-run to skip.');
       process.exit(1);
     }
-    groqClient = new Groq({ apiKey });
+    initExtractor(apiKey);
   }
 
+  // Source registry (for GDELT domain → reliability, and source tiers)
+  initDB();
+
   // Filter events
   let events = goldLabels.events;
   if (eventFilter) {
@@ -485,14 +413,19 @@ async function runBacktest() {
     }
 
     console.log(`  Extracting: "${topCluster.primaryArticle.title.slice(0, 80)}..."`);
-    const extracted = await extractCluster(topCluster);
+    // Low-confidence answers (quarantined live) are scored all the same. A
+    // gold event is one incident: score the most severe event extracted
+    const { data, outcome, errors } = await extractCluster(topCluster);
+    const extracted = [...data].sort((a, b) => b.severity - a.severity)[0];
 
     if (!extracted) {
-      results.push({ event: goldEvent.id, status: 'extraction_failed', accuracy: 0, dataSource });
+      console.log(`  Extraction ${outcome}: ${errors.join('; ')}`);
+      results.push({ event: goldEvent.id, status: 'extraction_failed', accuracy: 0, dataSource, outcome, errors });
       await sleep(REQUEST_DELAY_MS);
       continue;
     }
 
+    if (data.length > 1) console.log(`  ${data.length} events extracted; scoring the most severe`);
     console.log(`  Extracted: ${extracted.country} | ${extracted.eventType} | sev ${extracted.severity} | ${extracted.scope}`);
     console.log(`  Actors: ${(extracted.actors || []).join(', ')}`);
     console.log(`  Regions: ${(extracted.regions || []).join(', ')}`);
@@ -581,6 +514,8 @@ async function runBacktest() {
   fs.writeFileSync(outputPath, JSON.stringify({
     runAt: new Date().toISOString(),
     mode: dryRun ? 'dry_run' : 'full',
+    modelVersion: MODEL_VERSION,
+    promptVersion: PROMPT_VERSION,
     eventsTotal: events.length,
     eventsScored: scored.length,
     overallAccuracy: scored.length > 0
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+// ─── Clustering benchmark ────────────────────────────────────
+// Times clusterArticles() on synthetic corpora and checks that:
+//   - the result doesn't depend on input order (shuffled input, same stories)
+//   - the candidate index finds what the exhaustive comparison finds
+//     (pairwise F1 between the two partitions; exhaustive is O(n²), so it
+//     only runs up to --exhaustive-max articles)
+// Synthetic stories share topic words, an actor and (in most articles) a
+// place, with Zipf-distributed filler words on top. No network, no database.
+//
+// Usage:
+//   node server/cluster-bench.js                     # 1k and 10k articles
+//   node server/cluster-bench.js --sizes 500,2000    # Other corpus sizes
+//   node server/cluster-bench.js --exhaustive-max 2000
+//
+// Exits non-zero if a run is order-dependent.
+
+const { clusterArticles } = require('./cluster');
+const { getCountryProfiles } = require('./countries');
+
+const args = process.argv.slice(2);
+const argValue = (name) => (args.indexOf(name) !== -1 ? args[args.indexOf(name) + 1] : null);
+const sizes = (argValue('--sizes') || '1000,10000').split(',').map(Number).filter((n) => n > 0);
+const exhaustiveMax = Number(argValue('--exhaustive-max') || 1000);
+
+const ARTICLES_PER_STORY = 6;
+const WINDOW_HOURS = 7 * 24;
+
+// Deterministic PRNG (mulberry32), so every run sees the same corpus
+function rng(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ─── Synthetic corpus ────────────────────────────────────────
+
+const SYLLABLES = ['ka', 'lo', 'mi', 'ne', 'ru', 'ta', 'shi', 'bo', 'de', 'gu', 'pa', 'zo', 'fe', 'ha', 'ji', 'wu'];
+
+function makeVocabulary(size, random) {
+  const words = new Set();
+  while (words.size < size) {
+    const len = 3 + Math.floor(random() * 2);
+    let w = '';
+    for (let i = 0; i < len; i++) w += SYLLABLES[Math.floor(random() * SYLLABLES.length)];
+    words.add(w);
+  }
+  return [...words];
+}
+
+function generateCorpus(n, seed) {
+  const random = rng(seed);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const zipf = (list) => list[Math.floor(list.length * random() ** 3)];
+
+  const common = makeVocabulary(3000, random);
+  const topical = makeVocabulary(20000, random);
+  const places = getCountryProfiles().flatMap((p) => [...p.regions, ...p.gazetteer]);
+  const actors = ['SPLM-IO', 'SSPDF', 'UNMISS', 'RSF', 'IGAD', 'WFP', 'UNHCR', 'African Union', 'Fano', 'NAS'];
+  const start = Date.parse('2026-10-01T00:00:00Z');
+
+  const storyCount = Math.max(1, Math.round(n / ARTICLES_PER_STORY));
+  const stories = Array.from({ length: storyCount }, () => ({
+    words: Array.from({ length: 8 }, () => pick(topical)),
+    place: pick(places),
+    actor: pick(actors),
+    center: start + random() * WINDOW_HOURS * 3600000,
+  }));
+
+  return Array.from({ length: n }, (_, i) => {
+    const storyIndex = Math.floor(random() * storyCount);
+    const story = stories[storyIndex];
+    const sample = (count) => Array.from({ length: count }, () => pick(story.words));
+    const filler = (count) => Array.from({ length: count }, () => zipf(common));
+    return {
+      story: storyIndex,
+      id: `bench-${i}`,
+      url: `https://bench.example/${i}`,
+      title: [...sample(4), ...(random() < 0.6 ? ['in', story.place] : []), ...filler(2)].join(' '),
+      description: [story.actor, ...sample(4), ...filler(10), 'South Sudan'].join(' '),
+      source: `Source ${i % 40}`,
+      sourceCategory: 'local',
+      sourceReliability: 'medium',
+      publishedAt: new Date(story.center + (random() - 0.5) * 48 * 3600000).toISOString(),
+    };
+  });
+}
+
+// ─── Comparison ──────────────────────────────────────────────
+
+function shuffled(list, seed) {
+  const random = rng(seed);
+  const copy = [...list];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+// Canonical form of a partition: sorted member URLs per cluster, sorted
+function signature(clusters) {
+  return clusters.map((c) => c.articles.map((a) => a.url).sort().join(',')).sort().join('|');
+}
+
+// Pairwise F1 between two labelings (url → label)
+function pairwiseF1(labelsA, labelsB) {
+  const pairCounts = (labels) => {
+    const groups = {};
+    for (const [url, label] of labels) (groups[label] ||= []).push(url);
+    return groups;
+  };
+  const pairs = (n) => (n * (n - 1)) / 2;
+  const groupsA = pairCounts(labelsA);
+  let inA = 0;
+  let inBoth = 0;
+  for (const urls of Object.values(groupsA)) {
+    inA += pairs(urls.length);
+    const counts = {};
+    for (const url of urls) counts[labelsB.get(url)] = (counts[labelsB.get(url)] || 0) + 1;
+    for (const n of Object.values(counts)) inBoth += pairs(n);
+  }
+  const inB = Object.values(pairCounts(labelsB)).reduce((sum, urls) => sum + pairs(urls.length), 0);
+  const precision = inA ? inBoth / inA : 1;
+  const recall = inB ? inBoth / inB : 1;
+  return precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+}
+
+function labelsOf(clusters) {
+  const labels = new Map();
+  clusters.forEach((c, i) => c.articles.forEach((a) => labels.set(a.url, i)));
+  return labels;
+}
+
+function timed(fn) {
+  const t0 = process.hrtime.bigint();
+  const result = fn();
+  return { result, ms: Number(process.hrtime.bigint() - t0) / 1e6 };
+}
+
+// ─── Main ────────────────────────────────────────────────────
+
+let orderDependent = 0;
+console.log('articles  time      clusters  vs-truth  order-independent  vs-exhaustive');
+
+for (const n of sizes) {
+  const corpus = generateCorpus(n, n);
+  const truth = new Map(corpus.map((a) => [a.url, a.story]));
+
+  const run = timed(() => clusterArticles(corpus));
+  const rerun = clusterArticles(shuffled(corpus, 7));
+  const sameOrder = signature(run.result) === signature(rerun);
+  if (!sameOrder) orderDependent++;
+
+  let exhaustive = 'skipped';
+  if (n <= exhaustiveMax) {
+    const full = timed(() => clusterArticles(corpus, { exhaustive: true }));
+    exhaustive = `F1 ${pairwiseF1(labelsOf(full.result), labelsOf(run.result)).toFixed(3)} (${Math.round(full.ms)}ms)`;
+  }
+
+  console.log([
+    String(n).padEnd(9),
+    `${Math.round(run.ms)}ms`.padEnd(9),
+    String(run.result.length).padEnd(9),
+    pairwiseF1(truth, labelsOf(run.result)).toFixed(3).padEnd(9),
+    (sameOrder ? 'yes' : 'NO').padEnd(18),
+    exhaustive,
+  ].join(' '));
+}
+
+if (orderDependent) {
+  console.log(`\nFAIL: ${orderDependent} run(s) changed with input order`);
+  process.exit(1);
+}
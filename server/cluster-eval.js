@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// ─── Clustering quality check ────────────────────────────────
+// Runs clusterArticles() over the hand-labeled articles in
+// server/fixtures/cluster-labels.json and scores the result pairwise:
+//   precision — of the article pairs put in one cluster, how many share a story
+//   recall    — of the article pairs that share a story, how many were put together
+// No network, no database.
+//
+// Usage:
+//   node server/cluster-eval.js                  # Default settings
+//   node server/cluster-eval.js --threshold 0.3  # Try another similarity threshold
+//   node server/cluster-eval.js --sweep          # Scores across a range of thresholds
+//   node server/cluster-eval.js --verbose        # Print merged and split stories
+//
+// Exits non-zero if F1 falls below MIN_F1, so it can gate a deploy.
+
+const { clusterArticles, getClusterConfig } = require('./cluster');
+const fixture = require('./fixtures/cluster-labels.json');
+
+const MIN_F1 = 0.85;
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const sweep = args.includes('--sweep');
+const thresholdArg = args.indexOf('--threshold') !== -1 ? parseFloat(args[args.indexOf('--threshold') + 1]) : null;
+
+const articles = fixture.articles.map((a, i) => ({
+  id: `fixture-${i}`,
+  url: `https://fixture.example/${i}`,
+  title: a.title,
+  description: a.description || '',
+  source: a.source,
+  sourceCategory: 'local',
+  sourceReliability: 'medium',
+  publishedAt: a.publishedAt,
+  language: a.language || 'en',
+  translatedTitle: a.translatedTitle || null,
+  translatedDescription: a.translatedDescription || null,
+}));
+const storyOf = new Map(articles.map((a, i) => [a.url, fixture.articles[i].story]));
+
+function pairs(n) {
+  return (n * (n - 1)) / 2;
+}
+
+function evaluate(clusters) {
+  // Pairs placed together, and how many of those share a label
+  let predicted = 0;
+  let correct = 0;
+  for (const c of clusters) {
+    predicted += pairs(c.articles.length);
+    const counts = {};
+    for (const a of c.articles) counts[storyOf.get(a.url)] = (counts[storyOf.get(a.url)] || 0) + 1;
+    for (const n of Object.values(counts)) correct += pairs(n);
+  }
+
+  const storySizes = {};
+  for (const story of storyOf.values()) storySizes[story] = (storySizes[story] || 0) + 1;
+  const actual = Object.values(storySizes).reduce((sum, n) => sum + pairs(n), 0);
+
+  const precision = predicted ? correct / predicted : 1;
+  const recall = actual ? correct / actual : 1;
+  const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+  return { precision, recall, f1, clusters: clusters.length, stories: Object.keys(storySizes).length };
+}
+
+function fmt(n) {
+  return n.toFixed(3);
+}
+
+function printProblems(clusters) {
+  // Clusters mixing stories
+  for (const c of clusters) {
+    const stories = [...new Set(c.articles.map((a) => storyOf.get(a.url)))];
+    if (stories.length > 1) {
+      console.log(`  merged: ${stories.join(' + ')}`);
+      for (const a of c.articles) console.log(`          [${storyOf.get(a.url)}] ${a.title}`);
+    }
+  }
+  // Stories spread over several clusters
+  const clustersOf = {};
+  clusters.forEach((c, i) => {
+    for (const a of c.articles) (clustersOf[storyOf.get(a.url)] ||= new Set()).add(i);
+  });
+  for (const [story, set] of Object.entries(clustersOf)) {
+    if (set.size > 1) console.log(`  split:  ${story} across ${set.size} clusters`);
+  }
+}
+
+function run(options) {
+  return evaluate(clusterArticles(articles, options));
+}
+
+if (sweep) {
+  console.log('threshold  precision  recall  f1     clusters');
+  for (let t = 0.06; t <= 0.305; t += 0.02) {
+    const r = run({ similarityThreshold: t });
+    console.log(`${t.toFixed(2).padEnd(10)} ${fmt(r.precision).padEnd(10)} ${fmt(r.recall).padEnd(7)} ${fmt(r.f1)}  ${r.clusters}`);
+  }
+  process.exit(0);
+}
+
+const options = thresholdArg != null ? { similarityThreshold: thresholdArg } : {};
+const clusters = clusterArticles(articles, options);
+const result = evaluate(clusters);
+const config = { ...getClusterConfig(), ...options };
+
+console.log(`${articles.length} articles, ${result.stories} labeled stories → ${result.clusters} clusters`);
+console.log(`threshold ${config.similarityThreshold}, time half-life ${config.halfLifeHours}h`);
+console.log(`precision ${fmt(result.precision)}  recall ${fmt(result.recall)}  F1 ${fmt(result.f1)}`);
+if (verbose) printProblems(clusters);
+
+if (result.f1 < MIN_F1) {
+  console.log(`\nFAIL: F1 below ${MIN_F1}`);
+  process.exit(1);
+}
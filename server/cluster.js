@@ -1,5 +1,72 @@
 // Algorithmic article clustering — no AI needed
-// Groups related articles about the same story using word overlap similarity
+// Groups related articles about the same story by text similarity.
+//
+// Similarity is cosine over TF-IDF vectors, so words every article shares
+// ("sudan", "south", "government") count for little and the distinctive
+// ones (a town, a minister, "cholera") carry the match. On top of words:
+//   - bigrams, so "finance minister" counts for more than "finance" + "minister"
+//   - named entities: places from the country profiles (regions and
+//     gazetteer) and actors from ACTOR_ALIASES, under their canonical name,
+//     so "SPLM/A-IO" and "SPLM-IO" style variants line up
+//   - time decay: similarity halves for every `halfLifeHours` between an
+//     article and a story's coverage, so last week's clashes in a town
+//     don't absorb today's
+// IDF is computed over the articles being clustered (the recent window).
+// cluster-eval.js scores the result against hand-labeled stories.
+//
+// Clustering is incremental: stories keep a stable ID across refreshes.
+// Articles already assigned to a story (see db.js story_articles) stay in
+// it; new articles are taken oldest first and each joins the most similar
+// story, or starts a new one. A story's ID never changes once issued, so
+// its extracted event is updated as coverage grows instead of duplicated.
+//
+// Scaling: an article is only compared with stories holding an article
+// that shares one of its strongest features (an inverted index over each
+// article's top INDEX_FEATURES TF-IDF features), not with every story.
+// Processing in (publishedAt, url) order makes the result independent of
+// input order.
+// cluster-bench.js times this at 1k/10k articles and checks it against
+// the exhaustive comparison.
+//
+// Each story's lead article and hero image are scored by selection.js.
+// Stories are tagged with the countries their articles are about
+// (relevance.js tagCountries), so the feed can be split by country before
+// any event has been extracted.
+
+const crypto = require('crypto');
+const { getCountryProfiles } = require('./countries');
+const { ACTOR_ALIASES } = require('./actors');
+const { analyzeSyndication } = require('./syndication');
+const { selectPrimaryAndImage } = require('./selection');
+const { tagCountries } = require('./relevance');
+
+// Defaults, tuned with cluster-eval.js. CLUSTER_THRESHOLD and
+// CLUSTER_HALF_LIFE_HOURS override them (read lazily: .env loads after require).
+const DEFAULT_CONFIG = {
+  similarityThreshold: 0.15,
+  halfLifeHours: 72,
+};
+
+// Candidate generation: each article is indexed and looked up under its
+// strongest features; a feature keeps only its most recent postings
+const INDEX_FEATURES = 12;
+const MAX_POSTINGS = 200;
+
+// Feature weights relative to a single word
+const FEATURE_WEIGHTS = {
+  word: 1,
+  bigram: 0.5,
+  entity: 1.5,
+};
+
+function getClusterConfig() {
+  const threshold = parseFloat(process.env.CLUSTER_THRESHOLD);
+  const halfLife = parseFloat(process.env.CLUSTER_HALF_LIFE_HOURS);
+  return {
+    similarityThreshold: threshold > 0 && threshold < 1 ? threshold : DEFAULT_CONFIG.similarityThreshold,
+    halfLifeHours: halfLife > 0 ? halfLife : DEFAULT_CONFIG.halfLifeHours,
+  };
+}
 
 // Stopwords to ignore when computing similarity
 const STOPWORDS = new Set([
@@ -18,100 +85,313 @@ const STOPWORDS = new Set([
   'says', 'said', 'new', 'also', 'about', 'up',
 ]);
 
+// é → e, so French words survive
+function fold(text) {
+  return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
 function tokenize(text) {
-  return text
-    .toLowerCase()
+  return fold(text)
     .replace(/[^a-z0-9\s]/g, '')
     .split(/\s+/)
     .filter((w) => w.length > 2 && !STOPWORDS.has(w));
 }
 
-function getWordFrequency(tokens) {
-  const freq = {};
-  for (const token of tokens) {
-    freq[token] = (freq[token] || 0) + 1;
-  }
-  return freq;
+// ─── Entities ───────────────────────────────────────────────────
+// Whole-word matches on the folded text. Acronyms of up to three letters
+// ("UN", "AU", "RSF") only match in capitals, so French "un" or the word
+// "au" don't read as organisations.
+
+let entityMatchers = null;
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
-function cosineSimilarity(freqA, freqB) {
-  const allWords = new Set([...Object.keys(freqA), ...Object.keys(freqB)]);
-  let dotProduct = 0;
-  let magA = 0;
-  let magB = 0;
+function compileAlternation(terms, flags) {
+  if (terms.length === 0) return null;
+  const sorted = [...new Set(terms)].sort((a, b) => b.length - a.length);
+  return new RegExp(`(?<![\\p{L}\\p{N}])(${sorted.map(escapeRegex).join('|')})(?![\\p{L}\\p{N}])`, flags);
+}
 
-  for (const word of allWords) {
-    const a = freqA[word] || 0;
-    const b = freqB[word] || 0;
-    dotProduct += a * b;
-    magA += a * a;
-    magB += b * b;
+function getEntityMatchers() {
+  if (entityMatchers) return entityMatchers;
+
+  const canonical = new Map(); // folded surface form → entity feature
+  for (const profile of getCountryProfiles()) {
+    for (const place of [...profile.regions, ...profile.gazetteer]) canonical.set(fold(place), `place:${fold(place)}`);
+  }
+  for (const [alias, name] of Object.entries(ACTOR_ALIASES)) {
+    canonical.set(fold(alias), `actor:${fold(name)}`);
   }
 
-  if (magA === 0 || magB === 0) return 0;
-  return dotProduct / (Math.sqrt(magA) * Math.sqrt(magB));
+  const acronyms = [...canonical.keys()].filter((k) => k.length <= 3);
+  const words = [...canonical.keys()].filter((k) => k.length > 3);
+  entityMatchers = {
+    canonical,
+    acronyms: compileAlternation(acronyms.map((a) => a.toUpperCase()), 'gu'),
+    words: compileAlternation(words, 'gu'),
+  };
+  return entityMatchers;
 }
 
-function clusterArticles(articles, similarityThreshold = 0.35) {
-  if (articles.length === 0) return [];
+function extractEntities(text) {
+  const { canonical, acronyms, words } = getEntityMatchers();
+  const found = [];
+  if (words) for (const m of fold(text).matchAll(words)) found.push(canonical.get(m[1]));
+  if (acronyms) for (const m of text.matchAll(acronyms)) found.push(canonical.get(m[1].toLowerCase()));
+  return found;
+}
+
+// ─── Vectors ────────────────────────────────────────────────────
+
+// Raw features of one article: feature → { kind, count }
+function articleFeatures(article) {
+  // French/Arabic articles use their English translation when there is one,
+  // so they can join English coverage of the same story
+  const text = article.translatedTitle
+    ? `${article.translatedTitle} ${article.translatedDescription || ''}`
+    : `${article.title} ${article.description || ''}`;
+
+  const features = new Map();
+  const add = (key, kind) => {
+    const f = features.get(key);
+    if (f) f.count++;
+    else features.set(key, { kind, count: 1 });
+  };
 
-  // Precompute token frequencies for all articles
-  const articleData = articles.map((article) => {
-    const text = `${article.title} ${article.description}`;
-    const tokens = tokenize(text);
-    return { article, freq: getWordFrequency(tokens) };
+  const tokens = tokenize(text);
+  tokens.forEach((token, i) => {
+    add(token, 'word');
+    if (i > 0) add(`${tokens[i - 1]} ${token}`, 'bigram');
   });
+  for (const entity of extractEntities(text)) add(entity, 'entity');
+  return features;
+}
 
-  const clusters = [];
-  const assigned = new Set();
+// Unit-length TF-IDF vectors (Map feature → weight) for a set of articles.
+// Sublinear TF; smoothed IDF over the set itself.
+function buildVectors(featureSets) {
+  const df = new Map();
+  for (const features of featureSets) {
+    for (const key of features.keys()) df.set(key, (df.get(key) || 0) + 1);
+  }
+  const n = featureSets.length;
 
-  for (let i = 0; i < articleData.length; i++) {
-    if (assigned.has(i)) continue;
+  return featureSets.map((features) => {
+    const vector = new Map();
+    let norm = 0;
+    for (const [key, { kind, count }] of features) {
+      const idf = Math.log((n + 1) / (df.get(key) + 1)) + 1;
+      const weight = (1 + Math.log(count)) * idf * FEATURE_WEIGHTS[kind];
+      vector.set(key, weight);
+      norm += weight * weight;
+    }
+    norm = Math.sqrt(norm);
+    if (norm > 0) for (const [key, w] of vector) vector.set(key, w / norm);
+    return vector;
+  });
+}
 
-    const cluster = {
-      articles: [articleData[i].article],
-      primaryArticle: articleData[i].article,
-    };
-    assigned.add(i);
+function cosineSimilarity(vecA, vecB) {
+  const [small, large] = vecA.size <= vecB.size ? [vecA, vecB] : [vecB, vecA];
+  let dot = 0;
+  for (const [key, w] of small) {
+    const other = large.get(key);
+    if (other) dot += w * other;
+  }
+  return dot;
+}
 
-    for (let j = i + 1; j < articleData.length; j++) {
-      if (assigned.has(j)) continue;
+// Story ID: derived from the article that started the story, so a story
+// rebuilt from the same history gets the same ID
+function newStoryId(article) {
+  return crypto.createHash('md5').update(article.url || article.id || article.title).digest('hex').slice(0, 12);
+}
+
+// ─── Candidate index ────────────────────────────────────────────
+
+// Strongest features of a vector, for indexing and lookup
+function topFeatures(vector) {
+  return [...vector.entries()]
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, INDEX_FEATURES)
+    .map(([key]) => key);
+}
 
-      const similarity = cosineSimilarity(articleData[i].freq, articleData[j].freq);
-      if (similarity >= similarityThreshold) {
-        cluster.articles.push(articleData[j].article);
-        assigned.add(j);
+// Inverted index: feature → earlier articles having it among their top features
+function createCandidateIndex() {
+  const postings = new Map();
+  return {
+    add(entry) {
+      for (const key of entry.indexKeys) {
+        let list = postings.get(key);
+        if (!list) postings.set(key, (list = []));
+        list.push(entry);
+        if (list.length > MAX_POSTINGS) list.shift(); // very common feature: keep the newest
       }
-    }
+    },
+    candidates(entry) {
+      const found = new Set();
+      for (const key of entry.indexKeys) {
+        for (const other of postings.get(key) || []) found.add(other);
+      }
+      return found;
+    },
+  };
+}
+
+// ─── Stories ────────────────────────────────────────────────────
+// A story is compared as a whole: its centroid (sum of member vectors)
+// against the article, discounted by the time to the story's nearest
+// member. Comparing with the centroid rather than the closest single
+// article keeps a story from drifting — one follow-up that shares a town
+// and an actor with a story no longer chains a new event onto it.
+
+function createStory() {
+  return { members: [], added: [], centroid: new Map(), normSq: 0, first: Infinity, last: -Infinity };
+}
+
+function addToStory(story, entry) {
+  story.members.push(entry);
+  for (const [key, w] of entry.vector) {
+    const prev = story.centroid.get(key) || 0;
+    story.centroid.set(key, prev + w);
+    story.normSq += 2 * prev * w + w * w;
+  }
+  story.first = Math.min(story.first, entry.time);
+  story.last = Math.max(story.last, entry.time);
+}
+
+function storySimilarity(entry, story, halfLifeHours) {
+  if (story.normSq <= 0) return 0;
+  const text = cosineSimilarity(entry.vector, story.centroid) / Math.sqrt(story.normSq);
+  if (text === 0 || !halfLifeHours) return text;
+  const gap = entry.time < story.first ? story.first - entry.time : Math.max(0, entry.time - story.last);
+  return text * Math.pow(0.5, gap / 3600000 / halfLifeHours);
+}
+
+// Entries compared in a fixed order whatever order the input came in
+function compareEntries(a, b) {
+  return a.time - b.time || (a.article.url < b.article.url ? -1 : a.article.url > b.article.url ? 1 : 0);
+}
+
+function buildCluster(id, members) {
+  // Wire copies carried by several feeds are marked with the article they
+  // copy (syndication.js), so they don't count as independent reports
+  const { syndicatedFrom, independentSourceCount } = analyzeSyndication(members.map((m) => m.article));
+  const cluster = {
+    id,
+    articles: members.map(({ article }) => (
+      syndicatedFrom.has(article.url) ? { ...article, syndicatedFrom: syndicatedFrom.get(article.url) } : article
+    )),
+  };
+
+  // Derive cluster metadata
+  cluster.sourceCount = new Set(cluster.articles.map((a) => a.source)).size;
+  cluster.independentSourceCount = independentSourceCount;
+  cluster.sources = [...new Set(cluster.articles.map((a) => a.source))];
+  cluster.latestDate = cluster.articles
+    .map((a) => new Date(a.publishedAt))
+    .sort((a, b) => b - a)[0]
+    .toISOString();
+  cluster.languages = [...new Set(cluster.articles.map((a) => a.language || 'en'))];
+  cluster.countries = clusterCountries(cluster.articles);
 
-    // Pick the best primary article: prefer high-reliability sources
-    const reliabilityOrder = { high: 3, medium: 2, aggregator: 1 };
-    cluster.articles.sort((a, b) => {
-      const relDiff = (reliabilityOrder[b.sourceReliability] || 0) - (reliabilityOrder[a.sourceReliability] || 0);
-      if (relDiff !== 0) return relDiff;
-      return new Date(b.publishedAt) - new Date(a.publishedAt);
+  return cluster;
+}
+
+// Country profile ids, most articles first (ties: the order they first appear)
+function clusterCountries(articles) {
+  const counts = new Map();
+  for (const a of articles) {
+    const tags = tagCountries({
+      title: a.title,
+      body: a.description,
+      language: a.language,
+      country: a.relevance?.country,
     });
-    cluster.primaryArticle = cluster.articles[0];
+    for (const id of tags) counts.set(id, (counts.get(id) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+}
+
+// `assignments` maps article URL → story ID from previous runs. Returns
+// clusters with `id` (the story ID) and `newArticleUrls` (articles that
+// joined in this run, for persisting the assignments). `similarityThreshold`
+// and `halfLifeHours` default to getClusterConfig(); `exhaustive` compares
+// every pair instead of using the candidate index (for cluster-bench.js).
+// `selection` overrides the primary/image selection policy (selection.js).
+function clusterArticles(articles, { assignments = {}, exhaustive = false, selection, ...overrides } = {}) {
+  if (articles.length === 0) return [];
+  const { similarityThreshold, halfLifeHours } = { ...getClusterConfig(), ...overrides };
+
+  const vectors = buildVectors(articles.map(articleFeatures));
+  const articleData = articles.map((article, i) => {
+    const time = new Date(article.publishedAt).getTime();
+    return { article, vector: vectors[i], indexKeys: topFeatures(vectors[i]), time: isNaN(time) ? 0 : time };
+  }).sort(compareEntries);
 
-    // Derive cluster metadata
-    cluster.sourceCount = new Set(cluster.articles.map((a) => a.source)).size;
-    cluster.sources = [...new Set(cluster.articles.map((a) => a.source))];
-    cluster.latestDate = cluster.articles
-      .map((a) => new Date(a.publishedAt))
-      .sort((a, b) => b - a)[0]
-      .toISOString();
-    cluster.category = cluster.primaryArticle.sourceCategory;
+  const index = createCandidateIndex();
+  const placed = []; // for exhaustive mode
+  const stories = new Map(); // story ID → { members, added }
+  const storyOf = new Map(); // entry → story ID
+
+  const place = (entry, id, isNew) => {
+    if (!stories.has(id)) stories.set(id, createStory());
+    const story = stories.get(id);
+    addToStory(story, entry);
+    if (isNew) story.added.push(entry);
+    storyOf.set(entry, id);
+    index.add(entry);
+    placed.push(entry);
+  };
+
+  // 1. Existing stories keep their articles
+  const unassigned = [];
+  for (const entry of articleData) {
+    const id = assignments[entry.article.url];
+    if (id) place(entry, id, false);
+    else unassigned.push(entry);
+  }
+
+  // 2. New articles, oldest first, join the most similar candidate story —
+  // or start one
+  for (const entry of unassigned) {
+    let best = null; // { id, sim }
+    const candidateStories = new Set();
+    for (const other of exhaustive ? placed : index.candidates(entry)) candidateStories.add(storyOf.get(other));
+    for (const id of candidateStories) {
+      const sim = storySimilarity(entry, stories.get(id), halfLifeHours);
+      if (sim < similarityThreshold) continue;
+      // Ties go to the lower story ID, so the result doesn't depend on candidate order
+      if (!best || sim > best.sim || (sim === best.sim && id < best.id)) best = { id, sim };
+    }
+    if (best) {
+      place(entry, best.id, true);
+      continue;
+    }
+    let id = newStoryId(entry.article);
+    while (stories.has(id)) id = newStoryId({ url: `${id}:${entry.article.url}` }); // hash collision
+    place(entry, id, true);
+  }
 
-    // Pick the best available image from any article in the cluster
-    cluster.image = cluster.articles.find((a) => a.image)?.image || null;
+  const clusters = [...stories.entries()].map(([id, story]) => ({
+    ...buildCluster(id, story.members),
+    newArticleUrls: story.added.map((m) => m.article.url),
+  }));
 
-    clusters.push(cluster);
+  // Lead article and hero image, chosen across all stories at once (source diversity)
+  selectPrimaryAndImage(clusters, selection);
+  for (const c of clusters) {
+    c.category = c.primaryArticle.sourceCategory;
+    c.language = c.primaryArticle.language || 'en';
   }
 
   // Sort clusters by latest article date
-  clusters.sort((a, b) => new Date(b.latestDate) - new Date(a.latestDate));
+  clusters.sort((a, b) => new Date(b.latestDate) - new Date(a.latestDate) || (a.id < b.id ? -1 : 1));
 
   return clusters;
 }
 
-module.exports = { clusterArticles };
+module.exports = { clusterArticles, getClusterConfig };
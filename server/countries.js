@@ -0,0 +1,116 @@
+// Country profiles — one JSON file per country in server/countries/
+//
+// A profile carries everything that used to be hard-wired for South Sudan
+// and Sudan: relevance keywords, admin regions for the extraction prompt,
+// city → state containment for digest dedup, actor aliases and the feeds
+// seeded into the source registry.
+//
+// COUNTRIES (comma-separated profile ids) picks which countries are
+// monitored; defaults to south-sudan,sudan. Profiles that aren't enabled
+// still contribute containment and actor aliases, so events stored while
+// a country was enabled keep normalizing the same way.
+//
+// Profile fields:
+//   id, name            — slug (matches the filename) and display name
+//   iso3                — ISO 3166 alpha-3 code (ReliefWeb country filter)
+//   strongKeywords      — any one in a title makes the article relevant
+//   supportingKeywords  — body keywords; bodyMinMatches of them confirm relevance
+//   titleTerm           — optional { term, exclude, bodyMinMatches }: a bare
+//                         country name in the title, confirmed by body keywords
+//   gazetteer           — place names (states, counties, towns) that count as
+//                         relevance evidence on their own (see relevance.js)
+//   languages           — { fr: {...}, ar: {...} }: strongKeywords,
+//                         supportingKeywords, gazetteer and titleTerm for
+//                         items in that language, used alongside the English
+//                         lists (place and person names often stay the same)
+//   regionLabel, regions — admin names listed in the extraction prompt
+//   containment         — { place: [parent, grandparent] }, lowercase
+//   actorAliases        — { lowercase alias: canonical name }
+//   defaultFeeds        — source registry seeds (same shape as sources.js)
+
+const fs = require('fs');
+const path = require('path');
+
+const PROFILE_DIR = path.join(__dirname, 'countries');
+const DEFAULT_COUNTRIES = ['south-sudan', 'sudan'];
+
+function loadProfiles() {
+  const profiles = [];
+  for (const file of fs.readdirSync(PROFILE_DIR).filter((f) => f.endsWith('.json')).sort()) {
+    const profile = JSON.parse(fs.readFileSync(path.join(PROFILE_DIR, file), 'utf8'));
+    if (profile.id !== path.basename(file, '.json') || !profile.name) {
+      throw new Error(`Country profile ${file}: id must match filename and name is required`);
+    }
+    profiles.push({
+      strongKeywords: [],
+      supportingKeywords: [],
+      bodyMinMatches: 2,
+      titleTerm: null,
+      gazetteer: [],
+      languages: {},
+      regions: [],
+      containment: {},
+      actorAliases: {},
+      defaultFeeds: [],
+      ...profile,
+    });
+  }
+  // Original coverage first, so its feeds keep the lowest registry ids
+  const rank = (p) => (DEFAULT_COUNTRIES.includes(p.id) ? DEFAULT_COUNTRIES.indexOf(p.id) : DEFAULT_COUNTRIES.length);
+  return profiles.sort((a, b) => rank(a) - rank(b));
+}
+
+const PROFILES = loadProfiles();
+
+// Read lazily: .env is loaded after modules are required
+let enabledIds = null;
+
+function getEnabledCountryIds() {
+  if (enabledIds) return enabledIds;
+  const requested = process.env.COUNTRIES
+    ? process.env.COUNTRIES.split(',').map((s) => s.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_COUNTRIES;
+  const known = new Set(PROFILES.map((p) => p.id));
+  for (const id of requested) {
+    if (!known.has(id)) console.warn(`COUNTRIES: no profile for "${id}" (have: ${[...known].join(', ')})`);
+  }
+  enabledIds = requested.filter((id) => known.has(id));
+  return enabledIds;
+}
+
+function getCountryProfiles({ enabledOnly = false } = {}) {
+  if (!enabledOnly) return PROFILES;
+  const enabled = getEnabledCountryIds();
+  return PROFILES.filter((p) => enabled.includes(p.id));
+}
+
+// A source with no country covers the whole region and is always fetched
+function isCountryEnabled(id) {
+  if (!id) return true;
+  return getEnabledCountryIds().includes(id);
+}
+
+// Resolve a ?country= value — accepts the profile id or display name
+function findCountryProfile(value) {
+  if (!value) return null;
+  const key = String(value).trim().toLowerCase();
+  return PROFILES.find((p) => p.id === key || p.name.toLowerCase() === key) || null;
+}
+
+function getRegionContainment() {
+  return Object.assign({}, ...PROFILES.map((p) => p.containment));
+}
+
+function getProfileActorAliases() {
+  return Object.assign({}, ...PROFILES.map((p) => p.actorAliases));
+}
+
+// Every profile's feeds, tagged with the profile id
+function getDefaultFeeds() {
+  return PROFILES.flatMap((p) => p.defaultFeeds.map((feed) => ({ ...feed, country: p.id })));
+}
+
+module.exports = {
+  getCountryProfiles, getEnabledCountryIds, isCountryEnabled, findCountryProfile,
+  getRegionContainment, getProfileActorAliases, getDefaultFeeds,
+};
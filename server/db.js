@@ -5,9 +5,17 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const crypto = require('crypto');
+const { SEED_SOURCES, SOURCE_TIERS } = require('./sources');
+const { EVENT_FIELDS, FIGURE_FIELDS, SCOPES, VERIFICATION_STATUSES } = require('./event-schema');
+const { pairEvents } = require('./event-match');
 
 let db = null;
 
+// SQL list of string literals, for CHECK constraints
+function sqlValues(values) {
+  return values.map((v) => `'${v}'`).join(', ');
+}
+
 function initDB() {
   const dbPath = path.join(__dirname, '..', 'data', 'events.db');
 
@@ -22,8 +30,11 @@ function initDB() {
     CREATE TABLE IF NOT EXISTS events (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
 
-      -- Dedup: hash of sorted article titles in cluster
-      cluster_hash TEXT NOT NULL UNIQUE,
+      -- Dedup: the story ID (see cluster.js); older rows hold a hash of
+      -- the cluster's sorted article titles. A story can report several
+      -- events, numbered from 0 in the order the model gave them
+      cluster_hash TEXT NOT NULL,
+      event_index INTEGER NOT NULL DEFAULT 0,
 
       -- AI-generated summary
       summary TEXT,
@@ -36,14 +47,14 @@ function initDB() {
       event_type TEXT NOT NULL,  -- security, political, economic, humanitarian, infrastructure, legal
       event_subtype TEXT,        -- e.g. clash, peace_talks, displacement
 
-      -- Severity & scope
-      severity INTEGER CHECK(severity BETWEEN 1 AND 5),
-      scope TEXT CHECK(scope IN ('local', 'state', 'national', 'cross_border')),
+      -- Severity & scope (bounds and values here and below from event-schema.js)
+      severity INTEGER CHECK(severity BETWEEN ${EVENT_FIELDS.severity.minimum} AND ${EVENT_FIELDS.severity.maximum}),
+      scope TEXT CHECK(scope IN (${sqlValues(SCOPES)})),
 
       -- Source quality
-      source_tier TEXT CHECK(source_tier IN ('tier1', 'tier2', 'tier3')),
-      verification_status TEXT CHECK(verification_status IN ('confirmed', 'reported', 'unverified')),
-      confidence REAL CHECK(confidence BETWEEN 0.0 AND 1.0),
+      source_tier TEXT CHECK(source_tier IN ('tier1', 'humanitarian', 'tier2', 'tier3')),
+      verification_status TEXT CHECK(verification_status IN (${sqlValues(VERIFICATION_STATUSES)})),
+      confidence REAL CHECK(confidence BETWEEN ${EVENT_FIELDS.confidence.minimum.toFixed(1)} AND ${EVENT_FIELDS.confidence.maximum.toFixed(1)}),
 
       -- AI rationale for severity/verification decisions
       rationale TEXT,
@@ -59,13 +70,27 @@ function initDB() {
 
       -- Article metadata
       article_count INTEGER,
+      independent_source_count INTEGER, -- outlets with their own report (wire copies count once)
       sources TEXT,              -- JSON array of source names
       primary_url TEXT,
       primary_title TEXT,
 
       -- Timestamps
       published_at TEXT,
-      extracted_at TEXT DEFAULT (datetime('now'))
+      extracted_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT,           -- last coverage update (new articles joined the story)
+      reextract INTEGER NOT NULL DEFAULT 0, -- 1 = story changed by an analyst override, extract again
+
+      -- Long-running storyline this event belongs to (see storylines.js)
+      storyline_id TEXT,
+
+      -- Analyst review (see review.js). Fields an analyst set by hand keep
+      -- their values when the story is extracted again.
+      analyst_fields TEXT,       -- JSON array of column names
+      reviewed_by TEXT,
+      review_reason TEXT,        -- reason code (review.js REASON_CODES)
+      review_note TEXT,
+      reviewed_at TEXT
     );
 
     CREATE INDEX IF NOT EXISTS idx_events_type ON events(event_type);
@@ -85,11 +110,255 @@ function initDB() {
       article_urls TEXT,         -- JSON array
       model_version TEXT,
       prompt_version TEXT,
-      quarantined_at TEXT DEFAULT (datetime('now'))
+      -- Set when one event of a story's answer was held back while the
+      -- others were inserted: its place in raw_output's events list
+      event_index INTEGER,
+      quarantined_at TEXT DEFAULT (datetime('now')),
+
+      -- Analyst review (see quarantine.js)
+      status TEXT NOT NULL DEFAULT 'open', -- open, approved, discarded, requeued
+      reviewed_by TEXT,
+      review_note TEXT,
+      reviewed_at TEXT
     );
 
     CREATE INDEX IF NOT EXISTS idx_quarantine_hash ON quarantine_events(cluster_hash);
 
+    -- Event audit log: one row per change to an event, with the event's
+    -- audited fields before and after (see REVISION_FIELDS). before is
+    -- NULL for the first extraction, after is NULL when the event was
+    -- removed (its story merged away).
+    CREATE TABLE IF NOT EXISTS event_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id INTEGER NOT NULL,
+      source TEXT NOT NULL,      -- extraction, reextraction, coverage, analyst, merge, split, pin, revert
+      actor TEXT,                -- model@prompt for extractions, the analyst for edits
+      reason TEXT,
+      changed_fields TEXT,       -- JSON array of field names
+      before TEXT,               -- JSON snapshot
+      after TEXT,                -- JSON snapshot
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_revisions_event ON event_revisions(event_id, id);
+
+    -- Re-extraction: jobs that run the current prompt/model again over
+    -- stored events (see reextract.js). Each result is kept as a candidate
+    -- next to the live event until an analyst promotes or rejects it.
+    CREATE TABLE IF NOT EXISTS reextract_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      filters TEXT,              -- JSON selection: promptVersion, modelVersion, since, until, eventType, country, limit
+      model_version TEXT,        -- what the job extracts with
+      prompt_version TEXT,
+      runner TEXT,               -- server (admin endpoint) or cli
+      status TEXT NOT NULL DEFAULT 'running', -- running, done, failed, interrupted
+      total INTEGER NOT NULL DEFAULT 0,
+      processed INTEGER NOT NULL DEFAULT 0,
+      failed INTEGER NOT NULL DEFAULT 0,
+      error TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      finished_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS event_candidates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id INTEGER,
+      event_id INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending', -- pending, promoted, rejected, superseded, failed
+      summary TEXT,
+      country TEXT,
+      regions TEXT,              -- JSON array
+      event_type TEXT,
+      event_subtype TEXT,
+      severity INTEGER,
+      scope TEXT,
+      verification_status TEXT,
+      confidence REAL,
+      rationale TEXT,
+      actors TEXT,               -- JSON array
+      actors_normalized TEXT,    -- JSON array
+      figures TEXT,              -- JSON array of event_figures rows
+      model_version TEXT,
+      prompt_version TEXT,
+      raw_output TEXT,           -- raw model response
+      error_reasons TEXT,        -- JSON array, for failed candidates
+      created_at TEXT DEFAULT (datetime('now')),
+      reviewed_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_candidates_job ON event_candidates(job_id);
+    CREATE INDEX IF NOT EXISTS idx_candidates_event ON event_candidates(event_id, status);
+
+    -- Quantitative claims an event's reporting makes (killed, displaced,
+    -- aid delivered...), one row per claim as attributed, so sources that
+    -- disagree stay side by side (see figures.js). Replaced whenever the
+    -- event is extracted again.
+    CREATE TABLE IF NOT EXISTS event_figures (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id INTEGER NOT NULL,
+      kind TEXT NOT NULL,        -- FIGURE_KINDS in event-schema.js
+      unit TEXT NOT NULL DEFAULT 'people',
+      value_low REAL NOT NULL,   -- the number, or the low end of a range
+      value_high REAL,           -- high end of a range
+      as_of TEXT,                -- YYYY-MM-DD the figure refers to, if given
+      reported_by TEXT           -- who the reporting attributes it to
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_figures_event ON event_figures(event_id);
+
+    -- Article store: every normalized article from the fetcher, upserted by URL.
+    -- Survives restarts, lets clusters be rebuilt from history, and keeps the
+    -- raw reporting behind each event available after the feed has moved on.
+    CREATE TABLE IF NOT EXISTS articles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL UNIQUE,  -- resolved publisher URL (or Google URL if decoding failed)
+      google_url TEXT,           -- original news.google.com link, if any
+      guid TEXT,
+      title TEXT NOT NULL,
+      description TEXT,
+      image TEXT,
+      image_width INTEGER,       -- as declared by the feed or og:image tags, if at all
+      image_height INTEGER,
+      source TEXT NOT NULL,
+      source_category TEXT,
+      source_reliability TEXT,
+      published_at TEXT,
+      relevance TEXT,            -- JSON relevance score + explanation (see relevance.js)
+      language TEXT DEFAULT 'en', -- detected: en, fr, ar (see language.js)
+      title_en TEXT,             -- English translation of non-English titles
+      description_en TEXT,
+      first_seen_at TEXT DEFAULT (datetime('now')),
+      last_seen_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_articles_published ON articles(published_at);
+    CREATE INDEX IF NOT EXISTS idx_articles_source ON articles(source);
+    CREATE INDEX IF NOT EXISTS idx_articles_google ON articles(google_url);
+
+    -- Stories: stable identity for a cluster across refreshes. Articles are
+    -- assigned to one story for good; new articles join the most similar
+    -- existing story (see cluster.js).
+    CREATE TABLE IF NOT EXISTS stories (
+      id TEXT PRIMARY KEY,
+      primary_url TEXT,
+      primary_title TEXT,
+      article_count INTEGER,
+      source_count INTEGER,
+      latest_article_at TEXT,
+      first_seen_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS story_articles (
+      article_url TEXT PRIMARY KEY,
+      story_id TEXT NOT NULL,
+      pinned INTEGER NOT NULL DEFAULT 0, -- 1 = placed by an analyst (merge, split or pin)
+      attached_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_story_articles_story ON story_articles(story_id);
+
+    -- Analyst corrections to the clusterer: merge two stories, split articles
+    -- out of one, pin an article to one. Applied to story_articles directly
+    -- (which clusterArticles() honours); this table is the audit trail.
+    CREATE TABLE IF NOT EXISTS story_overrides (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      action TEXT NOT NULL CHECK(action IN ('merge', 'split', 'pin')),
+      story_id TEXT NOT NULL,    -- merge: surviving story; split: original story; pin: target story
+      other_story_id TEXT,       -- merge: absorbed story; split: new story; pin: previous story
+      article_urls TEXT,         -- JSON array of the articles moved
+      reason TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- Full-text archive: readable text extracted from each article page
+    -- (see archive.js). One row per article URL, including failed attempts.
+    CREATE TABLE IF NOT EXISTS article_texts (
+      url TEXT PRIMARY KEY,
+      status TEXT NOT NULL,      -- ok, empty, failed, blocked (robots.txt), too_large, not_html
+      final_url TEXT,            -- after redirects
+      title TEXT,
+      byline TEXT,
+      published_at TEXT,         -- from the page's metadata, when present
+      paragraphs TEXT,           -- JSON array of paragraph strings
+      text TEXT,
+      word_count INTEGER,
+      html_bytes INTEGER,
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      fetched_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_article_texts_status ON article_texts(status, fetched_at);
+
+    -- Feed state: HTTP validators + item fingerprint per source, so unchanged
+    -- feeds can be skipped with a conditional GET instead of re-parsed
+    CREATE TABLE IF NOT EXISTS feed_state (
+      source_name TEXT PRIMARY KEY,
+      etag TEXT,
+      last_modified TEXT,
+      guid_hash TEXT,            -- hash of the sorted item GUIDs from the last parse
+      last_status TEXT,          -- changed, unchanged, failed
+      last_error TEXT,
+      checked_at TEXT,
+      changed_at TEXT
+    );
+
+    -- Source registry: feeds the fetcher reads, managed from /admin
+    CREATE TABLE IF NOT EXISTS sources (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      url TEXT NOT NULL,
+      domains TEXT,              -- JSON array of publisher domains
+      category TEXT NOT NULL,    -- international, regional, local, general
+      reliability TEXT NOT NULL, -- high, medium, aggregator
+      tier TEXT NOT NULL,        -- tier1, humanitarian, tier2, tier3
+      enabled INTEGER NOT NULL DEFAULT 1,
+      relevance_profile TEXT NOT NULL DEFAULT 'default',
+      country TEXT,              -- country profile id; NULL = covers the whole region
+      type TEXT NOT NULL DEFAULT 'rss', -- ingest adapter: rss, atom, json-api, sitemap, html-list
+      config TEXT,               -- JSON adapter config (selectors, field paths, fixture)
+      relevance_threshold REAL,  -- NULL = default (relevance.js DEFAULT_THRESHOLD)
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- Seed entries already inserted once (so admin deletions stick)
+    CREATE TABLE IF NOT EXISTS source_seeds (
+      name TEXT PRIMARY KEY,
+      seeded_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- Source health: one row per source per fetch cycle
+    CREATE TABLE IF NOT EXISTS source_fetch_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_name TEXT NOT NULL,
+      status TEXT NOT NULL,      -- changed, unchanged, failed
+      latency_ms INTEGER,
+      item_count INTEGER,        -- items in the feed
+      relevant_count INTEGER,    -- items passing the relevance filter
+      image_count INTEGER,       -- relevant items with an image
+      error TEXT,
+      fetched_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_fetch_log_source ON source_fetch_log(source_name, id);
+
+    -- Feed items scored below their source's relevance threshold, kept
+    -- for tuning keywords, gazetteers and thresholds (one row per URL)
+    CREATE TABLE IF NOT EXISTS rejected_articles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL UNIQUE,
+      title TEXT NOT NULL,
+      source TEXT NOT NULL,
+      score REAL NOT NULL,
+      threshold REAL NOT NULL,
+      relevance TEXT,            -- JSON explanation (matched terms, gazetteer hits, prior)
+      rejected_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_rejected_source ON rejected_articles(source, rejected_at);
+
     -- Unsubscribe: tracks opted-out email addresses
     CREATE TABLE IF NOT EXISTS unsubscribes (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -106,17 +375,85 @@ function initDB() {
     'ALTER TABLE events ADD COLUMN model_version TEXT',
     'ALTER TABLE events ADD COLUMN prompt_version TEXT',
     'ALTER TABLE events ADD COLUMN article_urls TEXT',
+    'ALTER TABLE sources ADD COLUMN country TEXT',
+    "ALTER TABLE sources ADD COLUMN type TEXT NOT NULL DEFAULT 'rss'",
+    'ALTER TABLE sources ADD COLUMN config TEXT',
+    'ALTER TABLE sources ADD COLUMN relevance_threshold REAL',
+    'ALTER TABLE articles ADD COLUMN relevance TEXT',
+    "ALTER TABLE articles ADD COLUMN language TEXT DEFAULT 'en'",
+    'ALTER TABLE articles ADD COLUMN title_en TEXT',
+    'ALTER TABLE articles ADD COLUMN description_en TEXT',
+    'ALTER TABLE events ADD COLUMN updated_at TEXT',
+    'ALTER TABLE events ADD COLUMN reextract INTEGER NOT NULL DEFAULT 0',
+    'ALTER TABLE story_articles ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0',
+    'ALTER TABLE events ADD COLUMN storyline_id TEXT',
+    'ALTER TABLE events ADD COLUMN independent_source_count INTEGER',
+    'ALTER TABLE articles ADD COLUMN image_width INTEGER',
+    'ALTER TABLE articles ADD COLUMN image_height INTEGER',
+    "ALTER TABLE quarantine_events ADD COLUMN status TEXT NOT NULL DEFAULT 'open'",
+    'ALTER TABLE quarantine_events ADD COLUMN reviewed_by TEXT',
+    'ALTER TABLE quarantine_events ADD COLUMN review_note TEXT',
+    'ALTER TABLE quarantine_events ADD COLUMN reviewed_at TEXT',
+    'ALTER TABLE events ADD COLUMN analyst_fields TEXT',
+    'ALTER TABLE events ADD COLUMN reviewed_by TEXT',
+    'ALTER TABLE events ADD COLUMN review_reason TEXT',
+    'ALTER TABLE events ADD COLUMN review_note TEXT',
+    'ALTER TABLE events ADD COLUMN reviewed_at TEXT',
+    'ALTER TABLE events ADD COLUMN event_index INTEGER NOT NULL DEFAULT 0',
+    'ALTER TABLE event_candidates ADD COLUMN figures TEXT',
+    'ALTER TABLE quarantine_events ADD COLUMN event_index INTEGER',
   ];
   for (const sql of migrations) {
     try { db.exec(sql); } catch { /* column already exists */ }
   }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_events_storyline ON events(storyline_id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_quarantine_status ON quarantine_events(status, quarantined_at)');
+
+  // Constraint migrations: rebuild tables whose CHECKs predate new values
+  // (and stories holding one event each)
+  rebuildTable('events', (sql) => sql.replace(
+    "source_tier IN ('tier1', 'tier2', 'tier3')",
+    "source_tier IN ('tier1', 'humanitarian', 'tier2', 'tier3')"
+  ).replace('cluster_hash TEXT NOT NULL UNIQUE', 'cluster_hash TEXT NOT NULL'));
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_events_story_event ON events(cluster_hash, event_index)');
+
+  seedSources(SEED_SOURCES);
+
+  // Retention: fetch history older than 30 days is only noise
+  db.prepare("DELETE FROM source_fetch_log WHERE fetched_at < datetime('now', '-30 days')").run();
+  db.prepare("DELETE FROM rejected_articles WHERE rejected_at < datetime('now', '-14 days')").run();
 
   console.log('Event database initialized');
   return db;
 }
 
-// Generate a stable hash for a cluster based on its article titles
+// SQLite can't alter a CHECK constraint, so rebuild the table from its own
+// stored schema with `rewrite` applied. Columns added by migrations and
+// the table's indexes carry over. No-op when the rewrite changes nothing.
+function rebuildTable(table, rewrite) {
+  const row = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+  if (!row) return;
+  const newSql = rewrite(row.sql);
+  if (newSql === row.sql) return;
+
+  const indexes = db.prepare(
+    "SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL"
+  ).all(table);
+  const tmp = `${table}_rebuild`;
+  db.transaction(() => {
+    db.exec(newSql.replace(/^CREATE TABLE\s+(IF NOT EXISTS\s+)?("?)\w+\2/i, `CREATE TABLE ${tmp}`));
+    db.exec(`INSERT INTO ${tmp} SELECT * FROM ${table}`);
+    db.exec(`DROP TABLE ${table}`);
+    db.exec(`ALTER TABLE ${tmp} RENAME TO ${table}`);
+    for (const idx of indexes) db.exec(idx.sql);
+  })();
+  console.log(`Rebuilt table ${table} (schema migration)`);
+}
+
+// Dedup key for a cluster's event: its story ID. Clusters built without
+// one (e.g. by backtest.js) fall back to a hash of their article titles.
 function clusterHash(cluster) {
+  if (cluster.id) return cluster.id;
   const titles = cluster.articles
     .map((a) => a.title.toLowerCase().trim())
     .sort()
@@ -124,51 +461,80 @@ function clusterHash(cluster) {
   return crypto.createHash('md5').update(titles).digest('hex');
 }
 
-// Check if this cluster has already been extracted (or quarantined)
+// Check if this cluster has already been extracted (or quarantined).
+// Events flagged for re-extraction, quarantine items an analyst requeued
+// and single events held back from an answer (the story's other events
+// decide) don't count.
 function eventExists(hash) {
   if (!db) return false;
-  const inEvents = db.prepare('SELECT 1 FROM events WHERE cluster_hash = ?').get(hash);
+  const inEvents = db.prepare('SELECT 1 FROM events WHERE cluster_hash = ? AND reextract = 0').get(hash);
   if (inEvents) return true;
-  const inQuarantine = db.prepare('SELECT 1 FROM quarantine_events WHERE cluster_hash = ?').get(hash);
+  const inQuarantine = db.prepare("SELECT 1 FROM quarantine_events WHERE cluster_hash = ? AND status != 'requeued' AND event_index IS NULL").get(hash);
   return !!inQuarantine;
 }
 
-// Insert a structured event
-function insertEvent(event) {
-  if (!db) return;
+// Insert a structured event, the story's `event_index`th (0 when not
+// given), with its `figures` (event_figures rows). A row already at that
+// index and flagged for re-extraction is replaced in place, keeping the
+// event id and the fields an analyst set — insertClusterEvents() picks the
+// index so that row is the same event. Either way the change is logged as a
+// revision — by the model that made it, unless `provenance` ({ source,
+// actor, reason }) says otherwise. Returns the event row, or null if the
+// story already has an event that isn't up for re-extraction.
+function insertEvent(event, provenance) {
+  if (!db) return null;
+  const eventIndex = event.event_index || 0;
+  const find = db.prepare('SELECT * FROM events WHERE cluster_hash = ? AND event_index = ?');
+  const before = find.get(event.cluster_hash, eventIndex) || null;
+  event = { ...event, ...analystValues(before) };
 
   const stmt = db.prepare(`
-    INSERT OR IGNORE INTO events (
-      cluster_hash, summary, country, regions,
+    INSERT INTO events (
+      cluster_hash, event_index, summary, country, regions,
       event_type, event_subtype, severity, scope,
       source_tier, verification_status, confidence, rationale,
       actors, actors_normalized,
       model_version, prompt_version, article_urls,
-      article_count, sources, primary_url, primary_title,
+      article_count, independent_source_count, sources, primary_url, primary_title,
       published_at
     ) VALUES (
-      @cluster_hash, @summary, @country, @regions,
+      @cluster_hash, @event_index, @summary, @country, @regions,
       @event_type, @event_subtype, @severity, @scope,
       @source_tier, @verification_status, @confidence, @rationale,
       @actors, @actors_normalized,
       @model_version, @prompt_version, @article_urls,
-      @article_count, @sources, @primary_url, @primary_title,
+      @article_count, @independent_source_count, @sources, @primary_url, @primary_title,
       @published_at
     )
+    ON CONFLICT(cluster_hash, event_index) DO UPDATE SET
+      summary = excluded.summary, country = excluded.country, regions = excluded.regions,
+      event_type = excluded.event_type, event_subtype = excluded.event_subtype,
+      severity = excluded.severity, scope = excluded.scope,
+      source_tier = excluded.source_tier, verification_status = excluded.verification_status,
+      confidence = excluded.confidence, rationale = excluded.rationale,
+      actors = excluded.actors, actors_normalized = excluded.actors_normalized,
+      model_version = excluded.model_version, prompt_version = excluded.prompt_version,
+      article_urls = excluded.article_urls, article_count = excluded.article_count,
+      independent_source_count = excluded.independent_source_count,
+      sources = excluded.sources, primary_url = excluded.primary_url, primary_title = excluded.primary_title,
+      published_at = excluded.published_at,
+      extracted_at = datetime('now'), updated_at = NULL, reextract = 0, storyline_id = NULL
+    WHERE events.reextract = 1
   `);
 
-  stmt.run({
+  const result = stmt.run({
     cluster_hash: event.cluster_hash,
+    event_index: eventIndex,
     summary: event.summary,
     country: event.country,
     regions: JSON.stringify(event.regions || []),
     event_type: event.event_type,
     event_subtype: event.event_subtype || null,
     severity: event.severity,
-    scope: event.scope || 'local',
+    scope: event.scope || EVENT_FIELDS.scope.default,
     source_tier: event.source_tier,
-    verification_status: event.verification_status || 'reported',
-    confidence: event.confidence || 0.5,
+    verification_status: event.verification_status || EVENT_FIELDS.verificationStatus.default,
+    confidence: event.confidence ?? EVENT_FIELDS.confidence.default,
     rationale: event.rationale || null,
     actors: JSON.stringify(event.actors || []),
     actors_normalized: JSON.stringify(event.actors_normalized || []),
@@ -176,14 +542,110 @@ function insertEvent(event) {
     prompt_version: event.prompt_version || null,
     article_urls: JSON.stringify(event.article_urls || []),
     article_count: event.article_count || 1,
+    independent_source_count: event.independent_source_count || null,
     sources: JSON.stringify(event.sources || []),
     primary_url: event.primary_url,
     primary_title: event.primary_title,
     published_at: event.published_at,
   });
+  if (result.changes === 0) return null;
+
+  const after = find.get(event.cluster_hash, eventIndex);
+  setEventFigures(after.id, event.figures || []);
+  recordEventRevision(after.id, before, after, provenance || {
+    source: before ? 'reextraction' : 'extraction',
+    actor: `${event.model_version || 'unknown'}@${event.prompt_version || 'unknown'}`,
+    reason: before ? 'story changed by an analyst override' : null,
+  });
+  return after;
+}
+
+// Insert every event extracted from one story (`events` in the model's
+// order, from extractor.js), together. When the story is extracted again
+// its stored events are paired with the new ones by what they report
+// (event-match.js), not by their place in the list, so each keeps its id,
+// history and analyst corrections; new events take free indexes. A stored
+// event the new answer no longer has goes — unless an analyst reviewed
+// it, in which case it stays live. Nothing is inserted while the story
+// has an event that isn't up for re-extraction. Returns the inserted rows.
+function insertClusterEvents(events, provenance) {
+  if (!db || events.length === 0) return [];
+  const hash = events[0].cluster_hash;
+  return db.transaction(() => {
+    const stored = db.prepare('SELECT * FROM events WHERE cluster_hash = ? ORDER BY event_index').all(hash);
+    if (stored.some((row) => !row.reextract)) return [];
+
+    const pairs = pairEvents(stored, events);
+    const indexes = new Map(pairs.filter((p) => p.record).map((p) => [p.record, p.event.event_index]));
+    const used = new Set(indexes.values());
+    for (const { event: row, record } of pairs) {
+      if (record) continue;
+      if (row.reviewed_at) {
+        db.prepare('UPDATE events SET reextract = 0 WHERE id = ?').run(row.id);
+        used.add(row.event_index);
+      } else {
+        deleteEvent(row, { source: 'reextraction', reason: 'no longer reported by the story' });
+      }
+    }
+
+    let next = 0;
+    return events.map((event) => {
+      let eventIndex = indexes.get(event);
+      if (eventIndex === undefined) {
+        while (used.has(next)) next++;
+        eventIndex = next;
+        used.add(eventIndex);
+      }
+      return insertEvent({ ...event, event_index: eventIndex }, provenance);
+    }).filter(Boolean);
+  })();
+}
+
+// ─── Figures ────────────────────────────────────────────────────
+// Not audited in event_revisions: they come and go with an extraction,
+// so a revert leaves the current ones.
+
+function setEventFigures(eventId, figures) {
+  db.prepare('DELETE FROM event_figures WHERE event_id = ?').run(eventId);
+  const stmt = db.prepare(`
+    INSERT INTO event_figures (event_id, kind, unit, value_low, value_high, as_of, reported_by)
+    VALUES (@event_id, @kind, @unit, @value_low, @value_high, @as_of, @reported_by)
+  `);
+  for (const f of figures) {
+    stmt.run({
+      event_id: eventId,
+      kind: f.kind,
+      unit: f.unit || FIGURE_FIELDS.unit.default,
+      value_low: f.value_low,
+      value_high: f.value_high ?? null,
+      as_of: f.as_of || null,
+      reported_by: f.reported_by || null,
+    });
+  }
+}
+
+function rowToFigure(row) {
+  return {
+    eventId: row.event_id,
+    kind: row.kind,
+    unit: row.unit,
+    low: row.value_low,
+    high: row.value_high,
+    date: row.as_of,
+    source: row.reported_by,
+  };
 }
 
-// Insert a quarantined extraction (borderline/failed)
+// Figures of the events `eventIds`, in the order they were extracted
+function getFiguresForEvents(eventIds) {
+  if (!db || eventIds.length === 0) return [];
+  return db.prepare(
+    `SELECT * FROM event_figures WHERE event_id IN (${eventIds.map(() => '?').join(', ')}) ORDER BY event_id, id`
+  ).all(...eventIds).map(rowToFigure);
+}
+
+// Insert a quarantined extraction (borderline/failed): the whole answer,
+// or with `event_index` one event of it
 function insertQuarantine(record) {
   if (!db) return;
 
@@ -191,11 +653,11 @@ function insertQuarantine(record) {
     INSERT INTO quarantine_events (
       cluster_hash, raw_output, error_reasons,
       primary_title, primary_url, sources, article_urls,
-      model_version, prompt_version
+      model_version, prompt_version, event_index
     ) VALUES (
       @cluster_hash, @raw_output, @error_reasons,
       @primary_title, @primary_url, @sources, @article_urls,
-      @model_version, @prompt_version
+      @model_version, @prompt_version, @event_index
     )
   `).run({
     cluster_hash: record.cluster_hash,
@@ -207,6 +669,1092 @@ function insertQuarantine(record) {
     article_urls: JSON.stringify(record.article_urls || []),
     model_version: record.model_version || null,
     prompt_version: record.prompt_version || null,
+    event_index: record.event_index ?? null,
+  });
+}
+
+// ─── Quarantine review ──────────────────────────────────────────
+
+function rowToQuarantineItem(row) {
+  const parse = (s) => { try { return JSON.parse(s || '[]'); } catch { return []; } };
+  return {
+    id: row.id,
+    clusterHash: row.cluster_hash,
+    rawOutput: row.raw_output,
+    errorReasons: parse(row.error_reasons),
+    primaryTitle: row.primary_title,
+    primaryUrl: row.primary_url,
+    sources: parse(row.sources),
+    articleUrls: parse(row.article_urls),
+    modelVersion: row.model_version,
+    promptVersion: row.prompt_version,
+    eventIndex: row.event_index,
+    quarantinedAt: row.quarantined_at,
+    status: row.status,
+    reviewedBy: row.reviewed_by,
+    reviewNote: row.review_note,
+    reviewedAt: row.reviewed_at,
+  };
+}
+
+// Quarantined extractions, newest first. `reason` matches inside the
+// error reasons (e.g. "missing regions"); `status` defaults to open.
+function getQuarantineItems({ status = 'open', reason, limit = 50, offset = 0 } = {}) {
+  if (!db) return { items: [], counts: {} };
+  const where = ['status = ?'];
+  const params = [status];
+  if (reason) { where.push('error_reasons LIKE ?'); params.push(`%${reason}%`); }
+  const items = db.prepare(
+    `SELECT * FROM quarantine_events WHERE ${where.join(' AND ')} ORDER BY quarantined_at DESC, id DESC LIMIT ? OFFSET ?`
+  ).all(...params, limit, offset).map(rowToQuarantineItem);
+  const counts = db.prepare('SELECT status, COUNT(*) AS count FROM quarantine_events GROUP BY status').all();
+  return { items, counts: Object.fromEntries(counts.map((c) => [c.status, c.count])) };
+}
+
+function getQuarantineItem(id) {
+  if (!db) return null;
+  const row = db.prepare('SELECT * FROM quarantine_events WHERE id = ?').get(id);
+  return row ? rowToQuarantineItem(row) : null;
+}
+
+// Close an open item: approved, discarded or requeued. Requeuing an event
+// held back from a story that has others flags the story for extraction
+// (its events are kept until replaced, see insertClusterEvents), and its
+// other held-back events with it. Returns false if it isn't open (already
+// reviewed, or unknown).
+function reviewQuarantineItem(id, status, { analyst, note } = {}) {
+  if (!db) return false;
+  return db.transaction(() => {
+    const item = getQuarantineItem(id);
+    if (!item || item.status !== 'open') return false;
+    const close = db.prepare(`
+      UPDATE quarantine_events SET status = ?, reviewed_by = ?, review_note = ?, reviewed_at = datetime('now')
+      WHERE id = ? AND status = 'open'
+    `);
+    close.run(status, analyst || null, note || null, id);
+    if (status === 'requeued' && item.eventIndex != null) {
+      db.prepare('UPDATE events SET reextract = 1 WHERE cluster_hash = ?').run(item.clusterHash);
+      const others = db.prepare(
+        "SELECT id FROM quarantine_events WHERE cluster_hash = ? AND status = 'open' AND event_index IS NOT NULL"
+      ).all(item.clusterHash);
+      for (const other of others) close.run(status, analyst || null, `requeued with #${id}`, other.id);
+    }
+    return true;
+  })();
+}
+
+// Turn a quarantined extraction into an event: insert `event` with analyst
+// provenance and close the item, together. An event held back from a story
+// joins the story's other events. Returns the event row, or null if the
+// item isn't open or (for a whole answer) the story already has a live event.
+function approveQuarantineItem(id, event, { analyst, note } = {}) {
+  if (!db) return null;
+  return db.transaction(() => {
+    const item = getQuarantineItem(id);
+    if (!item || item.status !== 'open') return null;
+    const provenance = {
+      source: 'analyst',
+      actor: analyst,
+      reason: [`approved from quarantine #${id}`, note].filter(Boolean).join(': '),
+    };
+    let row;
+    if (item.eventIndex == null) {
+      [row] = insertClusterEvents([event], provenance);
+    } else {
+      const { next } = db.prepare(
+        'SELECT COALESCE(MAX(event_index) + 1, 0) AS next FROM events WHERE cluster_hash = ?'
+      ).get(item.clusterHash);
+      row = insertEvent({ ...event, event_index: next }, provenance);
+    }
+    if (!row) return null;
+    reviewQuarantineItem(id, 'approved', { analyst, note });
+    db.prepare("UPDATE events SET reviewed_by = ?, review_note = ?, reviewed_at = datetime('now') WHERE id = ?")
+      .run(analyst || null, note || null, row.id);
+    return getEventById(row.id);
+  })();
+}
+
+// ─── Event revisions ────────────────────────────────────────────
+// Every write to an event's content goes through recordEventRevision(),
+// so the history can be read back and any state restored. Bookkeeping
+// columns (storyline_id, reextract, extracted_at, updated_at) aren't audited.
+
+const REVISION_FIELDS = [
+  'summary', 'country', 'regions', 'event_type', 'event_subtype', 'severity', 'scope',
+  'source_tier', 'verification_status', 'confidence', 'rationale', 'actors', 'actors_normalized',
+  'model_version', 'prompt_version', 'article_urls', 'article_count', 'independent_source_count',
+  'sources', 'primary_url', 'primary_title', 'published_at',
+];
+const JSON_FIELDS = new Set(['regions', 'actors', 'actors_normalized', 'article_urls', 'sources']);
+// Coverage only grows (updateEventCoverage), so a revert leaves it alone
+const COVERAGE_FIELDS = new Set([
+  'source_tier', 'article_urls', 'article_count', 'independent_source_count', 'sources', 'primary_url', 'primary_title', 'published_at',
+]);
+
+// Audited fields of an event row, JSON columns parsed
+function snapshotEvent(row) {
+  if (!row) return null;
+  const snapshot = {};
+  for (const field of REVISION_FIELDS) {
+    let value = row[field] ?? null;
+    if (JSON_FIELDS.has(field) && typeof value === 'string') {
+      try { value = JSON.parse(value); } catch { /* keep the raw string */ }
+    }
+    snapshot[field] = value;
+  }
+  return snapshot;
+}
+
+// Log a change from row `before` to row `after` (either may be null).
+// `provenance`: { source, actor, reason }. No-op when nothing audited changed.
+function recordEventRevision(eventId, before, after, provenance) {
+  const from = snapshotEvent(before);
+  const to = snapshotEvent(after);
+  const changed = REVISION_FIELDS.filter((f) => JSON.stringify(from?.[f] ?? null) !== JSON.stringify(to?.[f] ?? null));
+  if (changed.length === 0 && from && to) return;
+  db.prepare(`
+    INSERT INTO event_revisions (event_id, source, actor, reason, changed_fields, before, after)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    eventId, provenance.source, provenance.actor || null, provenance.reason || null,
+    JSON.stringify(changed), from ? JSON.stringify(from) : null, to ? JSON.stringify(to) : null
+  );
+}
+
+// Change audited fields of an event (column names; JSON columns take
+// arrays) and log the revision. Returns the updated row, or null if the
+// event doesn't exist.
+function updateEvent(id, changes, provenance) {
+  if (!db) return null;
+  const fields = Object.keys(changes).filter((f) => REVISION_FIELDS.includes(f));
+  return db.transaction(() => {
+    const before = db.prepare('SELECT * FROM events WHERE id = ?').get(id);
+    if (!before) return null;
+    if (fields.length > 0) {
+      const values = { id };
+      for (const f of fields) values[f] = JSON_FIELDS.has(f) ? JSON.stringify(changes[f] ?? []) : changes[f];
+      db.prepare(`UPDATE events SET ${fields.map((f) => `${f} = @${f}`).join(', ')} WHERE id = @id`).run(values);
+    }
+    const after = db.prepare('SELECT * FROM events WHERE id = ?').get(id);
+    recordEventRevision(id, before, after, provenance);
+    return after;
+  })();
+}
+
+// Remove an event, logging its last state
+function deleteEvent(row, provenance) {
+  db.prepare('DELETE FROM events WHERE id = ?').run(row.id);
+  db.prepare('DELETE FROM event_figures WHERE event_id = ?').run(row.id);
+  recordEventRevision(row.id, row, null, provenance);
+}
+
+function rowToRevision(row) {
+  const parse = (s) => (s ? JSON.parse(s) : null);
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    source: row.source,
+    actor: row.actor,
+    reason: row.reason,
+    changedFields: parse(row.changed_fields) || [],
+    before: parse(row.before),
+    after: parse(row.after),
+    createdAt: row.created_at,
+  };
+}
+
+// An event's history, newest first
+function getEventRevisions(eventId) {
+  if (!db) return [];
+  return db.prepare('SELECT * FROM event_revisions WHERE event_id = ? ORDER BY id DESC').all(eventId).map(rowToRevision);
+}
+
+function getEventRevision(id) {
+  if (!db) return null;
+  const row = db.prepare('SELECT * FROM event_revisions WHERE id = ?').get(id);
+  return row ? rowToRevision(row) : null;
+}
+
+// Restore an event's extracted fields to the state a revision left them
+// in (coverage stays current). The revert is itself a revision, and an
+// analyst-set field it changes is no longer analyst-set. Returns the
+// updated row, or null when the event is gone or the revision isn't one
+// of its own (or removed it).
+function revertEvent(eventId, revisionId, { actor, reason } = {}) {
+  const revision = getEventRevision(revisionId);
+  if (!revision || revision.eventId !== eventId || !revision.after) return null;
+  const restored = Object.fromEntries(Object.entries(revision.after).filter(([f]) => !COVERAGE_FIELDS.has(f)));
+  return db.transaction(() => {
+    const before = getEventById(eventId);
+    const after = updateEvent(eventId, restored, {
+      source: 'revert',
+      actor,
+      reason: [`reverted to revision #${revisionId}`, reason].filter(Boolean).join(': '),
+    });
+    if (!after) return null;
+    const kept = parseFieldList(before.analyst_fields).filter((f) => before[f] === after[f]);
+    db.prepare('UPDATE events SET analyst_fields = ? WHERE id = ?').run(kept.length ? JSON.stringify(kept) : null, eventId);
+    return getEventById(eventId);
+  })();
+}
+
+function getEventById(id) {
+  if (!db) return null;
+  return db.prepare('SELECT * FROM events WHERE id = ?').get(id) || null;
+}
+
+// ─── Analyst review ─────────────────────────────────────────────
+// An analyst's corrections (review.js) are logged like any other change,
+// as "analyst" revisions, and the fields they set are listed in
+// analyst_fields: re-extraction and promoted candidates leave those alone.
+
+// Fields that place an event in a storyline; correcting one re-links it
+const STORYLINE_FIELDS = ['country', 'regions', 'actors_normalized', 'event_subtype'];
+
+function parseFieldList(s) {
+  try { return JSON.parse(s || '[]'); } catch { return []; }
+}
+
+// The values an analyst set on an event row (column → value, JSON columns parsed)
+function analystValues(row) {
+  const values = {};
+  if (!row) return values;
+  for (const f of parseFieldList(row.analyst_fields)) {
+    values[f] = JSON_FIELDS.has(f) ? JSON.parse(row[f] || '[]') : row[f];
+  }
+  return values;
+}
+
+// Apply an analyst's corrections (column names, as for updateEvent) and
+// mark the event reviewed. Empty `changes` confirms the model's values.
+// Returns the updated row, or null if the event doesn't exist.
+function reviewEvent(id, changes, { analyst, reasonCode, note } = {}) {
+  if (!db) return null;
+  return db.transaction(() => {
+    const before = getEventById(id);
+    if (!before) return null;
+    const after = updateEvent(id, changes, {
+      source: 'analyst',
+      actor: analyst,
+      reason: [reasonCode, note].filter(Boolean).join(': '),
+    });
+    const fields = new Set([
+      ...parseFieldList(before.analyst_fields),
+      ...Object.keys(changes).filter((f) => REVISION_FIELDS.includes(f)),
+    ]);
+    const relink = STORYLINE_FIELDS.some((f) => before[f] !== after[f]);
+    db.prepare(`
+      UPDATE events SET analyst_fields = ?, reviewed_by = ?, review_reason = ?, review_note = ?,
+        reviewed_at = datetime('now')${relink ? ', storyline_id = NULL' : ''}
+      WHERE id = ?
+    `).run(fields.size ? JSON.stringify([...fields]) : null, analyst || null, reasonCode, note || null, id);
+    return getEventById(id);
+  })();
+}
+
+// ─── Article store ──────────────────────────────────────────────
+
+// Upsert normalized articles by URL. A Google News article stored before its
+// URL could be decoded is moved onto the publisher URL once decoding succeeds.
+function upsertArticles(articles) {
+  if (!db || articles.length === 0) return;
+
+  const relink = db.prepare(`
+    UPDATE articles SET url = @url
+    WHERE google_url = @google_url AND url = google_url
+      AND NOT EXISTS (SELECT 1 FROM articles WHERE url = @url)
+  `);
+  // The article keeps its story when it moves
+  const relinkStory = db.prepare(`
+    UPDATE story_articles SET article_url = @url
+    WHERE article_url = @google_url AND NOT EXISTS (SELECT 1 FROM story_articles WHERE article_url = @url)
+  `);
+  const upsert = db.prepare(`
+    INSERT INTO articles (
+      url, google_url, guid, title, description, image, image_width, image_height,
+      source, source_category, source_reliability, published_at, relevance, language
+    ) VALUES (
+      @url, @google_url, @guid, @title, @description, @image, @image_width, @image_height,
+      @source, @source_category, @source_reliability, @published_at, @relevance, @language
+    )
+    ON CONFLICT(url) DO UPDATE SET
+      google_url = COALESCE(excluded.google_url, articles.google_url),
+      -- A retitled article needs translating again, and so does one whose
+      -- stored description is replaced (by a longer one, below); both are
+      -- cleared, as translation redoes articles without a title_en
+      title_en = CASE WHEN excluded.title = articles.title
+          AND length(excluded.description) <= length(COALESCE(articles.description, ''))
+        THEN articles.title_en ELSE NULL END,
+      description_en = CASE WHEN excluded.title = articles.title
+          AND length(excluded.description) <= length(COALESCE(articles.description, ''))
+        THEN articles.description_en ELSE NULL END,
+      title = excluded.title,
+      language = excluded.language,
+      description = CASE WHEN length(excluded.description) > length(COALESCE(articles.description, ''))
+        THEN excluded.description ELSE articles.description END,
+      image_width = CASE WHEN articles.image IS NULL THEN excluded.image_width ELSE articles.image_width END,
+      image_height = CASE WHEN articles.image IS NULL THEN excluded.image_height ELSE articles.image_height END,
+      image = COALESCE(articles.image, excluded.image),
+      relevance = COALESCE(excluded.relevance, articles.relevance),
+      last_seen_at = datetime('now')
+  `);
+
+  const run = db.transaction((rows) => {
+    for (const a of rows) {
+      const published = new Date(a.publishedAt);
+      const params = {
+        url: a.url,
+        google_url: a.googleUrl || null,
+        guid: a.id || null,
+        title: a.title,
+        description: a.description || '',
+        image: a.image || null,
+        image_width: a.image ? a.imageWidth || null : null,
+        image_height: a.image ? a.imageHeight || null : null,
+        source: a.source,
+        source_category: a.sourceCategory || null,
+        source_reliability: a.sourceReliability || null,
+        published_at: isNaN(published) ? new Date().toISOString() : published.toISOString(),
+        relevance: a.relevance ? JSON.stringify(a.relevance) : null,
+        language: a.language || 'en',
+      };
+      if (params.google_url && params.url !== params.google_url && relink.run(params).changes > 0) {
+        relinkStory.run(params);
+      }
+      upsert.run(params);
+    }
+  });
+  run(articles.filter((a) => a.url && a.title));
+}
+
+// Map a stored row back to the fetcher's normalized article shape
+function rowToArticle(row) {
+  let relevance = null;
+  try { relevance = JSON.parse(row.relevance || 'null'); } catch { /* malformed */ }
+  return {
+    id: row.guid || row.url,
+    title: row.title,
+    description: row.description || '',
+    url: row.url,
+    googleUrl: row.google_url || null,
+    image: row.image,
+    imageWidth: row.image_width || null,
+    imageHeight: row.image_height || null,
+    publishedAt: row.published_at,
+    source: row.source,
+    sourceCategory: row.source_category,
+    sourceReliability: row.source_reliability,
+    relevance,
+    language: row.language || 'en',
+    translatedTitle: row.title_en || null,
+    translatedDescription: row.description_en || null,
+  };
+}
+
+// ─── Full-text archive ──────────────────────────────────────────
+
+// Article URLs with no archived text yet, newest first, plus failed
+// attempts due a retry. Unresolved Google News links are left out.
+function getArticlesNeedingText(limit, maxAttempts) {
+  if (!db) return [];
+  return db.prepare(`
+    SELECT a.url, a.title, a.source FROM articles a
+    LEFT JOIN article_texts t ON t.url = a.url
+    WHERE a.url NOT LIKE '%news.google.com/%'
+      AND (t.url IS NULL OR (t.status = 'failed' AND t.attempts < @maxAttempts
+        AND t.fetched_at < datetime('now', '-1 hour')))
+    ORDER BY a.published_at DESC LIMIT @limit
+  `).all({ limit, maxAttempts });
+}
+
+function saveArticleText(record) {
+  if (!db) return;
+  db.prepare(`
+    INSERT INTO article_texts (url, status, final_url, title, byline, published_at, paragraphs, text, word_count, html_bytes, error, attempts)
+    VALUES (@url, @status, @final_url, @title, @byline, @published_at, @paragraphs, @text, @word_count, @html_bytes, @error, 1)
+    ON CONFLICT(url) DO UPDATE SET
+      status = excluded.status, final_url = excluded.final_url, title = excluded.title,
+      byline = excluded.byline, published_at = excluded.published_at, paragraphs = excluded.paragraphs,
+      text = excluded.text, word_count = excluded.word_count, html_bytes = excluded.html_bytes,
+      error = excluded.error, attempts = article_texts.attempts + 1, fetched_at = datetime('now')
+  `).run({
+    url: record.url,
+    status: record.status,
+    final_url: record.finalUrl || null,
+    title: record.title || null,
+    byline: record.byline || null,
+    published_at: record.publishedAt || null,
+    paragraphs: record.paragraphs ? JSON.stringify(record.paragraphs) : null,
+    text: record.text || null,
+    word_count: record.wordCount ?? null,
+    html_bytes: record.htmlBytes ?? null,
+    error: record.error || null,
+  });
+}
+
+function rowToArticleText(row) {
+  let paragraphs = [];
+  try { paragraphs = JSON.parse(row.paragraphs || '[]'); } catch { /* malformed */ }
+  return {
+    url: row.url,
+    status: row.status,
+    finalUrl: row.final_url,
+    title: row.title,
+    byline: row.byline,
+    publishedAt: row.published_at,
+    paragraphs,
+    text: row.text || '',
+    wordCount: row.word_count,
+    error: row.error,
+    attempts: row.attempts,
+    fetchedAt: row.fetched_at,
+  };
+}
+
+function getArticleText(url) {
+  if (!db || !url) return null;
+  const row = db.prepare('SELECT * FROM article_texts WHERE url = ?').get(url);
+  return row ? rowToArticleText(row) : null;
+}
+
+// The archived (status ok) subset of `urls`, without loading the text
+function getArchivedUrls(urls) {
+  if (!db || urls.length === 0) return new Set();
+  const stmt = db.prepare("SELECT 1 FROM article_texts WHERE url = ? AND status = 'ok'");
+  return new Set(urls.filter((url) => stmt.get(url)));
+}
+
+// { url: text } for the archived (status ok) subset of `urls`
+function getArticleTexts(urls) {
+  if (!db || urls.length === 0) return {};
+  const stmt = db.prepare("SELECT url, text FROM article_texts WHERE url = ? AND status = 'ok'");
+  const texts = {};
+  for (const url of urls) {
+    const row = stmt.get(url);
+    if (row) texts[url] = row.text;
+  }
+  return texts;
+}
+
+// Coverage of the last `days` of articles, by archive status
+function getArchiveStats(days = 7) {
+  if (!db) return null;
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const rows = db.prepare(`
+    SELECT COALESCE(t.status, 'pending') AS status, COUNT(*) AS count, AVG(t.word_count) AS avg_words
+    FROM articles a LEFT JOIN article_texts t ON t.url = a.url
+    WHERE a.published_at >= ? GROUP BY 1
+  `).all(since);
+  const byStatus = Object.fromEntries(rows.map((r) => [r.status, r.count]));
+  const total = rows.reduce((sum, r) => sum + r.count, 0);
+  const ok = rows.find((r) => r.status === 'ok');
+  return {
+    total,
+    byStatus,
+    coverage: total > 0 ? Math.round(((byStatus.ok || 0) / total) * 100) : 0,
+    avgWords: ok ? Math.round(ok.avg_words) : null,
+  };
+}
+
+// Store English translations of non-English articles ({ url, title, description })
+function saveArticleTranslations(translations) {
+  if (!db || translations.length === 0) return;
+  const stmt = db.prepare('UPDATE articles SET title_en = @title, description_en = @description WHERE url = @url');
+  db.transaction((rows) => {
+    for (const t of rows) stmt.run({ url: t.url, title: t.title, description: t.description || null });
+  })(translations);
+}
+
+function getRecentArticles(days = 7) {
+  if (!db) return [];
+  return db.prepare(
+    `SELECT * FROM articles
+     WHERE published_at >= ?
+     ORDER BY published_at DESC`
+  ).all(new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString()).map(rowToArticle);
+}
+
+function getArticlesByUrls(urls) {
+  if (!db || urls.length === 0) return [];
+  const stmt = db.prepare('SELECT * FROM articles WHERE url = ? OR google_url = ?');
+  const seen = new Set();
+  const result = [];
+  for (const url of urls) {
+    const row = stmt.get(url, url);
+    if (row && !seen.has(row.id)) {
+      seen.add(row.id);
+      result.push(rowToArticle(row));
+    }
+  }
+  return result;
+}
+
+// Raw reporting behind a stored event
+function getEventArticles(eventId) {
+  if (!db) return null;
+  const event = db.prepare('SELECT id, article_urls FROM events WHERE id = ?').get(eventId);
+  if (!event) return null;
+  let urls = [];
+  try { urls = JSON.parse(event.article_urls || '[]'); } catch { /* malformed */ }
+  return getArticlesByUrls(urls);
+}
+
+// ─── Stories ────────────────────────────────────────────────────
+
+// Story ID per article URL, for the given URLs that have one
+function getStoryAssignments(urls) {
+  if (!db || urls.length === 0) return {};
+  const stmt = db.prepare('SELECT story_id FROM story_articles WHERE article_url = ?');
+  const result = {};
+  for (const url of urls) {
+    const row = stmt.get(url);
+    if (row) result[url] = row.story_id;
+  }
+  return result;
+}
+
+// Persist clusters from clusterArticles(): story rows plus the
+// assignments of articles that joined in this run
+function saveStories(clusters) {
+  if (!db || clusters.length === 0) return;
+  const upsertStory = db.prepare(`
+    INSERT INTO stories (id, primary_url, primary_title, article_count, source_count, latest_article_at)
+    VALUES (@id, @primary_url, @primary_title, @article_count, @source_count, @latest_article_at)
+    ON CONFLICT(id) DO UPDATE SET
+      primary_url = excluded.primary_url,
+      primary_title = excluded.primary_title,
+      article_count = excluded.article_count,
+      source_count = excluded.source_count,
+      latest_article_at = excluded.latest_article_at,
+      updated_at = datetime('now')
+    WHERE stories.article_count IS NOT excluded.article_count
+      OR stories.primary_url IS NOT excluded.primary_url
+      OR stories.latest_article_at IS NOT excluded.latest_article_at
+  `);
+  const assign = db.prepare('INSERT OR IGNORE INTO story_articles (article_url, story_id) VALUES (?, ?)');
+
+  db.transaction(() => {
+    for (const c of clusters) {
+      upsertStory.run({
+        id: c.id,
+        primary_url: c.primaryArticle.url,
+        primary_title: c.primaryArticle.title,
+        article_count: c.articles.length,
+        source_count: c.sourceCount,
+        latest_article_at: c.latestDate,
+      });
+      for (const url of c.newArticleUrls || []) assign.run(url, c.id);
+    }
+  })();
+}
+
+// A story's events (they all share its coverage) absorb new coverage:
+// article URLs and sources are merged (articles that aged out of the
+// clustering window stay counted), published_at moves to the latest
+// article, source_tier to the better of the stored and given tier, and
+// independent_source_count to the larger count. Returns true if anything
+// changed.
+function updateEventCoverage(hash, coverage) {
+  if (!db) return false;
+  const rows = db.prepare(
+    'SELECT id, article_urls, sources, published_at, source_tier, independent_source_count FROM events WHERE cluster_hash = ?'
+  ).all(hash);
+  return rows.map((row) => updateRowCoverage(row, coverage)).includes(true);
+}
+
+function updateRowCoverage(row, coverage) {
+  let urls = [];
+  let sources = [];
+  try { urls = JSON.parse(row.article_urls || '[]'); } catch { /* malformed */ }
+  try { sources = JSON.parse(row.sources || '[]'); } catch { /* malformed */ }
+  const mergedUrls = [...new Set([...urls, ...coverage.article_urls])];
+  const mergedSources = [...new Set([...sources, ...coverage.sources])];
+  const publishedAt = [row.published_at, coverage.published_at].filter(Boolean).sort().pop() || null;
+  const rank = (tier) => (SOURCE_TIERS.includes(tier) ? SOURCE_TIERS.indexOf(tier) : SOURCE_TIERS.length);
+  const sourceTier = rank(coverage.source_tier) < rank(row.source_tier) ? coverage.source_tier : row.source_tier;
+  const independent = Math.max(row.independent_source_count || 0, coverage.independent_source_count || 0) || null;
+
+  if (mergedUrls.length === urls.length && mergedSources.length === sources.length
+    && publishedAt === row.published_at && sourceTier === row.source_tier
+    && independent === row.independent_source_count) return false;
+
+  updateEvent(row.id, {
+    article_urls: mergedUrls,
+    article_count: mergedUrls.length,
+    sources: mergedSources,
+    published_at: publishedAt,
+    source_tier: sourceTier,
+    independent_source_count: independent,
+  }, { source: 'coverage', reason: mergedUrls.length > urls.length ? `${mergedUrls.length - urls.length} new article(s)` : null });
+  db.prepare("UPDATE events SET updated_at = datetime('now') WHERE id = ?").run(row.id);
+  return true;
+}
+
+// ─── Story overrides ────────────────────────────────────────────
+
+function getStoryArticleUrls(storyId) {
+  if (!db) return [];
+  return db.prepare('SELECT article_url FROM story_articles WHERE story_id = ? ORDER BY attached_at, article_url')
+    .all(storyId).map((r) => r.article_url);
+}
+
+// Analyst-placed articles among `urls`
+function getPinnedArticleUrls(urls) {
+  if (!db || urls.length === 0) return [];
+  const stmt = db.prepare('SELECT 1 FROM story_articles WHERE article_url = ? AND pinned = 1');
+  return urls.filter((url) => stmt.get(url));
+}
+
+// Stories whose membership changed get extracted again on the next
+// extraction pass: the event is flagged (kept until replaced) and any
+// quarantine record is cleared so it doesn't block the retry
+function requeueStoryExtraction(storyIds) {
+  const flag = db.prepare('UPDATE events SET reextract = 1 WHERE cluster_hash = ?');
+  const clear = db.prepare('DELETE FROM quarantine_events WHERE cluster_hash = ?');
+  for (const id of storyIds) {
+    flag.run(id);
+    clear.run(id);
+  }
+}
+
+function recordStoryOverride(action, storyId, otherStoryId, urls, reason) {
+  db.prepare(`
+    INSERT INTO story_overrides (action, story_id, other_story_id, article_urls, reason)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(action, storyId, otherStoryId || null, JSON.stringify(urls), reason || null);
+}
+
+// A story with no articles left goes, with its event and quarantine rows.
+// `action` (merge, split, pin) and `reason` go in the event's history.
+function dropEmptyStory(storyId, action, reason) {
+  if (db.prepare('SELECT 1 FROM story_articles WHERE story_id = ? LIMIT 1').get(storyId)) return;
+  db.prepare('DELETE FROM stories WHERE id = ?').run(storyId);
+  const events = db.prepare('SELECT * FROM events WHERE cluster_hash = ?').all(storyId);
+  for (const event of events) deleteEvent(event, { source: action, reason: reason || 'story emptied by an analyst override' });
+  db.prepare('DELETE FROM quarantine_events WHERE cluster_hash = ?').run(storyId);
+}
+
+// Move every article of story `fromId` into story `intoId`. The absorbed
+// story and its event are removed. Returns the moved URLs (empty if
+// `fromId` has no articles).
+function mergeStories(fromId, intoId, reason) {
+  if (!db) return [];
+  const urls = getStoryArticleUrls(fromId);
+  if (urls.length === 0) return [];
+
+  db.transaction(() => {
+    db.prepare('UPDATE story_articles SET story_id = ?, pinned = 1 WHERE story_id = ?').run(intoId, fromId);
+    dropEmptyStory(fromId, 'merge', reason);
+    requeueStoryExtraction([intoId]);
+    recordStoryOverride('merge', intoId, fromId, urls, reason);
+  })();
+  return urls;
+}
+
+// Move `urls` out of story `storyId` into a new story. Returns the new
+// story's ID, or null if none of the URLs belong to the story.
+function splitStory(storyId, urls, reason) {
+  if (!db) return null;
+  const members = new Set(getStoryArticleUrls(storyId));
+  const moving = [...new Set(urls)].filter((url) => members.has(url)).sort();
+  if (moving.length === 0) return null;
+
+  const newId = crypto.createHash('md5').update(`split:${storyId}:${moving.join('|')}`).digest('hex').slice(0, 12);
+  db.transaction(() => {
+    const move = db.prepare('UPDATE story_articles SET story_id = ?, pinned = 1 WHERE article_url = ?');
+    for (const url of moving) move.run(newId, url);
+    dropEmptyStory(storyId, 'split', reason);
+    requeueStoryExtraction([storyId, newId]);
+    recordStoryOverride('split', storyId, newId, moving, reason);
+  })();
+  return newId;
+}
+
+// Assign one article to story `storyId`, wherever it was before.
+// Returns the previous story ID (null if the article wasn't in one).
+function pinArticle(url, storyId, reason) {
+  if (!db) return null;
+  const previous = db.prepare('SELECT story_id FROM story_articles WHERE article_url = ?').get(url)?.story_id || null;
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO story_articles (article_url, story_id, pinned) VALUES (?, ?, 1)
+      ON CONFLICT(article_url) DO UPDATE SET story_id = excluded.story_id, pinned = 1
+    `).run(url, storyId);
+    if (previous) dropEmptyStory(previous, 'pin', reason);
+    requeueStoryExtraction([storyId, previous].filter(Boolean));
+    recordStoryOverride('pin', storyId, previous, [url], reason);
+  })();
+  return previous;
+}
+
+function getStoryOverrides(limit = 50) {
+  if (!db) return [];
+  return db.prepare('SELECT * FROM story_overrides ORDER BY id DESC LIMIT ?').all(limit).map((row) => ({
+    id: row.id,
+    action: row.action,
+    storyId: row.story_id,
+    otherStoryId: row.other_story_id,
+    articleUrls: JSON.parse(row.article_urls || '[]'),
+    reason: row.reason,
+    createdAt: row.created_at,
+  }));
+}
+
+function storyExists(storyId) {
+  if (!db) return false;
+  return !!db.prepare('SELECT 1 FROM story_articles WHERE story_id = ? LIMIT 1').get(storyId);
+}
+
+// ─── Feed state (conditional GET) ───────────────────────────────
+
+function getFeedState(sourceName) {
+  if (!db) return null;
+  return db.prepare('SELECT * FROM feed_state WHERE source_name = ?').get(sourceName) || null;
+}
+
+// Record the outcome of a fetch. Validators and the GUID hash are only
+// replaced when provided, so a failed fetch keeps the last good values.
+function saveFeedState(sourceName, state) {
+  if (!db) return;
+  db.prepare(`
+    INSERT INTO feed_state (
+      source_name, etag, last_modified, guid_hash, last_status, last_error, checked_at, changed_at
+    ) VALUES (
+      @source_name, @etag, @last_modified, @guid_hash, @last_status, @last_error, datetime('now'),
+      CASE WHEN @last_status = 'changed' THEN datetime('now') END
+    )
+    ON CONFLICT(source_name) DO UPDATE SET
+      etag = COALESCE(excluded.etag, feed_state.etag),
+      last_modified = COALESCE(excluded.last_modified, feed_state.last_modified),
+      guid_hash = COALESCE(excluded.guid_hash, feed_state.guid_hash),
+      last_status = excluded.last_status,
+      last_error = excluded.last_error,
+      checked_at = excluded.checked_at,
+      changed_at = COALESCE(excluded.changed_at, feed_state.changed_at)
+  `).run({
+    source_name: sourceName,
+    etag: state.etag || null,
+    last_modified: state.lastModified || null,
+    guid_hash: state.guidHash || null,
+    last_status: state.status,
+    last_error: state.error || null,
+  });
+}
+
+function getAllFeedStates() {
+  if (!db) return [];
+  return db.prepare('SELECT * FROM feed_state ORDER BY source_name').all();
+}
+
+// ─── Source registry ────────────────────────────────────────────
+
+// Insert seed sources that have never been seeded before. A seed the admin
+// has since deleted is not re-created.
+function seedSources(seeds) {
+  if (!db) return;
+  const seeded = db.prepare('SELECT 1 FROM source_seeds WHERE name = ?');
+  const markSeeded = db.prepare('INSERT OR IGNORE INTO source_seeds (name) VALUES (?)');
+
+  const run = db.transaction(() => {
+    let added = 0;
+    for (const seed of seeds) {
+      if (seeded.get(seed.name)) continue;
+      if (insertSource(seed)) added++;
+      markSeeded.run(seed.name);
+    }
+    return added;
+  });
+  const added = run();
+  if (added > 0) console.log(`Seeded ${added} sources into registry`);
+}
+
+function rowToSource(row) {
+  let domains = [];
+  try { domains = JSON.parse(row.domains || '[]'); } catch { /* malformed */ }
+  let config = {};
+  try { config = JSON.parse(row.config || '{}'); } catch { /* malformed */ }
+  return {
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    domains,
+    category: row.category,
+    reliability: row.reliability,
+    tier: row.tier,
+    enabled: !!row.enabled,
+    relevanceProfile: row.relevance_profile,
+    country: row.country || null,
+    type: row.type || 'rss',
+    config,
+    relevanceThreshold: row.relevance_threshold ?? null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function getSources({ enabledOnly = false } = {}) {
+  if (!db) return [];
+  const sql = enabledOnly
+    ? 'SELECT * FROM sources WHERE enabled = 1 ORDER BY id'
+    : 'SELECT * FROM sources ORDER BY id';
+  return db.prepare(sql).all().map(rowToSource);
+}
+
+function getSourceById(id) {
+  if (!db) return null;
+  const row = db.prepare('SELECT * FROM sources WHERE id = ?').get(id);
+  return row ? rowToSource(row) : null;
+}
+
+// Returns the new source, or null if the name is already taken
+function insertSource(source) {
+  if (!db) return null;
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO sources (name, url, domains, category, reliability, tier, enabled, relevance_profile, country, type, config, relevance_threshold)
+    VALUES (@name, @url, @domains, @category, @reliability, @tier, @enabled, @relevance_profile, @country, @type, @config, @relevance_threshold)
+  `).run({
+    name: source.name.trim(),
+    url: source.url,
+    domains: JSON.stringify(source.domains || []),
+    category: source.category,
+    reliability: source.reliability,
+    tier: source.tier,
+    enabled: source.enabled === false ? 0 : 1,
+    relevance_profile: source.relevanceProfile || 'default',
+    country: source.country || null,
+    type: source.type || 'rss',
+    config: JSON.stringify(source.config || {}),
+    relevance_threshold: source.relevanceThreshold ?? null,
+  });
+  return result.changes > 0 ? getSourceById(result.lastInsertRowid) : null;
+}
+
+const SOURCE_COLUMNS = {
+  name: 'name',
+  url: 'url',
+  domains: 'domains',
+  category: 'category',
+  reliability: 'reliability',
+  tier: 'tier',
+  enabled: 'enabled',
+  relevanceProfile: 'relevance_profile',
+  country: 'country',
+  type: 'type',
+  config: 'config',
+  relevanceThreshold: 'relevance_threshold',
+};
+
+// Source fields whose change calls for the feed to be parsed again
+const REPARSE_FIELDS = ['url', 'type', 'config', 'relevanceProfile', 'relevanceThreshold'];
+
+// Partial update; returns the updated source or null if not found
+// A rename carries the source's feed state, fetch history, articles and
+// event/quarantine source lists over to the new name (renameSourceRows),
+// so its validators, health and tier stay with it. A change to how the
+// feed is read or scored drops its validators and item fingerprint, so
+// the next fetch parses the current items again instead of skipping an
+// unchanged feed.
+function updateSource(id, fields) {
+  if (!db) return null;
+  const sets = [];
+  const params = { id };
+  for (const [key, column] of Object.entries(SOURCE_COLUMNS)) {
+    if (fields[key] === undefined) continue;
+    let value = fields[key];
+    if (key === 'domains' || key === 'config') value = JSON.stringify(value);
+    if (key === 'enabled') value = value ? 1 : 0;
+    if (key === 'name') value = value.trim();
+    if (key === 'country') value = value || null;
+    sets.push(`${column} = @${column}`);
+    params[column] = value;
+  }
+  if (sets.length === 0) return getSourceById(id);
+  return db.transaction(() => {
+    const before = getSourceById(id);
+    db.prepare(`UPDATE sources SET ${sets.join(', ')}, updated_at = datetime('now') WHERE id = @id`).run(params);
+    if (before && params.name !== undefined && params.name !== before.name) renameSourceRows(before.name, params.name);
+    const after = getSourceById(id);
+    if (before && REPARSE_FIELDS.some((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]))) {
+      db.prepare('UPDATE feed_state SET etag = NULL, last_modified = NULL, guid_hash = NULL WHERE source_name = ?')
+        .run(after.name);
+    }
+    return after;
+  })();
+}
+
+// Rows keyed by a source's name, moved from `from` to `to`. Events'
+// source lists change through updateEvent(), so the rename is in their
+// history.
+function renameSourceRows(from, to) {
+  db.prepare('DELETE FROM feed_state WHERE source_name = ?').run(to);
+  db.prepare('UPDATE feed_state SET source_name = ? WHERE source_name = ?').run(to, from);
+  db.prepare('UPDATE source_fetch_log SET source_name = ? WHERE source_name = ?').run(to, from);
+  db.prepare('UPDATE articles SET source = ? WHERE source = ?').run(to, from);
+  db.prepare('UPDATE rejected_articles SET source = ? WHERE source = ?').run(to, from);
+
+  const rename = (list) => [...new Set(list.map((name) => (name === from ? to : name)))];
+  const listed = "EXISTS (SELECT 1 FROM json_each(sources) WHERE value = ?)";
+  for (const row of db.prepare(`SELECT id, sources FROM events WHERE ${listed}`).all(from)) {
+    updateEvent(row.id, { sources: rename(JSON.parse(row.sources)) }, {
+      source: 'coverage', reason: `source renamed from "${from}" to "${to}"`,
+    });
+  }
+  const setQuarantine = db.prepare('UPDATE quarantine_events SET sources = ? WHERE id = ?');
+  for (const row of db.prepare(`SELECT id, sources FROM quarantine_events WHERE ${listed}`).all(from)) {
+    setQuarantine.run(JSON.stringify(rename(JSON.parse(row.sources))), row.id);
+  }
+}
+
+function deleteSource(id) {
+  if (!db) return false;
+  return db.prepare('DELETE FROM sources WHERE id = ?').run(id).changes > 0;
+}
+
+// { sourceName: tier } for every registered source (enabled or not, so
+// events from a since-disabled feed keep their tier)
+function getSourceTierMap() {
+  if (!db) return {};
+  const map = {};
+  for (const row of db.prepare('SELECT name, tier FROM sources').all()) map[row.name] = row.tier;
+  return map;
+}
+
+// Find the registered source publishing on a domain (e.g. "www.reuters.com")
+function findSourceByDomain(domain) {
+  if (!db || !domain) return null;
+  const d = domain.toLowerCase().replace(/^www\./, '');
+  for (const source of getSources()) {
+    if (source.domains.some((sd) => d === sd || d.endsWith('.' + sd))) return source;
+  }
+  return null;
+}
+
+// ─── Source health ──────────────────────────────────────────────
+
+// Log one fetch. An unchanged (304 / same items) fetch carries forward the
+// counts from the last parsed fetch, so a dead feed that keeps serving the
+// same stale items still shows up as returning nothing relevant.
+function recordSourceFetch(entry) {
+  if (!db) return;
+  let counts = { item_count: entry.itemCount, relevant_count: entry.relevantCount, image_count: entry.imageCount };
+  if (entry.status === 'unchanged') {
+    counts = db.prepare(
+      `SELECT item_count, relevant_count, image_count FROM source_fetch_log
+       WHERE source_name = ? AND status = 'changed' ORDER BY id DESC LIMIT 1`
+    ).get(entry.source) || { item_count: null, relevant_count: null, image_count: null };
+  }
+
+  db.prepare(`
+    INSERT INTO source_fetch_log (source_name, status, latency_ms, item_count, relevant_count, image_count, error)
+    VALUES (@source_name, @status, @latency_ms, @item_count, @relevant_count, @image_count, @error)
+  `).run({
+    source_name: entry.source,
+    status: entry.status,
+    latency_ms: entry.latencyMs ?? null,
+    item_count: counts.item_count ?? null,
+    relevant_count: counts.relevant_count ?? null,
+    image_count: counts.image_count ?? null,
+    error: entry.error || null,
+  });
+}
+
+// Log feed items that scored below their source's threshold. Re-fetches
+// of the same URL update the row rather than adding another.
+function recordRejectedArticles(articles) {
+  if (!db || articles.length === 0) return;
+  const stmt = db.prepare(`
+    INSERT INTO rejected_articles (url, title, source, score, threshold, relevance)
+    VALUES (@url, @title, @source, @score, @threshold, @relevance)
+    ON CONFLICT(url) DO UPDATE SET
+      title = excluded.title, score = excluded.score, threshold = excluded.threshold,
+      relevance = excluded.relevance, rejected_at = datetime('now')
+  `);
+  db.transaction((rows) => {
+    for (const a of rows) {
+      stmt.run({
+        url: a.url,
+        title: a.title,
+        source: a.source,
+        score: a.relevance.score,
+        threshold: a.relevance.threshold,
+        relevance: JSON.stringify(a.relevance),
+      });
+    }
+  })(articles.filter((a) => a.url && a.title));
+}
+
+// Rejected items, near misses first (highest score below threshold)
+function getRejectedArticles({ source, minScore = 0, limit = 100 } = {}) {
+  if (!db) return [];
+  const where = ['score >= @minScore'];
+  if (source) where.push('source = @source');
+  return db.prepare(`
+    SELECT * FROM rejected_articles WHERE ${where.join(' AND ')}
+    ORDER BY score DESC, rejected_at DESC LIMIT @limit
+  `).all({ source: source || null, minScore, limit }).map((row) => {
+    let relevance = null;
+    try { relevance = JSON.parse(row.relevance || 'null'); } catch { /* malformed */ }
+    return {
+      url: row.url,
+      title: row.title,
+      source: row.source,
+      score: row.score,
+      threshold: row.threshold,
+      relevance,
+      rejectedAt: row.rejected_at,
+    };
+  });
+}
+
+// Health summary per source. A source is flagged when it has failed, or
+// returned zero relevant items, for `alertCycles` consecutive cycles.
+function getSourceHealth(sourceNames, alertCycles = 3) {
+  if (!db) return [];
+  const stmt = db.prepare('SELECT * FROM source_fetch_log WHERE source_name = ? ORDER BY id DESC LIMIT 50');
+
+  return sourceNames.map((name) => {
+    const rows = stmt.all(name);
+    const last = rows[0];
+
+    let consecutiveFailures = 0;
+    for (const r of rows) {
+      if (r.status !== 'failed') break;
+      consecutiveFailures++;
+    }
+
+    let consecutiveEmpty = 0;
+    for (const r of rows) {
+      if (r.status === 'failed' || r.relevant_count !== 0) break;
+      consecutiveEmpty++;
+    }
+
+    const lastSuccess = rows.find((r) => r.status !== 'failed');
+    const lastParsed = rows.find((r) => r.status === 'changed');
+    const latencies = rows.slice(0, 20).map((r) => r.latency_ms).filter((l) => l != null);
+
+    const flags = [];
+    if (consecutiveFailures >= alertCycles) flags.push('failing');
+    if (consecutiveEmpty >= alertCycles) flags.push('no_relevant_items');
+
+    return {
+      source: name,
+      lastStatus: last ? last.status : null,
+      lastError: last ? last.error : null,
+      lastFetchedAt: last ? last.fetched_at : null,
+      lastSuccessAt: lastSuccess ? lastSuccess.fetched_at : null,
+      lastChangedAt: lastParsed ? lastParsed.fetched_at : null,
+      consecutiveFailures,
+      consecutiveEmpty,
+      itemCount: lastSuccess ? lastSuccess.item_count : null,
+      relevantCount: lastSuccess ? lastSuccess.relevant_count : null,
+      imageRatio: lastSuccess && lastSuccess.relevant_count > 0
+        ? Math.round((lastSuccess.image_count / lastSuccess.relevant_count) * 100) / 100 : null,
+      avgLatencyMs: latencies.length > 0
+        ? Math.round(latencies.reduce((sum, l) => sum + l, 0) / latencies.length) : null,
+      cycles: rows.length,
+      flags,
+    };
   });
 }
 
@@ -361,33 +1909,307 @@ function getDataQuality() {
     missingBySource,
     sevDistrib,
     recentQuarantine,
+    archive: getArchiveStats(),
   };
 }
 
 // ─── Public intelligence queries ─────────────────────────────────
 
+const STORY_EVENT_COLUMNS = `id, event_index, severity, event_type, event_subtype, verification_status, confidence,
+  actors_normalized, actors, country, regions, scope, rationale, storyline_id, analyst_fields, review_note, reviewed_at`;
+
+// A story's headline event: the most severe of its events (the first the
+// model listed among equals)
 function getEventByClusterHash(hash) {
   if (!db) return null;
   return db.prepare(
-    'SELECT severity, event_type, event_subtype, verification_status, confidence, actors_normalized, actors, regions, scope, rationale FROM events WHERE cluster_hash = ?'
+    `SELECT ${STORY_EVENT_COLUMNS} FROM events WHERE cluster_hash = ? ORDER BY severity DESC, event_index LIMIT 1`
   ).get(hash);
 }
 
-function getIntelligenceSnapshot() {
+// All of a story's events, in the same order: most severe first
+function getEventsByClusterHash(hash) {
+  if (!db) return [];
+  return db.prepare(
+    `SELECT ${STORY_EVENT_COLUMNS} FROM events WHERE cluster_hash = ? ORDER BY severity DESC, event_index`
+  ).all(hash);
+}
+
+// ─── Storylines ─────────────────────────────────────────────────
+
+// Events the storyline linker looks at: extracted in the last `days` days
+function getEventsForStorylines(days) {
+  if (!db) return [];
+  return db.prepare(
+    `SELECT id, cluster_hash, event_index, country, regions, event_subtype, actors, actors_normalized,
+            published_at, extracted_at, storyline_id
+     FROM events
+     WHERE reextract = 0 AND extracted_at > datetime('now', '-' || ? || ' days')`
+  ).all(days);
+}
+
+// `links`: [{ id (event id), storylineId }]
+function setEventStorylines(links) {
+  if (!db || links.length === 0) return;
+  const stmt = db.prepare('UPDATE events SET storyline_id = ? WHERE id = ?');
+  db.transaction(() => {
+    for (const link of links) stmt.run(link.storylineId, link.id);
+  })();
+}
+
+function getStorylineEvents(storylineId) {
+  if (!db) return [];
+  return db.prepare(
+    'SELECT * FROM events WHERE storyline_id = ? AND reextract = 0 ORDER BY published_at ASC, id ASC'
+  ).all(storylineId);
+}
+
+// Storylines with at least `minEvents` events, most recently active first
+function getStorylineIds({ limit = 20, minEvents = 2, country } = {}) {
+  if (!db) return [];
+  const cf = countryFilter(country);
+  return db.prepare(
+    `SELECT storyline_id FROM events
+     WHERE storyline_id IS NOT NULL AND reextract = 0${cf.sql}
+     GROUP BY storyline_id
+     HAVING COUNT(*) >= ?
+     ORDER BY MAX(published_at) DESC
+     LIMIT ?`
+  ).all(...cf.params, minEvents, limit).map((row) => row.storyline_id);
+}
+
+// ─── Re-extraction ──────────────────────────────────────────────
+
+// Events matching a re-extraction selection, oldest first. `promptVersion`
+// and `modelVersion` match exactly ('none' = not recorded); without either,
+// events not extracted with `target` ({ modelVersion, promptVersion }) are
+// selected, except those an analyst wrote. `since` and `until` bound
+// published_at (YYYY-MM-DD). Events flagged for re-extraction are left to
+// the live pipeline, and events that already have a pending candidate from
+// `target` are skipped, so re-running an interrupted job picks up where it
+// stopped.
+function getEventsForReextraction(filters, target) {
+  if (!db) return [];
+  const where = ['e.reextract = 0'];
+  const params = [];
+  const version = (column, value) => {
+    if (value === 'none') where.push(`e.${column} IS NULL`);
+    else { where.push(`e.${column} = ?`); params.push(value); }
+  };
+  if (filters.promptVersion) version('prompt_version', filters.promptVersion);
+  if (filters.modelVersion) version('model_version', filters.modelVersion);
+  if (!filters.promptVersion && !filters.modelVersion) {
+    where.push("(e.prompt_version IS NOT ? OR e.model_version IS NOT ?) AND e.model_version IS NOT 'analyst'");
+    params.push(target.promptVersion, target.modelVersion);
+  }
+  if (filters.since) { where.push('e.published_at >= ?'); params.push(filters.since); }
+  if (filters.until) { where.push('e.published_at < DATE(?, \'+1 day\')'); params.push(filters.until); }
+  if (filters.eventType) { where.push('e.event_type = ?'); params.push(filters.eventType); }
+  if (filters.country) { where.push('LOWER(e.country) = LOWER(?)'); params.push(filters.country); }
+  where.push(`NOT EXISTS (
+    SELECT 1 FROM event_candidates c
+    WHERE c.event_id = e.id AND c.status = 'pending' AND c.model_version = ? AND c.prompt_version = ?
+  )`);
+  params.push(target.modelVersion, target.promptVersion);
+
+  return db.prepare(
+    `SELECT e.* FROM events e WHERE ${where.join(' AND ')} ORDER BY e.published_at ASC, e.id ASC LIMIT ?`
+  ).all(...params, filters.limit || -1);
+}
+
+function createReextractJob(job) {
+  if (!db) return null;
+  const result = db.prepare(`
+    INSERT INTO reextract_jobs (filters, model_version, prompt_version, runner, total)
+    VALUES (@filters, @model_version, @prompt_version, @runner, @total)
+  `).run({
+    filters: JSON.stringify(job.filters || {}),
+    model_version: job.modelVersion,
+    prompt_version: job.promptVersion,
+    runner: job.runner,
+    total: job.total,
+  });
+  return result.lastInsertRowid;
+}
+
+// Progress and completion: `fields` from { status, processed, failed, error }
+function updateReextractJob(id, fields) {
+  if (!db) return;
+  const sets = [];
+  for (const key of ['status', 'processed', 'failed', 'error']) {
+    if (fields[key] !== undefined) sets.push(`${key} = @${key}`);
+  }
+  if (fields.status && fields.status !== 'running') sets.push("finished_at = datetime('now')");
+  if (sets.length === 0) return;
+  db.prepare(`UPDATE reextract_jobs SET ${sets.join(', ')} WHERE id = @id`).run({ ...fields, id });
+}
+
+// Server-run jobs still marked running when the server starts were cut off
+function markInterruptedReextractJobs() {
+  if (!db) return 0;
+  return db.prepare(
+    "UPDATE reextract_jobs SET status = 'interrupted', finished_at = datetime('now') WHERE status = 'running' AND runner = 'server'"
+  ).run().changes;
+}
+
+function rowToReextractJob(row) {
+  let filters = {};
+  try { filters = JSON.parse(row.filters || '{}'); } catch { /* malformed */ }
+  const counts = db.prepare(
+    'SELECT status, COUNT(*) AS count FROM event_candidates WHERE job_id = ? GROUP BY status'
+  ).all(row.id);
+  return {
+    id: row.id,
+    filters,
+    modelVersion: row.model_version,
+    promptVersion: row.prompt_version,
+    runner: row.runner,
+    status: row.status,
+    total: row.total,
+    processed: row.processed,
+    failed: row.failed,
+    error: row.error,
+    createdAt: row.created_at,
+    finishedAt: row.finished_at,
+    candidates: Object.fromEntries(counts.map((c) => [c.status, c.count])),
+  };
+}
+
+function getReextractJobs(limit = 20) {
+  if (!db) return [];
+  return db.prepare('SELECT * FROM reextract_jobs ORDER BY id DESC LIMIT ?').all(limit).map(rowToReextractJob);
+}
+
+function getReextractJob(id) {
+  if (!db) return null;
+  const row = db.prepare('SELECT * FROM reextract_jobs WHERE id = ?').get(id);
+  return row ? rowToReextractJob(row) : null;
+}
+
+// `record`: an event record from extractor.js extractCluster() (null when
+// the run failed or found nothing like the event) plus job_id, event_id,
+// raw_output and error_reasons
+function insertEventCandidate(record) {
+  if (!db) return;
+  const event = record.event || {};
+  db.prepare(`
+    INSERT INTO event_candidates (
+      job_id, event_id, status, summary, country, regions, event_type, event_subtype,
+      severity, scope, verification_status, confidence, rationale, actors, actors_normalized, figures,
+      model_version, prompt_version, raw_output, error_reasons
+    ) VALUES (
+      @job_id, @event_id, @status, @summary, @country, @regions, @event_type, @event_subtype,
+      @severity, @scope, @verification_status, @confidence, @rationale, @actors, @actors_normalized, @figures,
+      @model_version, @prompt_version, @raw_output, @error_reasons
+    )
+  `).run({
+    job_id: record.job_id,
+    event_id: record.event_id,
+    status: record.event ? 'pending' : 'failed',
+    summary: event.summary ?? null,
+    country: event.country ?? null,
+    regions: record.event ? JSON.stringify(event.regions || []) : null,
+    event_type: event.event_type ?? null,
+    event_subtype: event.event_subtype ?? null,
+    severity: event.severity ?? null,
+    scope: event.scope ?? null,
+    verification_status: event.verification_status ?? null,
+    confidence: event.confidence ?? null,
+    rationale: event.rationale ?? null,
+    actors: record.event ? JSON.stringify(event.actors || []) : null,
+    actors_normalized: record.event ? JSON.stringify(event.actors_normalized || []) : null,
+    figures: record.event ? JSON.stringify(event.figures || []) : null,
+    model_version: record.model_version,
+    prompt_version: record.prompt_version,
+    raw_output: record.raw_output || null,
+    error_reasons: JSON.stringify(record.error_reasons || []),
+  });
+}
+
+// A job's candidates, each with the live event it would replace
+function getEventCandidates(jobId) {
+  if (!db) return [];
+  return db.prepare(
+    'SELECT * FROM event_candidates WHERE job_id = ? ORDER BY id'
+  ).all(jobId).map((candidate) => ({
+    candidate,
+    event: db.prepare('SELECT * FROM events WHERE id = ?').get(candidate.event_id) || null,
+  }));
+}
+
+// Fields a promoted candidate copies onto its event
+const CANDIDATE_FIELDS = [
+  'summary', 'country', 'regions', 'event_type', 'event_subtype', 'severity', 'scope',
+  'verification_status', 'confidence', 'rationale', 'actors', 'actors_normalized',
+  'model_version', 'prompt_version',
+];
+
+// Copy a pending candidate onto its event (except fields an analyst set),
+// its figures replacing the event's, and supersede the event's other
+// pending candidates. The event is
+// re-linked to a storyline on the next extraction pass, like any
+// re-extracted event. Returns the event id, or null if the candidate isn't
+// pending (or its event is gone).
+function promoteEventCandidate(id) {
+  if (!db) return null;
+  return db.transaction(() => {
+    const candidate = db.prepare("SELECT * FROM event_candidates WHERE id = ? AND status = 'pending'").get(id);
+    if (!candidate) return null;
+    const changes = {};
+    for (const f of CANDIDATE_FIELDS) changes[f] = JSON_FIELDS.has(f) ? JSON.parse(candidate[f] || '[]') : candidate[f];
+    Object.assign(changes, analystValues(getEventById(candidate.event_id)));
+    const updated = updateEvent(candidate.event_id, changes, {
+      source: 'reextraction',
+      actor: `${candidate.model_version}@${candidate.prompt_version}`,
+      reason: `promoted from re-extraction job #${candidate.job_id}`,
+    });
+    if (!updated) return null;
+    // Candidates stored before figures were extracted have none to give
+    if (candidate.figures != null) setEventFigures(candidate.event_id, JSON.parse(candidate.figures));
+    db.prepare("UPDATE events SET extracted_at = datetime('now'), storyline_id = NULL WHERE id = ?").run(candidate.event_id);
+    db.prepare("UPDATE event_candidates SET status = 'promoted', reviewed_at = datetime('now') WHERE id = ?").run(id);
+    db.prepare(
+      "UPDATE event_candidates SET status = 'superseded', reviewed_at = datetime('now') WHERE event_id = ? AND status = 'pending'"
+    ).run(candidate.event_id);
+    return candidate.event_id;
+  })();
+}
+
+function rejectEventCandidate(id) {
+  if (!db) return false;
+  return db.prepare(
+    "UPDATE event_candidates SET status = 'rejected', reviewed_at = datetime('now') WHERE id = ? AND status = 'pending'"
+  ).run(id).changes > 0;
+}
+
+function getPendingCandidateIds(jobId) {
+  if (!db) return [];
+  return db.prepare("SELECT id FROM event_candidates WHERE job_id = ? AND status = 'pending' ORDER BY id")
+    .all(jobId).map((row) => row.id);
+}
+
+// Optional `country` (display name, e.g. "Ethiopia") narrows the snapshot
+// and period queries below to that country's events
+function countryFilter(country) {
+  return country ? { sql: ' AND LOWER(country) = LOWER(?)', params: [country] } : { sql: '', params: [] };
+}
+
+function getIntelligenceSnapshot(country) {
   if (!db) return null;
+  const cf = countryFilter(country);
 
   const total7d = db.prepare(
-    "SELECT COUNT(*) as count FROM events WHERE extracted_at > datetime('now', '-7 days')"
-  ).get();
+    `SELECT COUNT(*) as count FROM events WHERE extracted_at > datetime('now', '-7 days')${cf.sql}`
+  ).get(...cf.params);
 
   const highSev7d = db.prepare(
-    "SELECT COUNT(*) as count FROM events WHERE severity >= 4 AND extracted_at > datetime('now', '-7 days')"
-  ).get();
+    `SELECT COUNT(*) as count FROM events WHERE severity >= 4 AND extracted_at > datetime('now', '-7 days')${cf.sql}`
+  ).get(...cf.params);
 
   // Top region this week
   const regionRows = db.prepare(
-    "SELECT regions FROM events WHERE extracted_at > datetime('now', '-7 days')"
-  ).all();
+    `SELECT regions FROM events WHERE extracted_at > datetime('now', '-7 days')${cf.sql}`
+  ).all(...cf.params);
   const regionCounts = {};
   for (const row of regionRows) {
     try {
@@ -401,8 +2223,8 @@ function getIntelligenceSnapshot() {
 
   // Top actor this week
   const actorRows = db.prepare(
-    "SELECT actors_normalized, actors FROM events WHERE extracted_at > datetime('now', '-7 days')"
-  ).all();
+    `SELECT actors_normalized, actors FROM events WHERE extracted_at > datetime('now', '-7 days')${cf.sql}`
+  ).all(...cf.params);
   const actorCounts = {};
   for (const row of actorRows) {
     try {
@@ -416,8 +2238,8 @@ function getIntelligenceSnapshot() {
 
   // Severity distribution this week
   const sevDist = db.prepare(
-    "SELECT severity, COUNT(*) as count FROM events WHERE extracted_at > datetime('now', '-7 days') GROUP BY severity ORDER BY severity"
-  ).all();
+    `SELECT severity, COUNT(*) as count FROM events WHERE extracted_at > datetime('now', '-7 days')${cf.sql} GROUP BY severity ORDER BY severity`
+  ).all(...cf.params);
 
   return {
     eventsThisWeek: total7d.count,
@@ -430,31 +2252,34 @@ function getIntelligenceSnapshot() {
 
 // ─── Week-over-week comparison queries (for Risk Delta) ────────
 
-function getEventsForPeriod(startDate, endDate) {
+function getEventsForPeriod(startDate, endDate, country) {
   if (!db) return [];
+  const cf = countryFilter(country);
   return db.prepare(
     `SELECT * FROM events
-     WHERE extracted_at >= ? AND extracted_at < ?
+     WHERE extracted_at >= ? AND extracted_at < ?${cf.sql}
      ORDER BY severity DESC, published_at DESC`
-  ).all(startDate, endDate);
+  ).all(startDate, endDate, ...cf.params);
 }
 
-function getTypeCountsForPeriod(startDate, endDate) {
+function getTypeCountsForPeriod(startDate, endDate, country) {
   if (!db) return [];
+  const cf = countryFilter(country);
   return db.prepare(
     `SELECT event_type, COUNT(*) as count, ROUND(AVG(severity), 1) as avg_severity
      FROM events
-     WHERE extracted_at >= ? AND extracted_at < ?
+     WHERE extracted_at >= ? AND extracted_at < ?${cf.sql}
      GROUP BY event_type ORDER BY count DESC`
-  ).all(startDate, endDate);
+  ).all(startDate, endDate, ...cf.params);
 }
 
-function getRegionSeverityForPeriod(startDate, endDate) {
+function getRegionSeverityForPeriod(startDate, endDate, country) {
   if (!db) return [];
+  const cf = countryFilter(country);
   const events = db.prepare(
     `SELECT regions, severity FROM events
-     WHERE extracted_at >= ? AND extracted_at < ?`
-  ).all(startDate, endDate);
+     WHERE extracted_at >= ? AND extracted_at < ?${cf.sql}`
+  ).all(startDate, endDate, ...cf.params);
 
   const regionScores = {};
   for (const row of events) {
@@ -480,12 +2305,13 @@ function getRegionSeverityForPeriod(startDate, endDate) {
     .sort((a, b) => b.severityWeighted - a.severityWeighted);
 }
 
-function getActorCountsForPeriod(startDate, endDate) {
+function getActorCountsForPeriod(startDate, endDate, country) {
   if (!db) return [];
+  const cf = countryFilter(country);
   const events = db.prepare(
     `SELECT actors_normalized, actors FROM events
-     WHERE extracted_at >= ? AND extracted_at < ?`
-  ).all(startDate, endDate);
+     WHERE extracted_at >= ? AND extracted_at < ?${cf.sql}`
+  ).all(startDate, endDate, ...cf.params);
 
   const counts = {};
   for (const row of events) {
@@ -529,10 +2355,24 @@ function verifyUnsubToken(token) {
 }
 
 module.exports = {
-  initDB, clusterHash, eventExists, insertEvent, insertQuarantine,
+  initDB, clusterHash, eventExists, insertEvent, insertClusterEvents, insertQuarantine, getFiguresForEvents,
+  getEventById, updateEvent, getEventRevisions, revertEvent, reviewEvent,
+  getQuarantineItems, getQuarantineItem, reviewQuarantineItem, approveQuarantineItem,
+  getStoryAssignments, saveStories, updateEventCoverage,
+  getPinnedArticleUrls, mergeStories, splitStory, pinArticle, getStoryOverrides, storyExists,
+  upsertArticles, getRecentArticles, getArticlesByUrls, getEventArticles, saveArticleTranslations,
+  getArticlesNeedingText, saveArticleText, getArticleText, getArticleTexts, getArchivedUrls, getArchiveStats,
+  getFeedState, saveFeedState, getAllFeedStates,
+  getSources, getSourceById, insertSource, updateSource, deleteSource,
+  getSourceTierMap, findSourceByDomain,
+  recordSourceFetch, getSourceHealth, recordRejectedArticles, getRejectedArticles,
   getEventStats, getAllEvents, getHighSeverityEvents, getTopActors, getEventsByRegion,
   getDataQuality,
-  getEventByClusterHash, getIntelligenceSnapshot,
+  getEventByClusterHash, getEventsByClusterHash, getIntelligenceSnapshot,
+  getEventsForStorylines, setEventStorylines, getStorylineEvents, getStorylineIds,
+  getEventsForReextraction, createReextractJob, updateReextractJob, markInterruptedReextractJobs,
+  getReextractJobs, getReextractJob, insertEventCandidate, getEventCandidates,
+  promoteEventCandidate, rejectEventCandidate, getPendingCandidateIds,
   getEventsForPeriod, getTypeCountsForPeriod, getRegionSeverityForPeriod, getActorCountsForPeriod,
   generateUnsubToken, isUnsubscribed, addUnsubscribe, verifyUnsubToken,
 };
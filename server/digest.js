@@ -7,9 +7,13 @@ const {
   getTypeCountsForPeriod,
   getRegionSeverityForPeriod,
   getActorCountsForPeriod,
+  getFiguresForEvents,
+  getSources,
 } = require('./db');
 
-const { normalizeActor } = require('./extractor');
+const { normalizeActor } = require('./actors');
+const { summarizeFigures, aggregateFigures } = require('./figures');
+const { getRegionContainment, isCountryEnabled } = require('./countries');
 
 // ─── Helpers ────────────────────────────────────────────────────
 
@@ -53,6 +57,11 @@ function getISOWeekNumber(date) {
   return 1 + Math.round(((d - week1) / 86400000 - 3 + (week1.getDay() + 6) % 7) / 7);
 }
 
+// Sources actually fetched: enabled, and their country (if any) is monitored
+function monitoredSourceCount() {
+  return getSources({ enabledOnly: true }).filter((s) => isCountryEnabled(s.country)).length;
+}
+
 function safeJSON(s) {
   if (Array.isArray(s)) return s;
   try { return JSON.parse(s || '[]'); } catch { return []; }
@@ -82,24 +91,7 @@ function cleanRationale(rationale) {
 // This handles the case where the same story gets tagged to different
 // geographic levels of the same area.
 
-const REGION_CONTAINMENT = {
-  'el fasher': ['north darfur', 'darfur'],
-  'al-fashir': ['north darfur', 'darfur'],
-  'al fashir': ['north darfur', 'darfur'],
-  'nyala': ['south darfur', 'darfur'],
-  'el geneina': ['west darfur', 'darfur'],
-  'zalingei': ['central darfur', 'darfur'],
-  'north darfur': ['darfur'],
-  'south darfur': ['darfur'],
-  'west darfur': ['darfur'],
-  'central darfur': ['darfur'],
-  'east darfur': ['darfur'],
-  'juba': ['central equatoria'],
-  'malakal': ['upper nile'],
-  'bor': ['jonglei'],
-  'bentiu': ['unity'],
-  'wau': ['western bahr el ghazal'],
-};
+const REGION_CONTAINMENT = getRegionContainment(); // merged from the country profiles
 
 function regionsOverlap(regionsA, regionsB) {
   if (regionsA.length === 0 || regionsB.length === 0) return true;
@@ -190,6 +182,19 @@ function collapseRegions(regions) {
 // Matches on country + subtype + severity, with fuzzy region containment.
 // Allows type mismatch (security/genocide vs humanitarian/genocide = same story).
 
+// What a bundle says about its story, from the event that leads it. An
+// analyst's note on their correction replaces the model's rationale.
+function bundleHeadline(event) {
+  return {
+    summary: event.summary,
+    eventType: event.event_type,
+    rationale: event.analyst_fields && event.review_note ? event.review_note : cleanRationale(event.rationale),
+    verificationStatus: event.verification_status,
+    confidence: event.confidence,
+    primaryUrl: event.primary_url,
+  };
+}
+
 function bundleHighSeverityEvents(events) {
   const bundles = [];
 
@@ -211,7 +216,16 @@ function bundleHighSeverityEvents(events) {
         && regionsOverlap(bundle.regions, evRegions);
 
       if (sameStory) {
-        bundle.sourceCount += event.article_count || 1;
+        // Events from one roundup story share its articles: count them once
+        if (!bundle.storyIds.includes(event.cluster_hash)) {
+          bundle.storyIds.push(event.cluster_hash);
+          bundle.sourceCount += event.article_count || 1;
+        }
+        // Figures stay per event: a bundle can hold separate incidents,
+        // whose numbers neither add up nor dispute each other here
+        bundle.figures.push(...summarizeFigures(event.figures || []));
+        // Lower bound: the bundled events' reports may come from the same outlets
+        bundle.independentSourceCount = Math.max(bundle.independentSourceCount || 0, event.independent_source_count || 0) || null;
         bundle.sources.push(...safeJSON(event.sources));
         bundle.articleUrls.push(...safeJSON(event.article_urls));
         // Merge new regions
@@ -230,6 +244,10 @@ function bundleHighSeverityEvents(events) {
         if (!bundle.primaryUrl && event.primary_url) {
           bundle.primaryUrl = event.primary_url;
         }
+        // An analyst-reviewed event speaks for the bundle over model-only ones
+        if (event.reviewed_at && !bundle.analystReviewed) {
+          Object.assign(bundle, bundleHeadline(event), { primaryUrl: event.primary_url || bundle.primaryUrl, analystReviewed: true });
+        }
         merged = true;
         break;
       }
@@ -237,29 +255,30 @@ function bundleHighSeverityEvents(events) {
 
     if (!merged) {
       bundles.push({
-        summary: event.summary,
+        ...bundleHeadline(event),
         severity: event.severity,
-        eventType: event.event_type,
         eventSubtype: event.event_subtype,
         country: event.country,
         regions: [...evRegions],
         actors: [...safeJSON(event.actors_normalized || event.actors)],
-        rationale: cleanRationale(event.rationale),
-        verificationStatus: event.verification_status,
-        confidence: event.confidence,
-        primaryUrl: event.primary_url,
+        analystReviewed: !!event.reviewed_at,
         publishedAt: event.published_at,
+        storyIds: [event.cluster_hash],
         sourceCount: event.article_count || 1,
+        independentSourceCount: event.independent_source_count || null,
         sources: [...new Set(safeJSON(event.sources))],
         articleUrls: [...safeJSON(event.article_urls)],
+        figures: summarizeFigures(event.figures || []),
       });
     }
   }
 
-  // Deduplicate source names in each bundle
+  // Deduplicate source names in each bundle, and figures two of its
+  // stories report alike
   for (const b of bundles) {
     b.sources = [...new Set(b.sources)];
     b.articleUrls = [...new Set(b.articleUrls)];
+    b.figures = [...new Map(b.figures.map((f) => [JSON.stringify([f.kind, f.unit, f.claims]), f])).values()];
   }
 
   return bundles;
@@ -345,28 +364,33 @@ function renormalizeActorList(actorList) {
 
 // ─── Main digest generator ──────────────────────────────────────
 
-function generateDigest() {
+// `country` (event country name, e.g. "Ethiopia") limits the digest to one
+// country; omitted, it covers every monitored country.
+function generateDigest({ country } = {}) {
   const thisWeek = getWeekBounds(0);
   const lastWeek = getWeekBounds(1);
 
-  // Events
-  const twEvents = getEventsForPeriod(thisWeek.start, thisWeek.end);
-  const lwEvents = getEventsForPeriod(lastWeek.start, lastWeek.end);
+  // Events, with their figures
+  const twEvents = getEventsForPeriod(thisWeek.start, thisWeek.end, country);
+  const lwEvents = getEventsForPeriod(lastWeek.start, lastWeek.end, country);
+  const figuresByEvent = new Map(twEvents.map((e) => [e.id, []]));
+  for (const f of getFiguresForEvents(twEvents.map((e) => e.id))) figuresByEvent.get(f.eventId).push(f);
+  for (const e of twEvents) e.figures = figuresByEvent.get(e.id);
 
   // Determine if baseline is too weak for meaningful % comparison
   const baselineWeak = lwEvents.length < MIN_BASELINE_EVENTS;
 
   // Type counts
-  const twTypes = getTypeCountsForPeriod(thisWeek.start, thisWeek.end);
-  const lwTypes = getTypeCountsForPeriod(lastWeek.start, lastWeek.end);
+  const twTypes = getTypeCountsForPeriod(thisWeek.start, thisWeek.end, country);
+  const lwTypes = getTypeCountsForPeriod(lastWeek.start, lastWeek.end, country);
 
   // Region severity
-  const twRegions = getRegionSeverityForPeriod(thisWeek.start, thisWeek.end);
-  const lwRegions = getRegionSeverityForPeriod(lastWeek.start, lastWeek.end);
+  const twRegions = getRegionSeverityForPeriod(thisWeek.start, thisWeek.end, country);
+  const lwRegions = getRegionSeverityForPeriod(lastWeek.start, lastWeek.end, country);
 
   // Actor counts (re-normalized at digest time)
-  const twActors = renormalizeActorList(getActorCountsForPeriod(thisWeek.start, thisWeek.end));
-  const lwActors = renormalizeActorList(getActorCountsForPeriod(lastWeek.start, lastWeek.end));
+  const twActors = renormalizeActorList(getActorCountsForPeriod(thisWeek.start, thisWeek.end, country));
+  const lwActors = renormalizeActorList(getActorCountsForPeriod(lastWeek.start, lastWeek.end, country));
 
   // ── Section 1: Topline Shift ──────────────────────────────
   const lwTypeMap = Object.fromEntries(lwTypes.map((t) => [t.event_type, t]));
@@ -407,7 +431,18 @@ function generateDigest() {
   const highSeverity = bundleHighSeverityEvents(rawHighSev).slice(0, 10);
   const highSeverityGroups = groupRelatedBundles(highSeverity);
 
-  // ── Section 3: Hot Regions ────────────────────────────────
+  // ── Section 3: Reported Figures ───────────────────────────
+  // Summed per kind over incidents — an incident being one extracted
+  // event, whose claims alone are checked against each other (a story
+  // reported twice is one story after clustering and analyst merges)
+  const figures = aggregateFigures(twEvents.filter((e) => e.figures.length > 0).map((e) => ({
+    summary: e.summary,
+    country: e.country,
+    primaryUrl: e.primary_url,
+    figures: summarizeFigures(e.figures),
+  })));
+
+  // ── Section 4: Hot Regions ────────────────────────────────
   const lwRegionMap = Object.fromEntries(lwRegions.map((r) => [r.region, r]));
   const hotRegions = twRegions.slice(0, 10).map((r) => {
     const prev = lwRegionMap[r.region];
@@ -421,7 +456,7 @@ function generateDigest() {
     };
   });
 
-  // ── Section 4: Actor Spikes ───────────────────────────────
+  // ── Section 5: Actor Spikes ───────────────────────────────
   const lwActorMap = Object.fromEntries(lwActors.map((a) => [a.actor, a.count]));
   const actorSpikes = twActors.slice(0, 15).map((a) => {
     const prev = lwActorMap[a.actor] || 0;
@@ -437,11 +472,13 @@ function generateDigest() {
 
   return {
     weekNumber: weekNum,
+    country: country || null,
     generatedAt: new Date().toISOString(),
     period: { thisWeek: thisWeek.label, lastWeek: lastWeek.label },
     topline,
     highSeverity,
     highSeverityGroups,
+    figures,
     hotRegions,
     actorSpikes,
     dataPoints: {
@@ -516,6 +553,15 @@ h2 { font-size: 11px; text-transform: uppercase; letter-spacing: 1.6px; color: #
 /* Rationale — footnote energy */
 .ev-rationale { font-size: 11px; color: #5A5A60; margin-top: 6px; line-height: 1.5; }
 
+/* Figures — on event cards and in their own section */
+.ev-figures { font-size: 12px; color: #A8A0C0; margin-top: 8px; line-height: 1.5; }
+.ev-figures .attribution { color: #5A5A64; font-size: 11px; }
+.figure-conflict { color: #C0905A; font-size: 10px; font-weight: 600; letter-spacing: 0.4px; text-transform: uppercase; margin-left: 6px; }
+.figure-row { display: flex; justify-content: space-between; align-items: center; padding: 9px 0 4px; border-bottom: 1px solid #14141A; font-size: 13px; }
+.figure-total { color: #D0D0D4; font-weight: 500; }
+.figure-meta { color: #5A5A64; font-size: 12px; }
+.figure-incident { font-size: 11px; color: #7A7A84; padding: 5px 0 5px 12px; line-height: 1.5; }
+
 /* Hot Regions */
 .region-row { display: flex; justify-content: space-between; align-items: center; padding: 7px 0; border-bottom: 1px solid #14141A; font-size: 13px; }
 
@@ -545,7 +591,7 @@ a:hover { color: #8AAAC0; }
 
   // Document header
   html += '<div class="doc-header">';
-  html += `<p class="doc-title">Horn Risk Delta — Week ${d.weekNumber}</p>`;
+  html += `<p class="doc-title">Horn Risk Delta${d.country ? ` — ${d.country}` : ''} — Week ${d.weekNumber}</p>`;
   html += `<p class="doc-subtitle">${d.period.thisWeek} &middot; Generated ${new Date(d.generatedAt).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' })}</p>`;
   html += '</div>';
 
@@ -589,12 +635,19 @@ a:hover { color: #8AAAC0; }
       const regionDisplay = e.regions.length ? collapseRegions(e.regions).join(', ') : '';
       card += `<span class="ev-location">${e.country}${regionDisplay ? ' — ' + regionDisplay : ''}</span>`;
     }
-    card += `<span class="ev-verification">${e.verificationStatus}</span>`;
+    card += `<span class="ev-verification">${e.verificationStatus}${e.analystReviewed ? ' · analyst-reviewed' : ''}</span>`;
     if (e.primaryUrl) card += `<span class="ev-source-link"><a href="${escHTML(e.primaryUrl)}">source</a></span>`;
     card += '</div>';
 
     if (e.sourceCount > 1) {
-      card += `<div class="ev-sources">${e.sourceCount} articles across ${e.sources.length} sources: ${e.sources.join(', ')}</div>`;
+      const independent = e.independentSourceCount && e.independentSourceCount < e.sources.length
+        ? ` (${e.independentSourceCount} independent)` : '';
+      card += `<div class="ev-sources">${e.sourceCount} articles across ${e.sources.length} sources${independent}: ${e.sources.join(', ')}</div>`;
+    }
+    for (const f of e.figures || []) {
+      card += `<div class="ev-figures">${escHTML(f.label)} <span class="attribution">— ${escHTML(figureClaimsText(f))}</span>`;
+      if (f.conflict) card += '<span class="figure-conflict">sources disagree</span>';
+      card += '</div>';
     }
     if (e.rationale) {
       card += `<div class="ev-rationale">${escHTML(e.rationale)}</div>`;
@@ -618,7 +671,23 @@ a:hover { color: #8AAAC0; }
     }
   }
 
-  // Section 3: Hot Regions
+  // Section 3: Reported Figures
+  html += '<h2>Reported Figures</h2>';
+  if (d.figures.length === 0) {
+    html += '<div style="color:#4A4A54; font-size:12px; padding:12px 0">No casualty, displacement or aid figures reported this period.</div>';
+  }
+  for (const t of d.figures) {
+    const disputed = t.conflicts ? ` · ${t.conflicts} disputed` : '';
+    html += `<div class="figure-row"><span class="figure-total">${escHTML(t.label)}</span><span class="figure-meta">${t.incidents.length} incident${t.incidents.length === 1 ? '' : 's'}${disputed}</span></div>`;
+    for (const i of t.incidents.slice(0, 3)) {
+      const summary = i.primaryUrl ? `<a href="${escHTML(i.primaryUrl)}">${escHTML(i.summary)}</a>` : escHTML(i.summary);
+      html += `<div class="figure-incident">${summary}: ${escHTML(i.label)} — ${escHTML(figureClaimsText(i))}`;
+      if (i.conflict) html += '<span class="figure-conflict">sources disagree</span>';
+      html += '</div>';
+    }
+  }
+
+  // Section 4: Hot Regions
   html += '<h2>Hot Regions</h2>';
   if (d.hotRegions.length === 0) {
     html += '<div style="color:#4A4A54; font-size:12px; padding:12px 0">No regional data this period.</div>';
@@ -632,7 +701,7 @@ a:hover { color: #8AAAC0; }
     }
   }
 
-  // Section 4: Actor Activity
+  // Section 5: Actor Activity
   html += '<h2>Actor Activity</h2>';
   const spikes = d.actorSpikes.filter((a) => a.change !== 0).slice(0, 10);
   if (spikes.length === 0) {
@@ -652,7 +721,7 @@ a:hover { color: #8AAAC0; }
   }
 
   // Footer — confident, no AI language
-  const sourceCount = 16;
+  const sourceCount = monitoredSourceCount();
   const sevNote = d.dataPoints.highSevRawCount !== d.dataPoints.highSevCount
     ? `${d.dataPoints.highSevRawCount} severity 4-5 events consolidated into ${d.dataPoints.highSevCount} items`
     : `${d.dataPoints.highSevCount} severity 4-5 events`;
@@ -669,7 +738,7 @@ function renderDigestText(digest) {
   const bw = d.topline.baselineWeak;
   let text = '';
 
-  text += `HORN RISK DELTA — WEEK ${d.weekNumber}\n`;
+  text += `HORN RISK DELTA${d.country ? ` — ${d.country.toUpperCase()}` : ''} — WEEK ${d.weekNumber}\n`;
   text += `${d.period.thisWeek}\n`;
   text += `${'─'.repeat(50)}\n\n`;
 
@@ -696,9 +765,12 @@ function renderDigestText(digest) {
   function renderEventText(e, indent) {
     let t = '';
     t += `${indent}[${SEV_LABELS[e.severity] || 'SEV ' + e.severity}] ${e.summary}\n`;
-    t += `${indent}  ${e.country}${e.regions.length ? ' / ' + collapseRegions(e.regions).join(', ') : ''} | ${e.verificationStatus}`;
+    t += `${indent}  ${e.country}${e.regions.length ? ' / ' + collapseRegions(e.regions).join(', ') : ''} | ${e.verificationStatus}${e.analystReviewed ? ' (analyst-reviewed)' : ''}`;
     if (e.sourceCount > 1) t += ` | ${e.sourceCount} articles`;
     t += '\n';
+    for (const f of e.figures || []) {
+      t += `${indent}  ${f.label} — ${figureClaimsText(f)}${f.conflict ? ' [SOURCES DISAGREE]' : ''}\n`;
+    }
     if (e.rationale) t += `${indent}  ${e.rationale}\n`;
     t += '\n';
     return t;
@@ -716,7 +788,18 @@ function renderDigestText(digest) {
     }
   }
 
-  text += 'HOT REGIONS\n';
+  text += 'REPORTED FIGURES\n';
+  if (d.figures.length === 0) {
+    text += '  (none this week)\n';
+  }
+  for (const t of d.figures) {
+    text += `  ${t.label} — ${t.incidents.length} incident${t.incidents.length === 1 ? '' : 's'}${t.conflicts ? `, ${t.conflicts} disputed` : ''}\n`;
+    for (const i of t.incidents.slice(0, 3)) {
+      text += `    ${i.summary}: ${i.label} — ${figureClaimsText(i)}${i.conflict ? ' [SOURCES DISAGREE]' : ''}\n`;
+    }
+  }
+
+  text += '\nHOT REGIONS\n';
   for (const r of d.hotRegions.slice(0, 8)) {
     if (bw) {
       text += `  ${r.region}: ${r.count} events, avg severity ${r.avgSeverity}\n`;
@@ -736,14 +819,22 @@ function renderDigestText(digest) {
   }
 
   text += `\n${'─'.repeat(50)}\n`;
-  text += `Generated from 16 monitored sources | ${d.dataPoints.eventsThisWeek} events | ${d.dataPoints.countriesThisWeek.join(', ')}\n`;
+  text += `Generated from ${monitoredSourceCount()} monitored sources | ${d.dataPoints.eventsThisWeek} events | ${d.dataPoints.countriesThisWeek.join(', ')}\n`;
 
   return text;
 }
 
+// Who said what: "reported by WFP" for a single claim, else
+// "50 killed (reported by OCHA) vs 12 killed (reported by SSPDF)"
+function figureClaimsText(figure) {
+  const attribution = (c) => `${c.source ? `reported by ${c.source}` : 'unattributed'}${c.date ? `, as of ${c.date}` : ''}`;
+  if (figure.claims.length === 1) return attribution(figure.claims[0]);
+  return figure.claims.map((c) => `${c.label} (${attribution(c)})`).join(figure.conflict ? ' vs ' : '; ');
+}
+
 function escHTML(s) {
   if (!s) return '';
   return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
-module.exports = { generateDigest, renderDigestHTML, renderDigestText };
+module.exports = { generateDigest, renderDigestHTML, renderDigestText, regionsOverlap, hasSharedActors, collapseRegions };
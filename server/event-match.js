@@ -0,0 +1,42 @@
+// Pairing a story's stored events with a fresh extraction of the story.
+// The model lists a story's events most important first, and that order
+// can change between runs (a flood outgrows the clash it was reported
+// with), so an event is matched by what it is — type, then a shared
+// region — and its place in the list only breaks ties. Used by db.js
+// when a re-extraction replaces a story's events, and by reextract.js
+// when it compares candidates with the live events.
+
+function regionList(value) {
+  if (Array.isArray(value)) return value;
+  try { return JSON.parse(value || '[]'); } catch { return []; }
+}
+
+// How alike a stored event and an extracted record are: same type counts
+// most, then a shared region, then the same place in the story's list
+function matchScore(event, record, index) {
+  const regions = new Set(regionList(event.regions).map((r) => String(r).toLowerCase()));
+  return (record.event_type === event.event_type ? 2 : 0)
+    + (regionList(record.regions).some((r) => regions.has(String(r).toLowerCase())) ? 1 : 0)
+    + (index === (event.event_index || 0) ? 0.5 : 0);
+}
+
+// Pair each of a story's stored events with a distinct extracted record
+// (null when none is left), best matches first. The same place in the
+// list alone is no match: it would hand one event's history and analyst
+// corrections to another.
+function pairEvents(storyEvents, records) {
+  const pairs = storyEvents
+    .flatMap((event) => records.map((record, index) => ({ event, record, score: matchScore(event, record, index) })))
+    .filter((p) => p.score >= 1)
+    .sort((a, b) => b.score - a.score);
+  const matched = new Map();
+  const taken = new Set();
+  for (const { event, record } of pairs) {
+    if (matched.has(event) || taken.has(record)) continue;
+    matched.set(event, record);
+    taken.add(record);
+  }
+  return storyEvents.map((event) => ({ event, record: matched.get(event) || null }));
+}
+
+module.exports = { pairEvents };
@@ -0,0 +1,289 @@
+// The event record: one declarative schema for what extraction produces,
+// shared by extractor.js (the model's tool-calling schema, the prompt's
+// field list, validation), backtest.js (through extractor.js), db.js
+// (CHECK constraints and defaults) and the analyst paths (review.js,
+// quarantine.js), so none of them can drift from the others.
+//
+// Each field declares its JSON type, enum or bounds, whether it is
+// `required`, the `default` used when the model leaves it out, whether
+// it is `nullable`, its events `column` and the `description` shown to
+// the model. The model returns a list of them per story (a roundup can
+// report a clash, a flood and a reshuffle at once), most important first.
+// An event's `figures` are records of their own (FIGURE_FIELDS): the
+// numbers the reporting states, each as attributed, kept in the
+// event_figures table rather than an events column.
+// validateEvent() coerces before it checks:
+//   - numeric strings become numbers ("12,000" too); integers are rounded (4.6 → 5)
+//   - strings are trimmed, and an empty nullable string is null
+//   - a comma-separated string is split where a list of strings is
+//     expected, and a JSON string parsed where a list of records is
+//   - `slug` fields are lowercased, spaces and dashes becoming underscores
+// Errors carry the path of the offending value, e.g.
+// "events[1].regions[2]: expected a string, got number". A bad figure
+// doesn't cost its event: it is left out, and its errors come back as
+// `warnings` ("events[0].figures[1].high: must be at least low (40), got 30").
+
+const EVENT_TYPES = ['security', 'political', 'economic', 'humanitarian', 'infrastructure', 'legal'];
+const SCOPES = ['local', 'state', 'national', 'cross_border'];
+const VERIFICATION_STATUSES = ['confirmed', 'reported', 'unverified'];
+const FIGURE_KINDS = ['killed', 'injured', 'displaced', 'refugees', 'returnees', 'detained', 'missing', 'affected', 'aid'];
+const FIGURE_UNITS = ['people', 'households', 'tonnes', 'usd'];
+
+// One quantitative claim. `atLeast` names the field a value can't be below
+const FIGURE_FIELDS = {
+  kind: {
+    type: 'string', enum: FIGURE_KINDS, required: true, column: 'kind',
+    description: 'What is counted: displaced = inside the country, refugees = across a border, affected = e.g. by floods, aid = delivered or pledged',
+  },
+  unit: {
+    type: 'string', enum: FIGURE_UNITS, default: 'people', column: 'unit',
+    description: 'What the number counts',
+  },
+  low: {
+    type: 'number', minimum: 0, required: true, column: 'value_low',
+    description: 'The number, or the lower end of a range ("30-40", "at least 30")',
+  },
+  high: {
+    type: 'number', minimum: 0, nullable: true, atLeast: 'low', column: 'value_high',
+    description: 'Upper end of a range; null for a single number',
+  },
+  date: {
+    type: 'string', nullable: true, pattern: '^\\d{4}-\\d{2}-\\d{2}$', patternLabel: 'a YYYY-MM-DD date', column: 'as_of',
+    description: 'Date the figure refers to (YYYY-MM-DD), when the article gives one',
+  },
+  source: {
+    type: 'string', nullable: true, column: 'reported_by',
+    description: 'Who the article attributes the figure to, e.g. OCHA, UNHCR, the army spokesperson, local officials; null if unattributed',
+  },
+};
+
+const EVENT_FIELDS = {
+  summary: {
+    type: 'string', nullable: true, column: 'summary',
+    description: '1-2 sentence factual summary',
+  },
+  country: {
+    type: 'string', required: true, column: 'country',
+    description: 'Primary country affected, e.g. South Sudan, Sudan, Uganda',
+  },
+  regions: {
+    type: 'array', items: 'string', default: [], column: 'regions',
+    description: 'Specific regions/states mentioned, by their standard admin names',
+  },
+  eventType: {
+    type: 'string', enum: EVENT_TYPES, required: true, column: 'event_type',
+    description: 'Event category',
+  },
+  eventSubtype: {
+    type: 'string', nullable: true, slug: true, column: 'event_subtype',
+    description: 'Short lowercase slug, e.g. clash, ceasefire, peace_talks, displacement, flooding, legislation',
+  },
+  severity: {
+    type: 'integer', minimum: 1, maximum: 5, required: true, column: 'severity',
+    description: 'Severity on the 1-5 scale',
+  },
+  scope: {
+    type: 'string', enum: SCOPES, default: 'local', column: 'scope',
+    description: 'Geographic reach',
+  },
+  verificationStatus: {
+    type: 'string', enum: VERIFICATION_STATUSES, default: 'reported', column: 'verification_status',
+    description: 'How well the reporting establishes the event',
+  },
+  confidence: {
+    type: 'number', minimum: 0, maximum: 1, default: 0.5, column: 'confidence',
+    description: 'How certain the extracted information is (0.5 = moderate, 0.8 = high, 1.0 = definitive)',
+  },
+  actors: {
+    type: 'array', items: 'string', default: [], column: 'actors',
+    description: 'Key actors: organizations, governments, armed groups, individuals',
+  },
+  rationale: {
+    type: 'string', nullable: true, column: 'rationale',
+    description: 'One sentence stating the key fact that justifies the severity',
+  },
+  figures: {
+    type: 'array', items: 'object', fields: FIGURE_FIELDS, default: [],
+    description: 'Numbers the articles state (casualties, displacement, refugees, aid), one entry per claim as attributed',
+  },
+};
+
+// ─── JSON Schema (model output) ─────────────────────────────────
+
+function toJSONSchema(fields) {
+  const properties = {};
+  for (const [name, field] of Object.entries(fields)) {
+    let property;
+    if (field.type === 'array') {
+      property = { type: 'array', items: field.fields ? toJSONSchema(field.fields) : { type: field.items } };
+    } else {
+      property = { type: field.nullable ? [field.type, 'null'] : field.type };
+    }
+    if (field.enum) property.enum = field.enum;
+    if (field.minimum != null) property.minimum = field.minimum;
+    if (field.maximum != null) property.maximum = field.maximum;
+    if (field.pattern) property.pattern = field.pattern;
+    property.description = field.description;
+    properties[name] = property;
+  }
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(fields).filter((name) => fields[name].required),
+    additionalProperties: false,
+  };
+}
+
+const EVENT_JSON_SCHEMA = toJSONSchema(EVENT_FIELDS);
+
+const MAX_EVENTS_PER_STORY = 5;
+
+// What the extraction tool takes: the story's events
+const EXTRACTION_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    events: {
+      type: 'array',
+      items: EVENT_JSON_SCHEMA,
+      minItems: 1,
+      maxItems: MAX_EVENTS_PER_STORY,
+      description: 'Each distinct event the articles report, most important first',
+    },
+  },
+  required: ['events'],
+  additionalProperties: false,
+};
+
+// ─── Validation ─────────────────────────────────────────────────
+
+function typeName(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function isMissing(field, value) {
+  if (value === undefined || value === null) return true;
+  return field.type !== 'array' && typeof value === 'string' && value.trim() === '';
+}
+
+// The coerced value of one present field; problems go to `errors`, and
+// records dropped from a list of them to `warnings`
+function checkValue(field, value, path, errors, warnings) {
+  if (field.type === 'integer' || field.type === 'number') {
+    const number = typeof value === 'string' ? Number(value.trim().replace(/,(?=\d{3}\b)/g, '')) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      errors.push(`${path}: expected a number, got ${typeName(value)}`);
+      return undefined;
+    }
+    const coerced = field.type === 'integer' ? Math.round(number) : number;
+    if ((field.minimum != null && coerced < field.minimum) || (field.maximum != null && coerced > field.maximum)) {
+      const bounds = field.maximum == null ? `at least ${field.minimum}`
+        : field.minimum == null ? `at most ${field.maximum}`
+          : `between ${field.minimum} and ${field.maximum}`;
+      errors.push(`${path}: must be ${bounds}, got ${number}`);
+      return undefined;
+    }
+    return coerced;
+  }
+
+  if (field.type === 'array' && field.fields) {
+    let list = value;
+    if (typeof value === 'string') {
+      try { list = value.trim() ? JSON.parse(value) : []; } catch { /* reported below */ }
+    }
+    if (!Array.isArray(list)) {
+      warnings.push(`${path}: expected a list, got ${typeName(value)}`);
+      return [];
+    }
+    const items = [];
+    list.forEach((item, i) => {
+      const checked = validateRecord(field.fields, item, { path: `${path}[${i}]` });
+      warnings.push(...checked.errors, ...checked.warnings);
+      if (checked.value) items.push(checked.value);
+    });
+    return items;
+  }
+
+  if (field.type === 'array') {
+    const list = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(list)) {
+      errors.push(`${path}: expected a list, got ${typeName(value)}`);
+      return undefined;
+    }
+    const items = [];
+    list.forEach((item, i) => {
+      if (typeof item !== 'string') errors.push(`${path}[${i}]: expected a string, got ${typeName(item)}`);
+      else if (item.trim()) items.push(item.trim());
+    });
+    return items;
+  }
+
+  if (typeof value !== 'string') {
+    errors.push(`${path}: expected a string, got ${typeName(value)}`);
+    return undefined;
+  }
+  let text = value.trim();
+  if (field.slug) text = text.toLowerCase().replace(/[\s-]+/g, '_');
+  if (field.enum && !field.enum.includes(text)) {
+    errors.push(`${path}: must be one of ${field.enum.join(', ')}, got "${text}"`);
+    return undefined;
+  }
+  if (field.pattern && !new RegExp(field.pattern).test(text)) {
+    errors.push(`${path}: must be ${field.patternLabel || `like ${field.pattern}`}, got "${text}"`);
+    return undefined;
+  }
+  return text;
+}
+
+// Check and coerce `data` against EVENT_FIELDS. Returns { value, errors,
+// warnings }: `value` holds the schema's fields only, defaults filled in,
+// and is null when there are errors; `warnings` list the figures dropped. With
+// `partial` (a correction to an existing event), fields that aren't given
+// are left out and nothing is required — but a given field still can't
+// be emptied if it is required. `path` prefixes error paths ("events[1]").
+function validateEvent(data, options) {
+  return validateRecord(EVENT_FIELDS, data, options);
+}
+
+function validateRecord(fields, data, { partial = false, path = '' } = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: [`${path ? `${path}: ` : ''}expected an object, got ${typeName(data)}`], warnings: [] };
+  }
+  const prefix = path ? `${path}.` : '';
+  const value = {};
+  const errors = [];
+  const warnings = [];
+  for (const [name, field] of Object.entries(fields)) {
+    const given = data[name];
+    if (partial && given === undefined) continue;
+    if (isMissing(field, given)) {
+      if (field.required) errors.push(`${prefix}${name}: required`);
+      else if (field.default !== undefined) value[name] = Array.isArray(field.default) ? [] : field.default;
+      else value[name] = null;
+      continue;
+    }
+    const coerced = checkValue(field, given, `${prefix}${name}`, errors, warnings);
+    if (coerced !== undefined) value[name] = coerced;
+  }
+  for (const [name, field] of Object.entries(fields)) {
+    const bound = value[field.atLeast];
+    if (field.atLeast && value[name] != null && bound != null && value[name] < bound) {
+      errors.push(`${prefix}${name}: must be at least ${field.atLeast} (${bound}), got ${value[name]}`);
+    }
+  }
+  return { value: errors.length ? null : value, errors, warnings };
+}
+
+// A validated record (or part of one) keyed by column: events columns, or
+// event_figures columns with FIGURE_FIELDS. Fields without a column (an
+// event's figures) are left out.
+function toColumns(value, fields = EVENT_FIELDS) {
+  return Object.fromEntries(Object.entries(value)
+    .filter(([name]) => fields[name].column)
+    .map(([name, v]) => [fields[name].column, v]));
+}
+
+module.exports = {
+  EVENT_FIELDS, FIGURE_FIELDS, EVENT_JSON_SCHEMA, EXTRACTION_JSON_SCHEMA, MAX_EVENTS_PER_STORY,
+  EVENT_TYPES, SCOPES, VERIFICATION_STATUSES, FIGURE_KINDS, FIGURE_UNITS, validateEvent, toColumns,
+};
@@ -1,134 +1,34 @@
 // Structured event extraction — runs in background after feed loads.
 // Every cluster gets tagged with: eventType, subtype, severity, scope,
-// verificationStatus, confidence, actors, country, regions, rationale.
-// Failed/borderline extractions go to quarantine for learning.
-// Results persist to SQLite. The front-end doesn't change.
+// verificationStatus, confidence, actors, country, regions, rationale and
+// the figures the reporting states (casualties, displacement, aid) —
+// once per distinct event it reports (usually one; a roundup can carry
+// several). The model answers by calling a record_event tool whose
+// parameters are a list of event schema records (event-schema.js), and
+// each is validated against the same schema. Failed/borderline extractions go to
+// quarantine for learning. Results persist to SQLite. The front-end
+// doesn't change.
 
 const Groq = require('groq-sdk');
-const { clusterHash, eventExists, insertEvent, insertQuarantine } = require('./db');
+const { clusterHash, eventExists, insertClusterEvents, insertQuarantine, updateEventCoverage, getSourceTierMap, getArticleTexts } = require('./db');
+const { normalizeActor, normalizeActors } = require('./actors');
+const { getCountryProfiles } = require('./countries');
+const { SOURCE_TIERS } = require('./sources');
+const { linkStorylines } = require('./storylines');
+const {
+  EVENT_FIELDS, FIGURE_FIELDS, EXTRACTION_JSON_SCHEMA, MAX_EVENTS_PER_STORY, validateEvent, toColumns,
+} = require('./event-schema');
 
 let groqClient = null;
 const REQUEST_DELAY_MS = 3000;
 const MAX_RETRIES = 3;
+const FULL_TEXT_CHARS = 2000; // archived lead-article text added to the input
 
 // ─── Provenance ─────────────────────────────────────────────────
 
 const MODEL_VERSION = 'llama-3.3-70b-versatile';
-const PROMPT_VERSION = 'v3'; // bump when you change EXTRACTION_PROMPT
-
-// ─── Validation enums ──────────────────────────────────────────
-
-const VALID_EVENT_TYPES = new Set([
-  'security', 'political', 'economic', 'humanitarian', 'infrastructure', 'legal',
-]);
-const VALID_SCOPES = new Set(['local', 'state', 'national', 'cross_border']);
-const VALID_VERIFICATION = new Set(['confirmed', 'reported', 'unverified']);
-
-// ─── Actor normalization ────────────────────────────────────────
-
-const ACTOR_ALIASES = {
-  // Government variations
-  'govt of south sudan': 'Government of South Sudan',
-  'government of south sudan': 'Government of South Sudan',
-  'goss': 'Government of South Sudan',
-  'south sudan government': 'Government of South Sudan',
-  'south sudanese government': 'Government of South Sudan',
-  'govt of sudan': 'Government of Sudan',
-  'government of sudan': 'Government of Sudan',
-  'sudan government': 'Government of Sudan',
-  'sudanese government': 'Government of Sudan',
-  'saf': 'Sudan Armed Forces (SAF)',
-  'sudan armed forces': 'Sudan Armed Forces (SAF)',
-
-  // United Nations — all forms → single canonical name
-  'un': 'United Nations',
-  'united nations': 'United Nations',
-  'the united nations': 'United Nations',
-  'the un': 'United Nations',
-
-  // Known orgs — normalize to canonical form
-  'splm-io': 'SPLM-IO',
-  'splm/a-io': 'SPLM-IO',
-  'splm - io': 'SPLM-IO',
-  'splm/spla-io': 'SPLM-IO',
-  'splm': 'SPLM',
-  'unmiss': 'UNMISS',
-  'un mission in south sudan': 'UNMISS',
-  'united nations mission in south sudan': 'UNMISS',
-  'rsf': 'Rapid Support Forces (RSF)',
-  'rapid support forces': 'Rapid Support Forces (RSF)',
-  'rapid support forces (rsf)': 'Rapid Support Forces (RSF)',
-  'igad': 'IGAD',
-  'intergovernmental authority on development': 'IGAD',
-  'unhcr': 'UNHCR',
-  'un refugee agency': 'UNHCR',
-  'wfp': 'WFP',
-  'world food programme': 'WFP',
-  'world food program': 'WFP',
-  'icrc': 'ICRC',
-  'international committee of the red cross': 'ICRC',
-  'red cross': 'ICRC',
-  'au': 'African Union',
-  'african union': 'African Union',
-  'ocha': 'UN OCHA',
-  'un ocha': 'UN OCHA',
-  'unicef': 'UNICEF',
-  'iom': 'IOM',
-  'international organization for migration': 'IOM',
-  'msf': 'MSF',
-  'doctors without borders': 'MSF',
-  'médecins sans frontières': 'MSF',
-  'eu': 'European Union',
-  'european union': 'European Union',
-  'the european union': 'European Union',
-  'icj': 'International Commission of Jurists',
-  'international commission of jurists': 'International Commission of Jurists',
-};
-
-function normalizeActor(actor) {
-  const key = actor.toLowerCase().trim();
-  return ACTOR_ALIASES[key] || actor.trim();
-}
-
-function normalizeActors(actors) {
-  if (!Array.isArray(actors)) return [];
-  const seen = new Set();
-  const result = [];
-  for (const actor of actors) {
-    const normalized = normalizeActor(actor);
-    if (normalized && !seen.has(normalized.toLowerCase())) {
-      seen.add(normalized.toLowerCase());
-      result.push(normalized);
-    }
-  }
-  return result;
-}
-
-// Source tier mapping (deterministic — no AI needed)
-const SOURCE_TIERS = {
-  // Tier 1: Major international / official
-  'BBC Africa': 'tier1',
-  'Reuters': 'tier1',
-  'Reuters Sudan': 'tier1',
-  'Al Jazeera': 'tier1',
-  'The Guardian Africa': 'tier1',
-  'France24 Africa': 'tier1',
-  'UN News Africa': 'tier1',
-  'VOA Africa': 'tier1',
-  'VOA Sudan': 'tier1',
-
-  // Tier 2: Regional / established local
-  'Radio Tamazuj': 'tier2',
-  'Eye Radio': 'tier2',
-  'Sudan Tribune': 'tier2',
-  'Dabanga Radio': 'tier2',
-  'Africanews': 'tier2',
-
-  // Tier 3: Community / aggregated
-  'Nyamilepedia': 'tier3',
-  'Google News': 'tier3',
-  'Google News Sudan': 'tier3',
-};
+const PROMPT_VERSION = 'v7'; // bump when you change buildExtractionPrompt() or the event schema
+const EXTRACTION_TOOL = 'record_event';
 
 function initExtractor(apiKey) {
   if (apiKey) {
@@ -156,76 +56,58 @@ async function callGroqWithRetry(params) {
   }
 }
 
+// Source tier (deterministic — no AI needed): best tier among the
+// cluster's sources, read from the source registry. SOURCE_TIERS is
+// ordered best first (tier1 > humanitarian > tier2 > tier3).
 function getSourceTier(sources) {
-  for (const s of sources) {
-    if (SOURCE_TIERS[s] === 'tier1') return 'tier1';
-  }
-  for (const s of sources) {
-    if (SOURCE_TIERS[s] === 'tier2') return 'tier2';
-  }
-  return 'tier3';
+  const tiers = getSourceTierMap();
+  const ranks = sources.map((s) => SOURCE_TIERS.indexOf(tiers[s])).filter((r) => r !== -1);
+  return ranks.length ? SOURCE_TIERS[Math.min(...ranks)] : 'tier3';
 }
 
 // ─── Validation ─────────────────────────────────────────────────
-// Returns { hardErrors: [...], softErrors: [...] }
+// Returns { value, hardErrors: [...], softErrors: [...], warnings: [...] }
+// for one event
+// value = the coerced record (event-schema.js), null on hard errors
 // Hard errors = invalid schema (reject entirely)
 // Soft errors = borderline quality (quarantine, don't insert)
+// Warnings = invalid figures, left out of the value
+// `path` locates the event in the answer ("events[1]") in the errors
+
+function validateExtraction(data, path = '') {
+  const { value, errors, warnings } = validateEvent(data, { path });
+  if (errors.length > 0) return { value: null, hardErrors: errors, softErrors: [], warnings };
 
-function validateExtraction(data) {
-  const hardErrors = [];
+  const at = path ? `${path}: ` : '';
   const softErrors = [];
+  if (value.confidence < 0.3) softErrors.push(`${at}confidence too low: ${value.confidence}`);
+  if (value.regions.length === 0) softErrors.push(`${at}missing regions`);
+  return { value, hardErrors: [], softErrors, warnings };
+}
 
-  // Hard: schema violations
-  if (!data.country || typeof data.country !== 'string') {
-    hardErrors.push('missing country');
-  }
-  if (!data.eventType || !VALID_EVENT_TYPES.has(data.eventType)) {
-    hardErrors.push(`invalid eventType: ${data.eventType}`);
-  }
-  if (data.severity == null || data.severity < 1 || data.severity > 5) {
-    hardErrors.push(`invalid severity: ${data.severity}`);
-  }
-  if (data.scope && !VALID_SCOPES.has(data.scope)) {
-    hardErrors.push(`invalid scope: ${data.scope}`);
-  }
-  if (data.verificationStatus && !VALID_VERIFICATION.has(data.verificationStatus)) {
-    hardErrors.push(`invalid verificationStatus: ${data.verificationStatus}`);
-  }
-  if (data.confidence != null && (data.confidence < 0 || data.confidence > 1)) {
-    hardErrors.push(`invalid confidence: ${data.confidence}`);
-  }
+// ─── Extraction prompt ──────────────────────────────────────────
 
-  // Soft: borderline quality
-  if (data.confidence != null && data.confidence < 0.3) {
-    softErrors.push(`confidence too low: ${data.confidence}`);
-  }
-  if (!data.regions || (Array.isArray(data.regions) && data.regions.length === 0)) {
-    softErrors.push('missing regions');
-  }
+// Admin region lists come from the enabled country profiles
+function buildExtractionPrompt() {
+  const regionLines = getCountryProfiles({ enabledOnly: true })
+    .filter((p) => p.regions.length > 0)
+    .map((p) => `  ${p.regionLabel || p.name}: ${p.regions.join(', ')}`)
+    .join('\n');
 
-  return { hardErrors, softErrors };
-}
+  // The field list is the schema's, so the prompt can't describe fields
+  // the tool doesn't accept
+  const fieldLines = (fields, indent) => Object.entries(fields)
+    .flatMap(([name, f]) => [
+      `${indent}- ${name}${f.required ? ' (required)' : ''}: ${f.description}${f.enum ? ` — one of ${f.enum.join(', ')}` : ''}`,
+      ...(f.fields ? [fieldLines(f.fields, `${indent}  `)] : []),
+    ])
+    .join('\n');
 
-// ─── Extraction prompt ──────────────────────────────────────────
+  return `You are a structured data extractor for a Horn of Africa risk monitoring system.
+Given news articles about a story, record the events they describe by calling ${EXTRACTION_TOOL} once, with one entry in "events" per event.
 
-const EXTRACTION_PROMPT = `You are a structured data extractor for a Horn of Africa risk monitoring system.
-Given news articles about a story, extract structured event data as JSON.
-
-Return ONLY valid JSON (no markdown, no explanation) with these fields:
-
-{
-  "summary": "1-2 sentence factual summary",
-  "country": "Primary country (e.g. South Sudan, Sudan, Uganda)",
-  "regions": ["Array of specific regions/states mentioned, e.g. Upper Nile, Jonglei"],
-  "eventType": "One of: security, political, economic, humanitarian, infrastructure, legal",
-  "eventSubtype": "Specific subtype, e.g. clash, ceasefire, peace_talks, displacement, flooding, legislation",
-  "severity": 1-5,
-  "scope": "One of: local, state, national, cross_border",
-  "verificationStatus": "One of: confirmed, reported, unverified",
-  "confidence": 0.0-1.0,
-  "actors": ["Array of key actors: organizations, governments, armed groups, individuals"],
-  "rationale": "1-2 sentences explaining WHY you chose this severity, scope, and verification status"
-}
+Fields of each event:
+${fieldLines(EVENT_FIELDS, '')}
 
 Severity scale:
 1 = Routine (scheduled meetings, statements, routine reports)
@@ -235,154 +117,235 @@ Severity scale:
 5 = Critical (war escalation, mass atrocity, national emergency)
 
 Rules:
+- Most stories report ONE event: record just that. Record several only when the articles report distinct incidents (a roundup covering a clash in Jonglei, flooding in Unity and a ministerial reshuffle is three events), at most ${MAX_EVENTS_PER_STORY}, most important first. Never split one incident (its casualties, reactions or follow-up) into several events
 - country should be the PRIMARY country affected
 - regions should use standard admin names:
-  South Sudan states: Upper Nile, Jonglei, Unity, Warrap, Northern Bahr el Ghazal, Western Bahr el Ghazal, Lakes, Western Equatoria, Central Equatoria, Eastern Equatoria
-  Sudan states: Khartoum, North Darfur, South Darfur, West Darfur, Central Darfur, East Darfur, South Kordofan, North Kordofan, West Kordofan, Blue Nile, White Nile, Gezira, Sennar, Kassala, Gedaref, Red Sea, River Nile, Northern
-- eventSubtype should be a short lowercase slug
-- confidence reflects how certain the extracted information is (0.5 = moderate, 0.8 = high, 1.0 = definitive)
-- verificationStatus: "confirmed" if multiple sources or official source, "reported" if credible single source, "unverified" if uncertain
-- rationale must be ONE concise sentence: state the key fact justifying the severity, not how the scoring system works. Example: "UN fact-finding mission confirms RSF actions show hallmarks of genocide in El Fasher." Do NOT explain the scoring methodology.
-- Return ONLY the JSON object, nothing else`;
+${regionLines}
+- verificationStatus: "confirmed" if two or more independent reports or an official source, "reported" if credible single source, "unverified" if uncertain. Copies of one wire report carried by several outlets are ONE report
+- figures: only numbers the articles state — never estimate, convert or add them up. One entry per claim, with the source the article gives: if the UN says 50 were killed and the army says 12, record both. Give the date when the article says which day a cumulative toll refers to. Leave figures empty when the articles give no numbers
+- rationale must be ONE concise sentence: state the key fact justifying the severity, not how the scoring system works. Example: "UN fact-finding mission confirms RSF actions show hallmarks of genocide in El Fasher." Do NOT explain the scoring methodology.`;
+}
 
-async function extractEventData(cluster) {
-  if (!groqClient) return null;
+// The chat request for one story's articles text: the prompt, and the
+// list of event schema records as the only tool the model may (and must) call
+function buildExtractionRequest(articlesText) {
+  return {
+    model: MODEL_VERSION,
+    messages: [
+      { role: 'system', content: buildExtractionPrompt() },
+      { role: 'user', content: `Extract structured event data from these articles:\n\n${articlesText}` },
+    ],
+    tools: [{
+      type: 'function',
+      function: { name: EXTRACTION_TOOL, description: 'Record the structured events the articles describe', parameters: EXTRACTION_JSON_SCHEMA },
+    }],
+    tool_choice: { type: 'function', function: { name: EXTRACTION_TOOL } },
+    max_tokens: 2000,
+    temperature: 0.1,
+  };
+}
 
+// Run extraction over a cluster without storing anything. Returns
+// { events, data, rawOutput, outcome, errors, dropped }: `events` are the
+// records insertClusterEvents() takes, in the model's order, or empty
+// when `outcome` is 'rejected' (schema errors), 'quarantined' (low
+// confidence) or 'failed' (API or parse error); `errors` says why. An
+// event that fails validation is dropped and the rest kept (outcome
+// 'extracted'), listed in `dropped` as { index, errors } with its errors
+// in `errors` too. An invalid figure is dropped the same way, but its
+// event is kept; the reason goes in `errors`. `data` holds the kept
+// events as the model gave them after schema validation (the borderline
+// ones, when quarantined). Shared by the live pipeline, re-extraction
+// (reextract.js) and the backtest.
+async function extractCluster(cluster) {
   const hash = clusterHash(cluster);
-  if (eventExists(hash)) return null; // Already extracted or quarantined
-
   const sources = [...new Set(cluster.articles.map((a) => a.source))];
   const articleUrls = cluster.articles.map((a) => a.url).filter(Boolean);
+  const independentSources = cluster.independentSourceCount || sources.length;
   let rawOutput = null;
 
   try {
-    const articlesText = cluster.articles
+    // Syndicated copies repeat their original's text: send originals only
+    let articlesText = cluster.articles
+      .filter((a) => !a.syndicatedFrom)
       .slice(0, 5)
-      .map((a) => `[${a.source}] ${a.title}\n${a.description || ''}`)
+      .map((a) => `[${a.source}] ${a.translatedTitle || a.title}\n${a.translatedDescription || a.description || ''}`)
       .join('\n\n');
-
-    const response = await callGroqWithRetry({
-      model: MODEL_VERSION,
-      messages: [
-        { role: 'system', content: EXTRACTION_PROMPT },
-        { role: 'user', content: `Extract structured event data from these articles:\n\n${articlesText}` },
-      ],
-      max_tokens: 700,
-      temperature: 0.1,
-    });
-
-    rawOutput = response.choices[0]?.message?.content?.trim();
-    if (!rawOutput) return null;
-
-    // Parse JSON (strip markdown fencing — handle all common variants)
-    let jsonStr = rawOutput;
-    // Strip ```json ... ``` or ``` ... ``` (greedy, handles extra whitespace)
-    const fenceMatch = jsonStr.match(/```(?:json)?\s*\n?([\s\S]*?)\n?\s*```/);
-    if (fenceMatch) {
-      jsonStr = fenceMatch[1];
+    articlesText += `\n\nCoverage: ${cluster.articles.length} articles from ${sources.length} outlets`;
+    if (independentSources < sources.length) {
+      articlesText += `, of which ${independentSources} with their own report (the rest carry syndicated copies)`;
     }
-    jsonStr = jsonStr.trim();
 
-    // Handle truncated JSON from hitting max_tokens
-    if (!jsonStr.endsWith('}')) {
-      // Try to salvage: close any open strings and braces
-      jsonStr = jsonStr.replace(/,?\s*"[^"]*$/, '');  // Remove incomplete key/value
-      if (!jsonStr.endsWith('}')) jsonStr += '}';
+    // Archived full text of the lead article, when the archive has it
+    const fullText = getArticleTexts([cluster.primaryArticle.url])[cluster.primaryArticle.url];
+    if (fullText) {
+      articlesText += `\n\nFull text of the first article (excerpt):\n${fullText.slice(0, FULL_TEXT_CHARS)}`;
     }
 
-    const data = JSON.parse(jsonStr);
+    const message = (await callGroqWithRetry(buildExtractionRequest(articlesText))).choices[0]?.message;
+    const call = message?.tool_calls?.find((c) => c.function?.name === EXTRACTION_TOOL);
+    rawOutput = call?.function?.arguments || message?.content?.trim() || null;
+    if (!call) return { events: [], data: [], rawOutput, outcome: 'failed', errors: [`no ${EXTRACTION_TOOL} call in the response`] };
 
     // ── Validate ──────────────────────────────────────────────
-    const { hardErrors, softErrors } = validateExtraction(data);
-
-    // Hard errors: reject and quarantine
-    if (hardErrors.length > 0) {
-      console.warn(`  Rejected "${cluster.primaryArticle.title.slice(0, 40)}...": ${hardErrors.join(', ')}`);
-      insertQuarantine({
-        cluster_hash: hash,
-        raw_output: rawOutput,
-        error_reasons: hardErrors,
-        primary_title: cluster.primaryArticle.title,
-        primary_url: cluster.primaryArticle.url,
-        sources,
-        article_urls: articleUrls,
-        model_version: MODEL_VERSION,
-        prompt_version: PROMPT_VERSION,
-      });
-      return null;
+    const answer = JSON.parse(rawOutput);
+    const list = answer?.events;
+    if (!Array.isArray(list) || list.length === 0) {
+      const got = Array.isArray(list) ? 'an empty list' : list === undefined ? 'nothing' : typeof list;
+      return { events: [], data: [], rawOutput, outcome: 'rejected', errors: [`events: expected a list of events, got ${got}`] };
     }
 
-    // Soft errors with low confidence: quarantine instead of insert
-    if (softErrors.length > 0 && data.confidence != null && data.confidence < 0.3) {
-      console.warn(`  Quarantined "${cluster.primaryArticle.title.slice(0, 40)}...": ${softErrors.join(', ')}`);
-      insertQuarantine({
-        cluster_hash: hash,
-        raw_output: rawOutput,
-        error_reasons: softErrors,
-        primary_title: cluster.primaryArticle.title,
-        primary_url: cluster.primaryArticle.url,
-        sources,
-        article_urls: articleUrls,
-        model_version: MODEL_VERSION,
-        prompt_version: PROMPT_VERSION,
-      });
-      return null;
-    }
+    const data = [];
+    const errors = [];
+    const borderline = [];
+    const dropped = [];
+    list.forEach((item, i) => {
+      if (i >= MAX_EVENTS_PER_STORY) {
+        dropped.push({ index: i, errors: [`events[${i}]: past the first ${MAX_EVENTS_PER_STORY} of the story`] });
+        return;
+      }
+      const { value, hardErrors, softErrors, warnings } = validateExtraction(item, `events[${i}]`);
+      // Hard errors: reject. Soft errors with low confidence: quarantine
+      // instead of insert
+      if (hardErrors.length > 0) {
+        errors.push(...hardErrors);
+        dropped.push({ index: i, errors: hardErrors });
+      } else if (softErrors.length > 0 && value.confidence < 0.3) {
+        errors.push(...softErrors, ...warnings);
+        borderline.push(value);
+        dropped.push({ index: i, errors: [...softErrors, ...warnings] });
+      } else {
+        errors.push(...warnings);
+        data.push(value);
+      }
+    });
+    if (list.length > MAX_EVENTS_PER_STORY) errors.push(`events: ${list.length} given, only the first ${MAX_EVENTS_PER_STORY} kept`);
 
-    // Build event record with provenance + normalized actors
-    const rawActors = data.actors || [];
-    const event = {
-      cluster_hash: hash,
-      summary: data.summary || cluster.primaryArticle.title,
-      country: data.country,
-      regions: data.regions || [],
-      event_type: data.eventType,
-      event_subtype: data.eventSubtype || null,
-      severity: Math.min(5, Math.max(1, Math.round(data.severity))),
-      scope: VALID_SCOPES.has(data.scope) ? data.scope : 'local',
-      source_tier: getSourceTier(sources),
-      verification_status: VALID_VERIFICATION.has(data.verificationStatus) ? data.verificationStatus : 'reported',
-      confidence: Math.min(1, Math.max(0, data.confidence || 0.5)),
-      rationale: data.rationale || null,
-      actors: rawActors,
-      actors_normalized: normalizeActors(rawActors),
-      model_version: MODEL_VERSION,
-      prompt_version: PROMPT_VERSION,
-      article_urls: articleUrls,
-      article_count: cluster.articles.length,
-      sources,
-      primary_url: cluster.primaryArticle.url,
-      primary_title: cluster.primaryArticle.title,
-      published_at: cluster.latestDate,
-    };
+    if (data.length === 0) {
+      return borderline.length > 0
+        ? { events: [], data: borderline, rawOutput, outcome: 'quarantined', errors }
+        : { events: [], data, rawOutput, outcome: 'rejected', errors };
+    }
 
-    insertEvent(event);
-    return event;
+    const events = data.map((value) => toEventRecord(value, cluster, { hash, sources, articleUrls, independentSources }));
+    return { events, data, rawOutput, outcome: 'extracted', errors, dropped };
   } catch (err) {
-    // JSON parse failures or API errors: quarantine with raw output
-    console.warn(`  Event extraction failed for "${cluster.primaryArticle.title.slice(0, 50)}...": ${err.message}`);
-    insertQuarantine({
-      cluster_hash: hash,
-      raw_output: rawOutput,
-      error_reasons: [err.message],
-      primary_title: cluster.primaryArticle.title,
-      primary_url: cluster.primaryArticle.url,
+    // API errors (including tool arguments Groq refused as invalid, which
+    // come back as the failed generation) or unparseable arguments
+    return { events: [], data: [], rawOutput: rawOutput || err.error?.error?.failed_generation || null, outcome: 'failed', errors: [err.message] };
+  }
+}
+
+// The events row for one validated event, with the story's provenance
+// and coverage
+function toEventRecord(data, cluster, { hash, sources, articleUrls, independentSources }) {
+  // One wire report reprinted by several outlets doesn't confirm itself
+  let verification = data.verificationStatus;
+  if (verification === 'confirmed' && independentSources < 2 && sources.length > independentSources) {
+    verification = 'reported';
+  }
+
+  // Build event record with provenance + normalized actors
+  return {
+    cluster_hash: hash,
+    summary: data.summary || cluster.primaryArticle.title,
+    country: data.country,
+    regions: data.regions,
+    event_type: data.eventType,
+    event_subtype: data.eventSubtype,
+    severity: data.severity,
+    scope: data.scope,
+    source_tier: getSourceTier(sources),
+    verification_status: verification,
+    confidence: data.confidence,
+    rationale: data.rationale,
+    actors: data.actors,
+    actors_normalized: normalizeActors(data.actors),
+    figures: data.figures.map((f) => toColumns(f, FIGURE_FIELDS)),
+    model_version: MODEL_VERSION,
+    prompt_version: PROMPT_VERSION,
+    article_urls: articleUrls,
+    article_count: cluster.articles.length,
+    independent_source_count: independentSources,
+    sources,
+    primary_url: cluster.primaryArticle.url,
+    primary_title: cluster.primaryArticle.title,
+    published_at: cluster.latestDate,
+  };
+}
+
+const OUTCOME_LABELS = { rejected: 'Rejected', quarantined: 'Quarantined', failed: 'Event extraction failed for' };
+
+async function extractEventData(cluster) {
+  if (!groqClient) return null;
+
+  const hash = clusterHash(cluster);
+  if (eventExists(hash)) return null; // Already extracted or quarantined
+
+  const result = await extractCluster(cluster);
+  const title = cluster.primaryArticle.title;
+  const quarantine = (errors, eventIndex) => insertQuarantine({
+    cluster_hash: hash,
+    raw_output: result.rawOutput,
+    error_reasons: errors,
+    primary_title: title,
+    primary_url: cluster.primaryArticle.url,
+    sources: [...new Set(cluster.articles.map((a) => a.source))],
+    article_urls: cluster.articles.map((a) => a.url).filter(Boolean),
+    model_version: MODEL_VERSION,
+    prompt_version: PROMPT_VERSION,
+    event_index: eventIndex,
+  });
+
+  if (result.events.length > 0) {
+    if (result.errors.length > 0) console.warn(`  Dropped from "${title.slice(0, 40)}...": ${result.errors.join(', ')}`);
+    insertClusterEvents(result.events);
+    // Events left out go to quarantine one by one, for an analyst to add
+    for (const { index, errors } of result.dropped) quarantine(errors, index);
+    return result.events;
+  }
+
+  // Rejected, borderline or failed: quarantine with the raw output
+  console.warn(`  ${OUTCOME_LABELS[result.outcome]} "${title.slice(0, 40)}...": ${result.errors.join(', ')}`);
+  quarantine(result.errors, null);
+  return null;
+}
+
+// Stories keep their events as coverage grows: fold new articles, sources
+// and the latest date into the stored events instead of extracting again
+function refreshEventCoverage(clusters) {
+  let updated = 0;
+  for (const cluster of clusters) {
+    const sources = [...new Set(cluster.articles.map((a) => a.source))];
+    const changed = updateEventCoverage(clusterHash(cluster), {
+      article_urls: cluster.articles.map((a) => a.url).filter(Boolean),
       sources,
-      article_urls: articleUrls,
-      model_version: MODEL_VERSION,
-      prompt_version: PROMPT_VERSION,
+      source_tier: getSourceTier(sources),
+      independent_source_count: cluster.independentSourceCount,
+      published_at: cluster.latestDate,
     });
-    return null;
+    if (changed) updated++;
   }
+  if (updated > 0) console.log(`Event coverage updated for ${updated} existing stories`);
+  return updated;
 }
 
 // Background extraction: process all clusters, pacing API calls
 async function extractAllEvents(clusters) {
-  if (!groqClient) {
+  // No API calls involved, so this runs with or without Groq
+  refreshEventCoverage(clusters);
+
+  if (groqClient) {
+    await extractPendingEvents(clusters);
+  } else {
     console.log('Skipping event extraction (no Groq API key)');
-    return;
   }
 
+  // New events join (or start) long-running storylines
+  linkStorylines();
+}
+
+async function extractPendingEvents(clusters) {
   const pending = clusters.filter((c) => !eventExists(clusterHash(c)));
   if (pending.length === 0) {
     console.log('Event extraction: all clusters already in database');
@@ -409,4 +372,11 @@ async function extractAllEvents(clusters) {
   console.log(`Event extraction complete: ${extracted} extracted, ${quarantined} skipped/quarantined`);
 }
 
-module.exports = { initExtractor, extractAllEvents, getSourceTier, normalizeActor, normalizeActors };
+function isExtractorReady() {
+  return !!groqClient;
+}
+
+module.exports = {
+  initExtractor, isExtractorReady, extractAllEvents, extractCluster, getSourceTier, normalizeActor, normalizeActors,
+  validateExtraction, MODEL_VERSION, PROMPT_VERSION, REQUEST_DELAY_MS,
+};
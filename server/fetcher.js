@@ -1,6 +1,13 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const Parser = require('rss-parser');
 const GoogleNewsDecoder = require('google-news-decoder');
-const sources = require('./sources');
+const { getSources, getFeedState, saveFeedState, recordSourceFetch, recordRejectedArticles } = require('./db');
+const { getCountryProfiles, isCountryEnabled } = require('./countries');
+const { parseHTML, selectAll, selectField, decodeEntities } = require('./html-select');
+const { scoreRelevance } = require('./relevance');
+const { detectLanguage } = require('./language');
 
 const BROWSER_UA =
   'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
@@ -15,136 +22,261 @@ const parser = new Parser({
   },
 });
 
-// Fetch XML with browser UA, strip BOM, then parse with rss-parser
-async function fetchFeed(url) {
+// ─── Ingest adapters ────────────────────────────────────────────
+// Each source has a `type` (see SOURCE_TYPES in sources.js). An adapter
+// fetches (conditional GET unless it defines its own `request`) and
+// turns the body into rss-parser-shaped items ({ title, link,
+// guid, isoDate, contentSnippet, enclosure }), so normalizeArticle(),
+// relevance filtering and fingerprinting work the same for every type.
+//
+// `config.fixture` (a file name in server/fixtures/) replaces the HTTP
+// fetch — for trying an adapter config before pointing it at the live
+// site, and for `node server/adapter-check.js`.
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+// Conditional GET shared by every adapter: sends If-None-Match /
+// If-Modified-Since from the stored validators and returns
+// { notModified: true } on 304 so the caller can skip the source.
+async function conditionalGet(url, state, accept) {
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), 10000);
 
+  const headers = { 'User-Agent': BROWSER_UA, Accept: accept };
+  if (state?.etag) headers['If-None-Match'] = state.etag;
+  if (state?.last_modified) headers['If-Modified-Since'] = state.last_modified;
+
   const res = await fetch(url, {
     signal: controller.signal,
-    headers: {
-      'User-Agent': BROWSER_UA,
-      Accept: 'application/rss+xml, application/xml, text/xml, */*',
-    },
+    headers,
     redirect: 'follow',
   });
   clearTimeout(timeoutId);
 
+  if (res.status === 304) return { notModified: true };
   if (!res.ok) throw new Error(`HTTP ${res.status}`);
 
-  let xml = await res.text();
+  return {
+    body: await res.text(),
+    etag: res.headers.get('etag'),
+    lastModified: res.headers.get('last-modified'),
+  };
+}
+
+async function postJson(url, payload) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 10000);
+  const res = await fetch(url, {
+    method: 'POST',
+    signal: controller.signal,
+    headers: { 'User-Agent': BROWSER_UA, Accept: 'application/json', 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+  clearTimeout(timeoutId);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return { body: await res.text(), etag: null, lastModified: null };
+}
+
+function readFixture(name) {
+  // basename: config comes from the admin, keep reads inside the fixture dir
+  const body = fs.readFileSync(path.join(FIXTURE_DIR, path.basename(name)), 'utf8');
+  return { body, etag: null, lastModified: null };
+}
+
+function toISODate(value) {
+  if (!value) return undefined;
+  const d = new Date(value);
+  return isNaN(d) ? undefined : d.toISOString();
+}
+
+function absoluteUrl(link, base) {
+  if (!link) return '';
+  try { return new URL(link, base).href; } catch { return link; }
+}
+
+function imageEnclosure(url, base) {
+  return url ? { url: absoluteUrl(url, base), type: 'image' } : undefined;
+}
+
+// rss / atom: rss-parser handles both
+async function parseFeedXml(body) {
   // Strip BOM and any leading whitespace/garbage before XML declaration
-  xml = xml.replace(/^[\s\S]*?(<\?xml|<rss|<feed)/, '$1');
+  const xml = body.replace(/^[\s\S]*?(<\?xml|<rss|<feed)/, '$1');
+  const feed = await parser.parseString(xml);
+  return feed.items || [];
+}
+
+// Dot path into JSON ("fields.date.created"); arrays along the way
+// resolve to their first element unless the next key is an index
+function getPath(obj, dotPath) {
+  if (!dotPath) return undefined;
+  let value = obj;
+  for (const key of dotPath.split('.')) {
+    if (Array.isArray(value) && !/^\d+$/.test(key)) value = value[0];
+    if (value == null) return undefined;
+    value = value[key];
+  }
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// json-api config: { itemsPath, fields: { title, link, guid, date, description, image } }
+function parseJsonApi(body, config, baseUrl) {
+  const data = JSON.parse(body);
+  const list = config.itemsPath
+    ? config.itemsPath.split('.').reduce((v, k) => (v == null ? v : v[k]), data)
+    : data;
+  if (!Array.isArray(list)) throw new Error(`json-api: no array at "${config.itemsPath || '(root)'}"`);
+
+  const f = config.fields || {};
+  return list.map((entry) => {
+    const description = String(getPath(entry, f.description) || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+    const link = absoluteUrl(String(getPath(entry, f.link) || ''), baseUrl);
+    return {
+      title: String(getPath(entry, f.title) || '').trim(),
+      link,
+      guid: String(getPath(entry, f.guid) || link),
+      isoDate: toISODate(getPath(entry, f.date)),
+      contentSnippet: description,
+      enclosure: imageEnclosure(getPath(entry, f.image), baseUrl),
+    };
+  });
+}
+
+// sitemap: <urlset> with optional news: and image: extensions.
+// Pages without <news:title> get a title from the URL slug.
+function parseSitemap(body, config) {
+  if (/<sitemapindex[\s>]/i.test(body)) {
+    throw new Error('sitemap index — point the source at a child (news) sitemap');
+  }
+  const tag = (block, name) => {
+    const m = block.match(new RegExp(`<${name}[^>]*>\\s*(?:<!\\[CDATA\\[)?([\\s\\S]*?)(?:\\]\\]>)?\\s*</${name}>`, 'i'));
+    return m ? decodeEntities(m[1].trim()) : '';
+  };
+  const slugTitle = (url) => {
+    const slug = url.replace(/[?#].*$/, '').replace(/\/+$/, '').split('/').pop() || '';
+    const words = slug.replace(/\.[a-z]+$/i, '').replace(/[-_]+/g, ' ').replace(/\b\d{4,}\b/g, '').trim();
+    return words ? words[0].toUpperCase() + words.slice(1) : '';
+  };
+
+  const items = [...body.matchAll(/<url>([\s\S]*?)<\/url>/gi)].map(([, block]) => {
+    const link = tag(block, 'loc');
+    return {
+      title: tag(block, 'news:title') || slugTitle(link),
+      link,
+      guid: link,
+      isoDate: toISODate(tag(block, 'news:publication_date') || tag(block, 'lastmod')),
+      contentSnippet: tag(block, 'news:keywords'),
+      enclosure: imageEnclosure(tag(block, 'image:loc')),
+    };
+  }).filter((item) => item.link);
+
+  // Big sitemaps list years of pages — keep the newest
+  items.sort((a, b) => (b.isoDate || '').localeCompare(a.isoDate || ''));
+  return items.slice(0, config.maxItems || 100);
+}
 
-  return parser.parseString(xml);
+// html-list config: { item, title, link, date, description, image } —
+// selectors per html-select.js; fields take "selector@attr" for attributes
+function parseHtmlList(body, config, baseUrl) {
+  const doc = parseHTML(body);
+  return selectAll(doc, config.item).slice(0, config.maxItems || 100).map((node) => {
+    const link = absoluteUrl(selectField(node, config.link), baseUrl);
+    return {
+      title: selectField(node, config.title),
+      link,
+      guid: link,
+      isoDate: toISODate(selectField(node, config.date)),
+      contentSnippet: selectField(node, config.description),
+      enclosure: imageEnclosure(selectField(node, config.image), baseUrl),
+    };
+  }).filter((item) => item.title && item.link);
 }
 
-// ─── Relevance filtering: South Sudan + Sudan ──────────────────
-
-// Strong keywords: if found in title, article is definitely relevant
-const STRONG_KEYWORDS_SS = [
-  'south sudan',
-  'south sudanese',
-  'salva kiir',
-  'riek machar',
-  'unmiss',
-];
-
-const STRONG_KEYWORDS_SUDAN = [
-  'sudan war',
-  'sudan conflict',
-  'sudan crisis',
-  'sudanese army',
-  'sudanese military',
-  'khartoum',
-  'rsf',
-  'rapid support forces',
-  'abdel fattah al-burhan',
-  'al-burhan',
-  'hemedti',
-  'dagalo',
-];
-
-// Supporting keywords: need 2+ matches in body to confirm relevance
-const SUPPORTING_KEYWORDS_SS = [
-  'south sudan',
-  'south sudanese',
-  'juba',
-  'salva kiir',
-  'riek machar',
-  'unmiss',
-  'igad',
-  'malakal',
-  'bentiu',
-  'yambio',
-  'torit',
-  'aweil',
-  'rumbek',
-  'jonglei',
-  'upper nile',
-  'unity state',
-  'equatoria',
-  'bahr el ghazal',
-  'abyei',
-  'splm',
-  'spla',
-];
-
-const SUPPORTING_KEYWORDS_SUDAN = [
-  'sudan',
-  'sudanese',
-  'khartoum',
-  'darfur',
-  'el fasher',
-  'al-fashir',
-  'port sudan',
-  'omdurman',
-  'rsf',
-  'rapid support forces',
-  'al-burhan',
-  'hemedti',
-  'dagalo',
-  'saf',
-  'sudan armed forces',
-  'north darfur',
-  'south darfur',
-  'west darfur',
-  'south kordofan',
-  'blue nile',
-  'white nile',
-  'red sea state',
-  'kassala',
-  'gedaref',
-  'gezira',
-  'sennar',
-  'janjaweed',
-];
-
-function isRelevantArticle(article) {
-  const title = (article.title || '').toLowerCase();
-  const body = `${article.contentSnippet || ''} ${article.content || ''}`.toLowerCase();
-
-  // South Sudan: strong keyword in title
-  if (STRONG_KEYWORDS_SS.some((kw) => title.includes(kw))) return true;
-
-  // Sudan: strong keyword in title
-  if (STRONG_KEYWORDS_SUDAN.some((kw) => title.includes(kw))) return true;
-
-  // "sudan" in title (but not "south sudan") — check it's about Sudan proper
-  if (title.includes('sudan') && !title.includes('south sudan')) {
-    const bodyMatches = SUPPORTING_KEYWORDS_SUDAN.filter((kw) => body.includes(kw)).length;
-    if (bodyMatches >= 2) return true;
+// reliefweb: ReliefWeb API (OCHA's humanitarian report archive). Queries
+// the newest reports whose primary country is monitored. Config:
+//   { countries: ['SSD'], formats: ['Situation Report'], sources: ['OCHA'],
+//     excludeSources: ['OCHA'], limit }
+// countries defaults to the enabled country profiles' iso3 codes.
+const RELIEFWEB_FIELDS = ['title', 'url_alias', 'date.created', 'body', 'source.shortname', 'file.preview.url-large'];
+
+function reliefwebQuery(config) {
+  const iso3 = config.countries || getCountryProfiles({ enabledOnly: true }).map((p) => p.iso3).filter(Boolean);
+  const conditions = [{ field: 'primary_country.iso3', value: iso3, operator: 'OR' }];
+  if (config.formats) conditions.push({ field: 'format.name', value: config.formats, operator: 'OR' });
+  if (config.sources) conditions.push({ field: 'source.shortname', value: config.sources, operator: 'OR' });
+  if (config.excludeSources) {
+    conditions.push({ field: 'source.shortname', value: config.excludeSources, operator: 'OR', negate: true });
   }
+  return {
+    limit: config.limit || 50,
+    sort: ['date.created:desc'],
+    fields: { include: RELIEFWEB_FIELDS },
+    filter: { operator: 'AND', conditions },
+  };
+}
 
-  // Body-level matching for South Sudan
-  const ssBodyMatches = SUPPORTING_KEYWORDS_SS.filter((kw) => body.includes(kw)).length;
-  if (ssBodyMatches >= 2) return true;
+function requestReliefweb(source, state, config) {
+  const url = new URL(source.url);
+  url.searchParams.set('appname', process.env.RELIEFWEB_APPNAME || 'horn-monitor');
+  return postJson(url.href, reliefwebQuery(config));
+}
 
-  // Body-level matching for Sudan
-  const sdBodyMatches = SUPPORTING_KEYWORDS_SUDAN.filter((kw) => body.includes(kw)).length;
-  if (sdBodyMatches >= 3) return true; // Higher bar for Sudan body-only matches
+function parseReliefweb(body) {
+  const items = parseJsonApi(body, {
+    itemsPath: 'data',
+    fields: {
+      title: 'fields.title',
+      link: 'fields.url_alias',
+      guid: 'id',
+      date: 'fields.date.created',
+      description: 'fields.body',
+      image: 'fields.file.preview.url-large',
+    },
+  }, 'https://reliefweb.int/');
+  // Report bodies are Markdown
+  for (const item of items) {
+    item.contentSnippet = item.contentSnippet
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/[#*_>|]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+  return items;
+}
+
+const ADAPTERS = {
+  rss: { accept: 'application/rss+xml, application/xml, text/xml, */*', parse: parseFeedXml },
+  atom: { accept: 'application/atom+xml, application/xml, text/xml, */*', parse: parseFeedXml },
+  'json-api': { accept: 'application/json', parse: parseJsonApi },
+  sitemap: { accept: 'application/xml, text/xml, */*', parse: parseSitemap },
+  'html-list': { accept: 'text/html,application/xhtml+xml,*/*;q=0.8', parse: parseHtmlList },
+  reliefweb: { request: requestReliefweb, parse: parseReliefweb },
+};
+
+// Fetch a source through its adapter.
+// Returns { notModified: true } or { items, etag, lastModified }.
+async function fetchSourceItems(source, state) {
+  const adapter = ADAPTERS[source.type || 'rss'];
+  if (!adapter) throw new Error(`Unknown source type: ${source.type}`);
+  const config = source.config || {};
+
+  let result;
+  if (config.fixture) result = readFixture(config.fixture);
+  else if (adapter.request) result = await adapter.request(source, state, config);
+  else result = await conditionalGet(source.url, state, adapter.accept);
+  if (result.notModified) return result;
+
+  return {
+    items: await adapter.parse(result.body, config, source.url),
+    etag: result.etag,
+    lastModified: result.lastModified,
+  };
+}
 
-  return false;
+// Fingerprint of a feed's item set — catches servers that ignore validators
+function hashFeedItems(items) {
+  const guids = items.map((item) => item.guid || item.link || item.title || '').sort().join('|');
+  return crypto.createHash('md5').update(guids).digest('hex');
 }
 
 // ─── Google News URL resolution ─────────────────────────────────
@@ -201,13 +333,21 @@ function resolveGoogleNewsUrl(item) {
 
 // ─── Image extraction from RSS fields ───────────────────────────
 
+// Declared pixel size, when the feed or page states one
+function declaredSize(width, height) {
+  const w = parseInt(width);
+  const h = parseInt(height);
+  return w > 0 && h > 0 ? { width: w, height: h } : { width: null, height: null };
+}
+
+// Returns { url, width, height } (size null when undeclared), or null
 function extractImage(item) {
   // Standard RSS image fields
-  if (item.enclosure?.url && item.enclosure.type?.startsWith('image')) return item.enclosure.url;
-  if (item.mediaContent?.$?.url) return item.mediaContent.$.url;
-  if (item.mediaThumbnail?.$?.url) return item.mediaThumbnail.$.url;
-  if (item.mediaGroup?.['media:content']?.$?.url) return item.mediaGroup['media:content'].$.url;
-  if (item.enclosure?.url) return item.enclosure.url;
+  const media = (field) => field?.$?.url && { url: field.$.url, ...declaredSize(field.$.width, field.$.height) };
+  if (item.enclosure?.url && item.enclosure.type?.startsWith('image')) return { url: item.enclosure.url, ...declaredSize() };
+  const declared = media(item.mediaContent) || media(item.mediaThumbnail) || media(item.mediaGroup?.['media:content']);
+  if (declared) return declared;
+  if (item.enclosure?.url) return { url: item.enclosure.url, ...declaredSize() };
 
   // Extract from HTML content (WordPress feeds, etc.)
   const htmlSources = [
@@ -227,7 +367,10 @@ function extractImage(item) {
       if (/width=["']?1["']?/i.test(tag) && /height=["']?1["']?/i.test(tag)) continue;
       // Fix protocol-relative URLs
       if (url.startsWith('//')) url = 'https:' + url;
-      if (url.startsWith('http')) return url;
+      if (url.startsWith('http')) {
+        const attr = (name) => (tag.match(new RegExp(`\\b${name}=["']?(\\d+)`, 'i')) || [])[1];
+        return { url, ...declaredSize(attr('width'), attr('height')) };
+      }
     }
   }
 
@@ -246,7 +389,12 @@ function extractOgImage(html) {
   if (ogMatch && ogMatch[1]) {
     let imgUrl = ogMatch[1];
     if (imgUrl.startsWith('//')) imgUrl = 'https:' + imgUrl;
-    return imgUrl;
+    const meta = (prop) => (
+      head.match(new RegExp(`<meta[^>]+property=["']og:image:${prop}["'][^>]+content=["'](\\d+)`, 'i'))
+      || head.match(new RegExp(`<meta[^>]+content=["'](\\d+)["'][^>]+property=["']og:image:${prop}["']`, 'i'))
+      || []
+    )[1];
+    return { url: imgUrl, ...declaredSize(meta('width'), meta('height')) };
   }
 
   // twitter:image fallback
@@ -256,7 +404,7 @@ function extractOgImage(html) {
   if (twMatch && twMatch[1]) {
     let imgUrl = twMatch[1];
     if (imgUrl.startsWith('//')) imgUrl = 'https:' + imgUrl;
-    return imgUrl;
+    return { url: imgUrl, ...declaredSize() };
   }
 
   return null;
@@ -375,7 +523,9 @@ async function enrichWithImages(articles) {
     );
     results.forEach((r, j) => {
       if (r.status === 'fulfilled' && r.value) {
-        batch[j].image = r.value;
+        batch[j].image = r.value.url;
+        batch[j].imageWidth = r.value.width;
+        batch[j].imageHeight = r.value.height;
         found++;
       }
     });
@@ -392,13 +542,20 @@ function normalizeArticle(item, sourceName, sourceCategory, sourceReliability) {
 
   // Resolve Google News redirect URLs to real article URLs
   const url = resolveGoogleNewsUrl(item);
+  const link = item.link || '';
+  const title = (item.title || '').trim();
+  const image = extractImage(item);
 
   return {
     id: item.guid || item.link || `${sourceName}-${item.title}`,
-    title: (item.title || '').trim(),
+    title,
     description: desc,
+    language: detectLanguage(`${title} ${desc}`),
     url,
-    image: extractImage(item),
+    googleUrl: link.includes('news.google.com/') ? link : null,
+    image: image?.url || null,
+    imageWidth: image?.width || null,
+    imageHeight: image?.height || null,
     publishedAt: item.isoDate || item.pubDate || new Date().toISOString(),
     source: sourceName,
     sourceCategory,
@@ -406,26 +563,97 @@ function normalizeArticle(item, sourceName, sourceCategory, sourceReliability) {
   };
 }
 
+// Text the relevance scorer reads: the feed's snippet plus any full
+// content, tags stripped (normalized descriptions are cut to 500 chars)
+function relevanceBody(item) {
+  const text = `${item.contentSnippet || item.summary || ''} ${item.content || ''}`.slice(0, 8000);
+  return decodeEntities(text.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ');
+}
+
+// Per-source outcome of the most recent fetch cycle: changed / unchanged / failed
+let lastFetchReport = [];
+// Validators and item fingerprints of the last cycle's changed feeds, held
+// until their articles are stored (commitFeedStates)
+let pendingFeedStates = [];
+
+// A changed feed's new validators and fingerprint come back as
+// `feedState` instead of being saved: until its articles are stored, the
+// next cycle must not take the feed for unchanged.
 async function fetchFromSource(source) {
+  const state = getFeedState(source.name);
+  const started = Date.now();
   try {
-    const feed = await fetchFeed(source.url);
-    const articles = (feed.items || [])
-      .map((item) => normalizeArticle(item, source.name, source.category, source.reliability))
-      .filter(isRelevantArticle);
-    console.log(`  ${source.name}: ${articles.length} articles (${articles.filter((a) => a.image).length} with images)`);
-    return articles;
+    const result = await fetchSourceItems(source, state);
+    const latencyMs = Date.now() - started;
+
+    if (result.notModified) {
+      saveFeedState(source.name, { status: 'unchanged' });
+      recordSourceFetch({ source: source.name, status: 'unchanged', latencyMs });
+      console.log(`  ${source.name}: unchanged (304)`);
+      return { status: 'unchanged', articles: [] };
+    }
+
+    const items = result.items;
+    const guidHash = hashFeedItems(items);
+    if (state?.guid_hash === guidHash) {
+      saveFeedState(source.name, { status: 'unchanged', etag: result.etag, lastModified: result.lastModified });
+      recordSourceFetch({ source: source.name, status: 'unchanged', latencyMs });
+      console.log(`  ${source.name}: unchanged (same ${items.length} items)`);
+      return { status: 'unchanged', articles: [] };
+    }
+
+    const scored = items.map((item) => {
+      const article = normalizeArticle(item, source.name, source.category, source.reliability);
+      article.relevance = scoreRelevance(
+        { title: article.title, body: relevanceBody(item), language: article.language },
+        source
+      );
+      return article;
+    });
+    const articles = scored.filter((a) => a.relevance.relevant);
+    recordRejectedArticles(scored.filter((a) => !a.relevance.relevant));
+    const withImages = articles.filter((a) => a.image).length;
+    saveFeedState(source.name, { status: 'changed' });
+    recordSourceFetch({
+      source: source.name,
+      status: 'changed',
+      latencyMs,
+      itemCount: items.length,
+      relevantCount: articles.length,
+      imageCount: withImages,
+    });
+    console.log(`  ${source.name}: ${articles.length}/${items.length} relevant articles (${withImages} with images, ${latencyMs}ms)`);
+    return { status: 'changed', articles, feedState: { etag: result.etag, lastModified: result.lastModified, guidHash } };
   } catch (err) {
+    saveFeedState(source.name, { status: 'failed', error: err.message });
+    recordSourceFetch({ source: source.name, status: 'failed', latencyMs: Date.now() - started, error: err.message });
     console.warn(`  ${source.name}: FAILED - ${err.message}`);
-    return [];
+    return { status: 'failed', articles: [], error: err.message };
   }
 }
 
 async function fetchAllSources() {
   console.log('Fetching from sources...');
-  const results = await Promise.allSettled(sources.map(fetchFromSource));
-  const articles = results
-    .filter((r) => r.status === 'fulfilled')
-    .flatMap((r) => r.value);
+  const checkedAt = new Date().toISOString();
+  // Country-specific sources only run while their country is monitored
+  const sources = getSources({ enabledOnly: true }).filter((s) => isCountryEnabled(s.country));
+  const results = await Promise.all(sources.map(fetchFromSource));
+  pendingFeedStates = sources
+    .map((source, i) => [source.name, results[i].feedState])
+    .filter(([, state]) => state);
+
+  lastFetchReport = sources.map((source, i) => ({
+    source: source.name,
+    status: results[i].status,
+    articles: results[i].articles.length,
+    error: results[i].error || null,
+    checkedAt,
+  }));
+  const counts = { changed: 0, unchanged: 0, failed: 0 };
+  for (const r of lastFetchReport) counts[r.status]++;
+  console.log(`Feeds: ${counts.changed} changed, ${counts.unchanged} unchanged, ${counts.failed} failed`);
+
+  const articles = results.flatMap((r) => r.articles);
 
   // Sort by date, newest first
   articles.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
@@ -435,8 +663,7 @@ async function fetchAllSources() {
   const filtered = articles.filter((a) => new Date(a.publishedAt) >= weekAgo);
 
   const withImages = filtered.filter((a) => a.image).length;
-  const syncResolved = filtered.filter((a) => !a.url.includes('news.google.com/')).length - withImages;
-  console.log(`Total: ${filtered.length} articles, ${withImages} with images from RSS`);
+  console.log(`Total: ${filtered.length} new articles, ${withImages} with images from RSS`);
 
   // Phase 1: Decode Google News URLs via batchexecute API
   await resolveGoogleRedirects(filtered);
@@ -450,61 +677,15 @@ async function fetchAllSources() {
   return filtered;
 }
 
-// ─── Full article text extraction (for deep summaries) ──────────
-// Fetches the actual article page and extracts readable body text.
-// This is the only way to get names, quotes, and details not in RSS snippets.
-
-function extractArticleText(html, maxLength = 4000) {
-  if (!html) return '';
-
-  // Remove scripts, styles, nav, footer, aside, form elements
-  let text = html
-    .replace(/<script[\s\S]*?<\/script>/gi, '')
-    .replace(/<style[\s\S]*?<\/style>/gi, '')
-    .replace(/<nav[\s\S]*?<\/nav>/gi, '')
-    .replace(/<footer[\s\S]*?<\/footer>/gi, '')
-    .replace(/<aside[\s\S]*?<\/aside>/gi, '')
-    .replace(/<form[\s\S]*?<\/form>/gi, '')
-    .replace(/<header[\s\S]*?<\/header>/gi, '');
-
-  // Try to find article content (narrower = better signal-to-noise)
-  const articleMatch = text.match(/<article[\s\S]*?<\/article>/i);
-  const mainMatch = text.match(/<main[\s\S]*?<\/main>/i);
-  const roleMainMatch = text.match(/<[^>]+role=["']main["'][\s\S]*?<\/[^>]+>/i);
-
-  if (articleMatch) text = articleMatch[0];
-  else if (mainMatch) text = mainMatch[0];
-  else if (roleMainMatch) text = roleMainMatch[0];
-
-  // Strip all HTML tags
-  text = text.replace(/<[^>]+>/g, ' ');
-
-  // Decode HTML entities
-  text = text
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/&#x27;/g, "'")
-    .replace(/&#8217;/g, "\u2019")
-    .replace(/&#8220;/g, "\u201C")
-    .replace(/&#8221;/g, "\u201D")
-    .replace(/\s+/g, ' ')
-    .trim();
-
-  return text.slice(0, maxLength);
+function getFetchReport() {
+  return lastFetchReport;
 }
 
-async function fetchArticleText(url) {
-  try {
-    if (!url || url.includes('news.google.com/')) return '';
-    const { html } = await fetchPage(url, 8000);
-    return extractArticleText(html);
-  } catch {
-    return '';
-  }
+// Call once fetchAllSources()'s articles are stored: the changed feeds'
+// validators and fingerprints are saved, so the next cycle can skip them
+function commitFeedStates() {
+  for (const [name, state] of pendingFeedStates) saveFeedState(name, { status: 'changed', ...state });
+  pendingFeedStates = [];
 }
 
-module.exports = { fetchAllSources, fetchFromSource, fetchArticleText };
+module.exports = { fetchAllSources, fetchFromSource, commitFeedStates, getFetchReport };
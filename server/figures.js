@@ -0,0 +1,121 @@
+// Quantitative claims — casualties, displacement, refugees, aid — as the
+// reporting states them. The model extracts them per event, one per claim
+// with who made it (event-schema.js FIGURE_FIELDS); no AI past that.
+//
+// Claims are never collapsed into one number. Per kind and unit a summary
+// keeps every claim and its source, spans them as a range, and flags a
+// conflict when two sources put different numbers on the same thing:
+// their ranges are apart by more than CONFLICT_MARGIN (rounding) and they
+// don't refer to different dates — a toll reported Monday and a higher
+// one on Friday is an update, not a dispute, and the summary's range is
+// the latest date's.
+
+const { normalizeActor } = require('./actors');
+const { FIGURE_KINDS } = require('./event-schema');
+
+const CONFLICT_MARGIN = 0.1;
+const UNATTRIBUTED = 'unattributed';
+
+// ─── Labels ─────────────────────────────────────────────────────
+
+function formatRange({ unit, low, high }) {
+  const fmt = (n) => `${unit === 'usd' ? '$' : ''}${n.toLocaleString('en-US', { maximumFractionDigits: 1 })}`;
+  return high != null && high !== low ? `${fmt(low)}–${fmt(high)}` : fmt(low);
+}
+
+// "30–40 killed", "2,000 households displaced", "500 tonnes of aid"
+function formatFigure(figure) {
+  const range = formatRange(figure);
+  if (figure.kind === 'aid') {
+    if (figure.unit === 'tonnes') return `${range} tonnes of aid`;
+    if (figure.unit === 'usd') return `${range} in aid`;
+    return `aid to ${range} ${figure.unit}`;
+  }
+  const unit = figure.unit === 'households' || figure.unit === 'tonnes' ? ` ${figure.unit}` : '';
+  return `${range}${unit} ${figure.kind}`;
+}
+
+// ─── Summaries ──────────────────────────────────────────────────
+
+function sourceKey(claim) {
+  return claim.source ? normalizeActor(claim.source).toLowerCase() : UNATTRIBUTED;
+}
+
+function top(claim) {
+  return claim.high ?? claim.low;
+}
+
+function disagree(a, b) {
+  if (sourceKey(a) === sourceKey(b)) return false;
+  if (a.date && b.date && a.date !== b.date) return false;
+  const [lower, upper] = top(a) <= top(b) ? [a, b] : [b, a];
+  return upper.low > top(lower) * (1 + CONFLICT_MARGIN);
+}
+
+// `claims`: figures as getFiguresForEvents() gives them, from one event —
+// one incident; claims about different incidents aren't disputes.
+// Returns one summary per kind and unit, in FIGURE_KINDS order: { kind,
+// unit, low, high, label, claims, reportedBy, conflict }. Undated claims
+// count toward the latest date's range.
+function summarizeFigures(claims) {
+  const groups = new Map();
+  for (const claim of claims) {
+    const key = `${claim.kind}|${claim.unit}`;
+    if (!groups.has(key)) groups.set(key, new Map());
+    // The same claim given twice counts once
+    const id = [sourceKey(claim), claim.low, claim.high, claim.date].join('|');
+    groups.get(key).set(id, claim);
+  }
+
+  const summaries = [...groups.values()].map((group) => {
+    const list = [...group.values()].sort((a, b) => top(b) - top(a));
+    const { kind, unit } = list[0];
+    const latest = list.map((c) => c.date).filter(Boolean).sort().pop();
+    const current = list.filter((c) => !c.date || c.date === latest);
+    const low = Math.min(...current.map((c) => c.low));
+    const high = Math.max(...current.map(top));
+    return {
+      kind,
+      unit,
+      low,
+      high: high > low ? high : null,
+      label: formatFigure({ kind, unit, low, high }),
+      claims: list.map((c) => ({
+        low: c.low, high: c.high, date: c.date, source: c.source, label: formatFigure(c),
+      })),
+      reportedBy: [...new Set(list.map((c) => (c.source ? normalizeActor(c.source) : UNATTRIBUTED)))],
+      conflict: list.some((a, i) => list.slice(i + 1).some((b) => disagree(a, b))),
+    };
+  });
+  return summaries.sort((a, b) => FIGURE_KINDS.indexOf(a.kind) - FIGURE_KINDS.indexOf(b.kind));
+}
+
+// Week totals across incidents. `incidents`: [{ summary, country,
+// primaryUrl, figures }] with `figures` from summarizeFigures(), one entry
+// per incident (in the digest, per extracted event). Per kind and unit:
+// the summed range, the incidents behind it (largest first) and how many
+// of them are disputed.
+function aggregateFigures(incidents) {
+  const totals = new Map();
+  for (const incident of incidents) {
+    for (const f of incident.figures) {
+      const key = `${f.kind}|${f.unit}`;
+      if (!totals.has(key)) totals.set(key, { kind: f.kind, unit: f.unit, low: 0, high: 0, conflicts: 0, incidents: [] });
+      const total = totals.get(key);
+      total.low += f.low;
+      total.high += f.high ?? f.low;
+      if (f.conflict) total.conflicts++;
+      total.incidents.push({ summary: incident.summary, country: incident.country, primaryUrl: incident.primaryUrl, ...f });
+    }
+  }
+  return [...totals.values()]
+    .map((t) => ({
+      ...t,
+      high: t.high > t.low ? t.high : null,
+      label: formatFigure({ kind: t.kind, unit: t.unit, low: t.low, high: t.high }),
+      incidents: t.incidents.sort((a, b) => (b.high ?? b.low) - (a.high ?? a.low)),
+    }))
+    .sort((a, b) => FIGURE_KINDS.indexOf(a.kind) - FIGURE_KINDS.indexOf(b.kind));
+}
+
+module.exports = { summarizeFigures, aggregateFigures, formatFigure };
@@ -0,0 +1,187 @@
+// Minimal HTML tree + CSS-like selectors for the html-list ingest adapter.
+//
+// Not a full HTML5 parser: good enough for news listing pages, where we
+// only need to find repeated item blocks and pull text/attributes out of
+// them. Unclosed tags are closed when an ancestor closes.
+//
+// Supported selectors:
+//   tag  .class  #id  [attr]  [attr=value]  compounds (a.title[href])
+//   descendant (space) and child (>) combinators, comma-separated lists
+// Field specs add "@attr" to read an attribute instead of text:
+//   "h2 a"  → text of the first match      "h2 a@href" → its href
+//   "@href" → attribute of the item itself
+
+const VOID_TAGS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr',
+]);
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'noscript', 'template']);
+
+// Opening one of these implicitly closes the listed open elements
+// (<li>one<li>two, <p>one<p>two)
+const IMPLIED_END = {
+  p: ['p'],
+  li: ['li', 'p'],
+  dt: ['dt', 'dd', 'p'],
+  dd: ['dt', 'dd', 'p'],
+  tr: ['tr', 'td', 'th', 'p'],
+  td: ['td', 'th', 'p'],
+  th: ['td', 'th', 'p'],
+  option: ['option'],
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+    if (code[0] === '#') {
+      const n = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : m;
+    }
+    return ENTITIES[code.toLowerCase()] ?? m;
+  });
+}
+
+function parseAttrs(src) {
+  const attrs = {};
+  const re = /([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let m;
+  while ((m = re.exec(src))) {
+    attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? '');
+  }
+  return attrs;
+}
+
+// Parse HTML into { tag, attrs, children, parent } nodes; text nodes are strings
+function parseHTML(html) {
+  const root = { tag: '#root', attrs: {}, children: [], parent: null };
+  const stack = [root];
+  const re = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|[^<]+|</g;
+  let m;
+  while ((m = re.exec(html))) {
+    const [token, closeTag, openTag, attrSrc] = m;
+
+    if (openTag) {
+      const tag = openTag.toLowerCase();
+      const closes = IMPLIED_END[tag];
+      while (closes && stack.length > 1 && closes.includes(stack[stack.length - 1].tag)) stack.pop();
+      const current = stack[stack.length - 1];
+      const node = { tag, attrs: parseAttrs(attrSrc || ''), children: [], parent: current };
+      current.children.push(node);
+      if (RAW_TEXT_TAGS.has(tag)) {
+        // Skip raw text content up to the matching close tag
+        const end = html.toLowerCase().indexOf(`</${tag}`, re.lastIndex);
+        re.lastIndex = end === -1 ? html.length : end;
+        continue;
+      }
+      if (!VOID_TAGS.has(tag) && !/\/\s*$/.test(attrSrc || '')) stack.push(node);
+    } else if (closeTag) {
+      const tag = closeTag.toLowerCase();
+      const idx = stack.map((n) => n.tag).lastIndexOf(tag);
+      if (idx > 0) stack.length = idx; // pops the element and anything left unclosed inside it
+    } else if (token.startsWith('<!') || token.startsWith('<![')) {
+      continue; // comments, doctype, CDATA
+    } else {
+      stack[stack.length - 1].children.push(token);
+    }
+  }
+  return root;
+}
+
+function parseCompound(src) {
+  const compound = { tag: null, id: null, classes: [], attrs: [] };
+  const re = /([a-zA-Z][\w-]*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w:-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*)))?\s*\]/g;
+  let m;
+  let consumed = 0;
+  while ((m = re.exec(src))) {
+    if (m.index !== consumed) break;
+    consumed = re.lastIndex;
+    if (m[1]) compound.tag = m[1].toLowerCase();
+    else if (m[2]) compound.id = m[2];
+    else if (m[3]) compound.classes.push(m[3]);
+    else compound.attrs.push({ name: m[4].toLowerCase(), value: m[5] ?? m[6] ?? m[7] });
+  }
+  if (consumed !== src.length) throw new Error(`Unsupported selector: "${src}"`);
+  return compound;
+}
+
+// "div.list > article a" → [{ compound, combinator }] left to right
+function parseSelector(selector) {
+  const steps = [];
+  const parts = selector.trim().replace(/\s*>\s*/g, ' > ').split(/\s+/);
+  let combinator = ' ';
+  for (const part of parts) {
+    if (part === '>') { combinator = '>'; continue; }
+    steps.push({ compound: parseCompound(part), combinator });
+    combinator = ' ';
+  }
+  return steps;
+}
+
+function matchesCompound(node, c) {
+  if (typeof node === 'string' || node.tag === '#root') return false;
+  if (c.tag && node.tag !== c.tag) return false;
+  if (c.id && node.attrs.id !== c.id) return false;
+  if (c.classes.length) {
+    const classes = (node.attrs.class || '').split(/\s+/);
+    if (!c.classes.every((cls) => classes.includes(cls))) return false;
+  }
+  for (const a of c.attrs) {
+    if (!(a.name in node.attrs)) return false;
+    if (a.value !== undefined && node.attrs[a.name] !== a.value) return false;
+  }
+  return true;
+}
+
+// Match right to left: the node matches the last step, ancestors the rest
+function matchesSteps(node, steps, i) {
+  if (!matchesCompound(node, steps[i].compound)) return false;
+  if (i === 0) return true;
+  if (steps[i].combinator === '>') return !!node.parent && matchesSteps(node.parent, steps, i - 1);
+  for (let p = node.parent; p; p = p.parent) {
+    if (matchesSteps(p, steps, i - 1)) return true;
+  }
+  return false;
+}
+
+function walk(node, visit) {
+  for (const child of node.children) {
+    if (typeof child === 'string') continue;
+    visit(child);
+    walk(child, visit);
+  }
+}
+
+// All descendants of `scope` matching the selector, in document order.
+// Ancestor steps may match above `scope` — callers pass item nodes and
+// want matches inside them, which is what this gives.
+function selectAll(scope, selector) {
+  const lists = selector.split(',').map(parseSelector);
+  const found = [];
+  walk(scope, (node) => {
+    if (lists.some((steps) => matchesSteps(node, steps, steps.length - 1))) found.push(node);
+  });
+  return found;
+}
+
+function selectOne(scope, selector) {
+  return selectAll(scope, selector)[0] || null;
+}
+
+function textContent(node) {
+  if (!node) return '';
+  if (typeof node === 'string') return decodeEntities(node);
+  return node.children.map(textContent).join(' ').replace(/\s+/g, ' ').trim();
+}
+
+// Evaluate a field spec ("sel", "sel@attr" or "@attr") against an item node
+function selectField(item, spec) {
+  if (!spec) return '';
+  const at = spec.lastIndexOf('@');
+  const selector = (at === -1 ? spec : spec.slice(0, at)).trim();
+  const attr = at === -1 ? null : spec.slice(at + 1).trim().toLowerCase();
+  const node = selector ? selectOne(item, selector) : item;
+  if (!node) return '';
+  return attr ? (node.attrs[attr] || '').trim() : textContent(node);
+}
+
+module.exports = { parseHTML, selectAll, selectOne, selectField, textContent, decodeEntities };
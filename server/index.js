@@ -2,12 +2,20 @@ const express = require('express');
 const path = require('path');
 const crypto = require('crypto');
 const NodeCache = require('node-cache');
-const { fetchAllSources } = require('./fetcher');
+const { fetchAllSources, commitFeedStates, getFetchReport } = require('./fetcher');
 const { clusterArticles } = require('./cluster');
-const { initGroq, extractiveSummary, deepSummarizeCluster, answerFollowUp } = require('./summarizer');
-const { initDB, clusterHash, getEventByClusterHash, getIntelligenceSnapshot, getEventStats, getAllEvents, getHighSeverityEvents, getTopActors, getEventsByRegion, getDataQuality, generateUnsubToken, isUnsubscribed, addUnsubscribe } = require('./db');
-const { initExtractor, extractAllEvents } = require('./extractor');
+const { archiveArticles } = require('./archive');
+const { initGroq, extractiveSummary, translateArticles, deepSummarizeCluster, answerFollowUp } = require('./summarizer');
+const { initDB, clusterHash, getStoryAssignments, saveStories, getPinnedArticleUrls, mergeStories, splitStory, pinArticle, getStoryOverrides, storyExists, upsertArticles, getRecentArticles, getArticlesByUrls, getArchivedUrls, getSourceTierMap, getEventArticles, saveArticleTranslations, getAllFeedStates, getSourceHealth, getRejectedArticles, getSources, getSourceById, insertSource, updateSource, deleteSource, getEventByClusterHash, getEventsByClusterHash, getFiguresForEvents, getIntelligenceSnapshot, getEventStats, getAllEvents, getHighSeverityEvents, getTopActors, getEventsByRegion, getDataQuality, reviewQuarantineItem, getEventById, getEventRevisions, revertEvent, getReextractJobs, markInterruptedReextractJobs, rejectEventCandidate, generateUnsubToken, isUnsubscribed, addUnsubscribe } = require('./db');
+const { initExtractor, extractAllEvents, MODEL_VERSION, PROMPT_VERSION } = require('./extractor');
+const { listQuarantine, approveQuarantine } = require('./quarantine');
+const { reviewExtractedEvent, REASON_CODES } = require('./review');
+const { startReextractJob, getJobReview, promoteCandidates, promoteJob } = require('./reextract');
 const { generateDigest, renderDigestHTML, renderDigestText } = require('./digest');
+const { getStoryline, listStorylines } = require('./storylines');
+const { summarizeFigures } = require('./figures');
+const { validateSource } = require('./sources');
+const { getCountryProfiles, isCountryEnabled, findCountryProfile } = require('./countries');
 
 require('dotenv').config({ path: path.join(__dirname, '..', '.env'), quiet: true });
 
@@ -21,6 +29,8 @@ const DEEP_TTL = 60 * 60; // Deep summaries cached 1 hour
 
 // Initialize database (structured event storage)
 initDB();
+const interrupted = markInterruptedReextractJobs();
+if (interrupted > 0) console.log(`${interrupted} re-extraction job(s) interrupted by the restart (start them again to resume)`);
 
 // Initialize Groq if API key is available (free tier)
 if (process.env.GROQ_API_KEY) {
@@ -104,11 +114,13 @@ const sendLimiter = rateLimit(3600000, 3);   // 3 sends/hour for digest
 
 // ─── Public API ─────────────────────────────────────────────────
 
-// Enrich clusters with intelligence data from events DB (always fresh)
+// Enrich clusters with intelligence data from events DB (always fresh).
+// A story reporting several events is shown (and ranked) by its most
+// severe, with that event's figures; the rest are listed under otherEvents.
 function enrichClusters(clusters) {
   const enriched = clusters.map((c) => {
     const hash = clusterHash(c);
-    const event = getEventByClusterHash(hash);
+    const [event, ...others] = getEventsByClusterHash(hash);
     if (!event) return c;
     return {
       ...c,
@@ -118,9 +130,23 @@ function enrichClusters(clusters) {
         eventSubtype: event.event_subtype,
         verificationStatus: event.verification_status,
         actors: JSON.parse(event.actors_normalized || event.actors || '[]'),
+        country: event.country,
         regions: JSON.parse(event.regions || '[]'),
         scope: event.scope,
-        rationale: event.rationale,
+        // An analyst's note explains their correction better than the
+        // model's rationale for the values it replaced
+        rationale: (event.analyst_fields && event.review_note) || event.rationale,
+        storylineId: event.storyline_id,
+        analystReviewed: !!event.reviewed_at,
+        figures: summarizeFigures(getFiguresForEvents([event.id])).map((f) => ({
+          kind: f.kind, label: f.label, reportedBy: f.reportedBy, conflict: f.conflict, claims: f.claims,
+        })),
+        otherEvents: others.map((o) => ({
+          severity: o.severity,
+          eventType: o.event_type,
+          eventSubtype: o.event_subtype,
+          regions: JSON.parse(o.regions || '[]'),
+        })),
       },
     };
   });
@@ -136,44 +162,109 @@ function enrichClusters(clusters) {
   return enriched;
 }
 
+// Fetch fresh articles, persist them, and cluster the stored history.
+// Clustering runs over the article store rather than just this fetch, so a
+// restart or a cycle where every feed fails doesn't empty the feed.
+const ARTICLE_WINDOW_DAYS = 7;
+
+async function buildClusterData() {
+  const fetched = await fetchAllSources();
+  console.log(`Fetched ${fetched.length} articles total`);
+  upsertArticles(fetched);
+  commitFeedStates();
+  return clusterStoredArticles();
+}
+
+async function clusterStoredArticles() {
+  const articles = getRecentArticles(ARTICLE_WINDOW_DAYS);
+  if (articles.length === 0) return null;
+
+  // French/Arabic articles get English titles before clustering, so they
+  // can join English coverage of the same story (no-op without Groq)
+  saveArticleTranslations(await translateArticles(articles));
+
+  // Signals for choosing each story's lead article (selection.js)
+  const tiers = getSourceTierMap();
+  const archived = getArchivedUrls(articles.map((a) => a.url));
+  for (const a of articles) {
+    a.sourceTier = tiers[a.source] || null;
+    a.hasFullText = archived.has(a.url);
+  }
+
+  // Articles seen in earlier runs stay in their stories; new ones join the
+  // closest story or start one. Story IDs are stable across refreshes.
+  const assignments = getStoryAssignments(articles.map((a) => a.url));
+  const clusters = clusterArticles(articles, { assignments });
+  saveStories(clusters);
+  const grown = clusters.filter((c) => c.newArticleUrls.length && c.newArticleUrls.length < c.articles.length).length;
+  console.log(`Grouped ${articles.length} stored articles into ${clusters.length} stories (${grown} gained new articles)`);
+
+  const summarized = clusters.map(({ newArticleUrls, ...c }) => ({
+    ...c,
+    summary: extractiveSummary(c),
+  }));
+
+  return {
+    clusters: summarized,
+    totalArticles: articles.length,
+    sources: [...new Set(articles.map((a) => a.source))],
+    lastUpdated: new Date().toISOString(),
+  };
+}
+
+// Archive full text (readability extraction) before extracting events, so
+// extraction reads new stories' full text rather than their RSS snippets.
+// A failed archive run doesn't hold extraction up.
+async function archiveAndExtract(clusters) {
+  try {
+    await archiveArticles();
+  } catch (err) {
+    console.error('Background archive error:', err.message);
+  }
+  await extractAllEvents(clusters);
+}
+
+// Re-cluster the stored articles (no feed fetch) after an analyst override,
+// so the change shows at once, and re-extract the stories it touched
+async function reclusterStories() {
+  const rawData = await clusterStoredArticles();
+  if (!rawData) return;
+  cache.set('clusters-raw', rawData, CLUSTERS_TTL);
+  extractAllEvents(rawData.clusters).catch((err) => {
+    console.error('Background event extraction error:', err.message);
+  });
+}
+
+// ?country= (profile id or name) narrows the feed to stories tagged with
+// that country at cluster time, or whose extracted event names it
 app.get('/api/news', apiLimiter, async (req, res) => {
+  const country = req.query.country ? findCountryProfile(req.query.country) : null;
+  if (req.query.country && !country) return res.status(400).json({ error: 'Unknown country' });
+
   try {
     let rawData = cache.get('clusters-raw');
 
     if (!rawData) {
       console.log('Fetching articles from all sources...');
-      const articles = await fetchAllSources();
-      console.log(`Fetched ${articles.length} articles total`);
+      rawData = await buildClusterData();
 
-      if (articles.length === 0) {
+      if (!rawData) {
         return res.json({ clusters: [], totalArticles: 0, sources: [] });
       }
 
-      const clusters = clusterArticles(articles);
-      console.log(`Grouped into ${clusters.length} story clusters`);
-
-      const summarized = clusters.map((c) => ({
-        ...c,
-        summary: extractiveSummary(c),
-      }));
-
-      rawData = {
-        clusters: summarized,
-        totalArticles: articles.length,
-        sources: [...new Set(articles.map((a) => a.source))],
-        lastUpdated: new Date().toISOString(),
-      };
-
       cache.set('clusters-raw', rawData, CLUSTERS_TTL);
 
-      // Background: extract structured event data
-      extractAllEvents(summarized).catch((err) => {
+      // Background: archive full article text, then extract structured event data
+      archiveAndExtract(rawData.clusters).catch((err) => {
         console.error('Background event extraction error:', err.message);
       });
     }
 
     // Always enrich from events DB (picks up newly extracted events immediately)
-    const enriched = enrichClusters(rawData.clusters);
+    let enriched = enrichClusters(rawData.clusters);
+    if (country) {
+      enriched = enriched.filter((c) => (c.countries || []).includes(country.id) || c.event?.country === country.name);
+    }
     res.json({ ...rawData, clusters: enriched });
   } catch (err) {
     console.error('Error in /api/news:', err);
@@ -181,6 +272,11 @@ app.get('/api/news', apiLimiter, async (req, res) => {
   }
 });
 
+// Keyed by story ID and size, so the analysis is regenerated when the story grows
+function deepCacheKey(cluster) {
+  return `deep-${cluster.id}-${cluster.articles.length}`;
+}
+
 app.get('/api/story/:index', aiLimiter, async (req, res) => {
   try {
     const index = parseInt(req.params.index);
@@ -197,7 +293,7 @@ app.get('/api/story/:index', aiLimiter, async (req, res) => {
     }
 
     const cluster = enriched[index];
-    const deepKey = `deep-${cluster.primaryArticle.title.slice(0, 50)}`;
+    const deepKey = deepCacheKey(cluster);
     const cachedDeep = cache.get(deepKey);
     if (cachedDeep) {
       return res.json(cachedDeep);
@@ -241,7 +337,7 @@ app.post('/api/followup', aiLimiter, async (req, res) => {
     const cluster = enriched[storyIndex];
 
     // Include deep summary for richer follow-up context
-    const deepKey = `deep-${cluster.primaryArticle.title.slice(0, 50)}`;
+    const deepKey = deepCacheKey(cluster);
     const cachedDeep = cache.get(deepKey);
     const answer = await answerFollowUp(cluster, question, cachedDeep?.deepSummary);
 
@@ -254,24 +350,58 @@ app.post('/api/followup', aiLimiter, async (req, res) => {
 
 app.post('/api/news/refresh', apiLimiter, async (req, res) => {
   cache.del('clusters-raw');
-  cache.del('intelligence');
+  cache.del(cache.keys().filter((k) => k.startsWith('intelligence')));
   const keys = cache.keys();
   keys.filter((k) => k.startsWith('deep-')).forEach((k) => cache.del(k));
   res.json({ message: 'Cache cleared. Next request will fetch fresh data.' });
 });
 
-// Public intelligence snapshot (for homepage banner)
+// Monitored countries (enabled profiles), for the feed's country filter
+app.get('/api/countries', apiLimiter, (req, res) => {
+  res.json({
+    countries: getCountryProfiles({ enabledOnly: true }).map((p) => ({ id: p.id, name: p.name })),
+  });
+});
+
+// Resolve ?country= (profile id or name) to the country name stored on events.
+// Returns undefined when absent, null when unknown.
+function countryParam(req) {
+  if (!req.query.country) return undefined;
+  const profile = findCountryProfile(req.query.country);
+  return profile ? profile.name : null;
+}
+
+// Public intelligence snapshot (for homepage banner), optionally per country
 app.get('/api/intelligence', apiLimiter, (req, res) => {
-  const cached = cache.get('intelligence');
+  const country = countryParam(req);
+  if (country === null) return res.status(400).json({ error: 'Unknown country' });
+
+  const cacheKey = country ? `intelligence-${country}` : 'intelligence';
+  const cached = cache.get(cacheKey);
   if (cached) return res.json(cached);
 
-  const snapshot = getIntelligenceSnapshot();
+  const snapshot = getIntelligenceSnapshot(country);
   if (snapshot) {
-    cache.set('intelligence', snapshot, 300); // 5 min cache
+    cache.set(cacheKey, snapshot, 300); // 5 min cache
   }
   res.json(snapshot || { eventsThisWeek: 0, highSeverityCount: 0, topRegion: null, topActor: null, severityDistribution: [] });
 });
 
+// Long-running storylines (linked events over weeks), optionally per country
+app.get('/api/storylines', apiLimiter, (req, res) => {
+  const country = countryParam(req);
+  if (country === null) return res.status(400).json({ error: 'Unknown country' });
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  res.json({ storylines: listStorylines({ limit, country }) });
+});
+
+// One storyline with its dated timeline of events
+app.get('/api/storylines/:id', apiLimiter, (req, res) => {
+  const storyline = getStoryline(req.params.id);
+  if (!storyline) return res.status(404).json({ error: 'Storyline not found' });
+  res.json(storyline);
+});
+
 // Health check (public — no auth, no rate limit)
 app.get('/api/health', (req, res) => {
   res.json({
@@ -305,10 +435,267 @@ app.get('/unsubscribe', (req, res) => {
 
 // ─── Admin API (auth-protected) ─────────────────────────────────
 
+// Event content changed outside extraction: the cached intelligence is stale
+function eventsChanged() {
+  cache.del(cache.keys().filter((k) => k.startsWith('intelligence')));
+}
+
 app.get('/api/admin/events', requireAdmin, (req, res) => {
   const limit = Math.min(parseInt(req.query.limit) || 100, 500);
   const offset = parseInt(req.query.offset) || 0;
-  res.json({ events: getAllEvents(limit, offset), stats: getEventStats() });
+  res.json({ events: getAllEvents(limit, offset), stats: getEventStats(), reasonCodes: REASON_CODES });
+});
+
+// Analyst correction: body { severity, eventType, eventSubtype, scope,
+// verificationStatus, regions, actors } (any subset, none to confirm the
+// model's values) plus { reasonCode, note, analyst }
+app.patch('/api/admin/events/:id', requireAdmin, (req, res) => {
+  const result = reviewExtractedEvent(parseInt(req.params.id), req.body || {});
+  if (result.error) return res.status(result.status).json({ error: result.error, details: result.details });
+  eventsChanged();
+  res.json({ event: result.event });
+});
+
+// Raw reporting behind an event, from the article store
+app.get('/api/admin/events/:id/articles', requireAdmin, (req, res) => {
+  const articles = getEventArticles(parseInt(req.params.id));
+  if (!articles) return res.status(404).json({ error: 'Event not found' });
+  res.json({ articles });
+});
+
+// An event's audit log, newest first (kept after the event is removed)
+app.get('/api/admin/events/:id/revisions', requireAdmin, (req, res) => {
+  const id = parseInt(req.params.id);
+  const event = getEventById(id);
+  const revisions = getEventRevisions(id);
+  if (!event && revisions.length === 0) return res.status(404).json({ error: 'Event not found' });
+  res.json({ event, revisions });
+});
+
+// Restore the state a revision left the event in: body { revisionId, reason, analyst }
+app.post('/api/admin/events/:id/revert', requireAdmin, (req, res) => {
+  const { revisionId, reason, analyst } = req.body || {};
+  if (!revisionId) return res.status(400).json({ error: 'Need revisionId' });
+  const event = revertEvent(parseInt(req.params.id), parseInt(revisionId), { actor: analyst, reason });
+  if (!event) return res.status(404).json({ error: 'No such event, or the revision is not one of its own' });
+  eventsChanged();
+  res.json({ event, revisions: getEventRevisions(event.id) });
+});
+
+// Per-source feed status: last cycle's changed/unchanged/failed + stored validators
+app.get('/api/admin/feeds', requireAdmin, (req, res) => {
+  res.json({ lastRun: getFetchReport(), feeds: getAllFeedStates() });
+});
+
+// Source registry + health: fetch history per source, flagged after N bad cycles in a row
+app.get('/api/admin/sources', requireAdmin, (req, res) => {
+  const cycles = parseInt(req.query.cycles) || 3;
+  const registry = getSources();
+  const health = getSourceHealth(registry.map((s) => s.name), cycles);
+  res.json({
+    alertCycles: cycles,
+    countries: getCountryProfiles().map((p) => ({ id: p.id, name: p.name, enabled: isCountryEnabled(p.id) })),
+    sources: registry.map((s, i) => ({ ...health[i], ...s, countryEnabled: isCountryEnabled(s.country) })),
+  });
+});
+
+const SOURCE_FIELDS = ['name', 'url', 'domains', 'category', 'reliability', 'tier', 'enabled', 'relevanceProfile', 'country', 'type', 'config', 'relevanceThreshold'];
+
+function pickSourceFields(body) {
+  const fields = {};
+  for (const key of SOURCE_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+}
+
+app.post('/api/admin/sources', requireAdmin, (req, res) => {
+  const fields = pickSourceFields(req.body || {});
+  const errors = validateSource(fields);
+  if (errors.length > 0) return res.status(400).json({ error: 'Invalid source', details: errors });
+
+  const source = insertSource(fields);
+  if (!source) return res.status(409).json({ error: `A source named "${fields.name}" already exists` });
+  cache.del('clusters-raw');
+  res.status(201).json({ source });
+});
+
+app.patch('/api/admin/sources/:id', requireAdmin, (req, res) => {
+  const id = parseInt(req.params.id);
+  const existing = getSourceById(id);
+  if (!existing) return res.status(404).json({ error: 'Source not found' });
+
+  const fields = pickSourceFields(req.body || {});
+  // Type and config are checked together, so fill in whichever is missing
+  const errors = validateSource({ type: existing.type, config: existing.config, ...fields }, { partial: true });
+  if (errors.length > 0) return res.status(400).json({ error: 'Invalid source', details: errors });
+
+  try {
+    const source = updateSource(id, fields);
+    cache.del('clusters-raw');
+    res.json({ source });
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ error: `A source named "${fields.name}" already exists` });
+    }
+    throw err;
+  }
+});
+
+app.delete('/api/admin/sources/:id', requireAdmin, (req, res) => {
+  if (!deleteSource(parseInt(req.params.id))) return res.status(404).json({ error: 'Source not found' });
+  cache.del('clusters-raw');
+  res.json({ deleted: true });
+});
+
+// Feed items the relevance scorer rejected, near misses first — for tuning
+// keywords, gazetteers and per-source thresholds
+app.get('/api/admin/rejected', requireAdmin, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  const minScore = parseFloat(req.query.minScore) || 0;
+  res.json({ rejected: getRejectedArticles({ source: req.query.source || null, minScore, limit }) });
+});
+
+// ─── Story overrides (analyst merge / split / pin) ──────────────
+
+// Current stories with their articles, newest first
+app.get('/api/admin/stories', requireAdmin, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  let rawData = cache.get('clusters-raw');
+  if (!rawData) {
+    rawData = await clusterStoredArticles();
+    if (rawData) cache.set('clusters-raw', rawData, CLUSTERS_TTL);
+  }
+  const clusters = (rawData?.clusters || []).slice(0, limit);
+  const pinned = new Set(getPinnedArticleUrls(clusters.flatMap((c) => c.articles.map((a) => a.url))));
+  res.json({
+    stories: clusters.map((c) => {
+      const event = getEventByClusterHash(c.id);
+      return {
+        id: c.id,
+        title: c.primaryArticle.title,
+        latestDate: c.latestDate,
+        sources: c.sources,
+        event: event ? { severity: event.severity, eventType: event.event_type } : null,
+        articles: c.articles.map((a) => ({
+          url: a.url, title: a.title, source: a.source, publishedAt: a.publishedAt, pinned: pinned.has(a.url),
+        })),
+      };
+    }),
+    overrides: getStoryOverrides(20),
+  });
+});
+
+app.post('/api/admin/stories/merge', requireAdmin, async (req, res) => {
+  const { from, into, reason } = req.body || {};
+  if (!from || !into || from === into) return res.status(400).json({ error: 'Need two different story IDs: from, into' });
+  if (!storyExists(into)) return res.status(404).json({ error: `Story ${into} not found` });
+  const moved = mergeStories(from, into, reason);
+  if (moved.length === 0) return res.status(404).json({ error: `Story ${from} not found` });
+  await reclusterStories();
+  res.json({ storyId: into, moved });
+});
+
+app.post('/api/admin/stories/:id/split', requireAdmin, async (req, res) => {
+  const { articleUrls, reason } = req.body || {};
+  if (!Array.isArray(articleUrls) || articleUrls.length === 0) {
+    return res.status(400).json({ error: 'articleUrls must be a non-empty array' });
+  }
+  const newId = splitStory(req.params.id, articleUrls, reason);
+  if (!newId) return res.status(404).json({ error: 'None of those articles belong to this story' });
+  await reclusterStories();
+  res.status(201).json({ storyId: newId });
+});
+
+app.post('/api/admin/stories/pin', requireAdmin, async (req, res) => {
+  const { articleUrl, storyId, reason } = req.body || {};
+  if (!articleUrl || !storyId) return res.status(400).json({ error: 'Need articleUrl and storyId' });
+  const [article] = getArticlesByUrls([articleUrl]); // accepts the Google News URL too
+  if (!article) return res.status(404).json({ error: 'Article not found' });
+  if (!storyExists(storyId)) return res.status(404).json({ error: `Story ${storyId} not found` });
+  const previous = pinArticle(article.url, storyId, reason);
+  await reclusterStories();
+  res.json({ storyId, previousStoryId: previous });
+});
+
+// ─── Quarantine review ──────────────────────────────────────────
+
+// ?status=open|approved|discarded|requeued&reason=&limit=&offset=
+app.get('/api/admin/quarantine', requireAdmin, (req, res) => {
+  res.json(listQuarantine({
+    status: req.query.status || 'open',
+    reason: req.query.reason || null,
+    limit: Math.min(parseInt(req.query.limit) || 50, 200),
+    offset: parseInt(req.query.offset) || 0,
+  }));
+});
+
+// Body: the corrected extraction fields plus { analyst, note }
+app.post('/api/admin/quarantine/:id/approve', requireAdmin, (req, res) => {
+  const { analyst, note, ...fields } = req.body || {};
+  const result = approveQuarantine(parseInt(req.params.id), fields, { analyst, note });
+  if (result.error) return res.status(result.status).json({ error: result.error, details: result.details });
+  eventsChanged();
+  res.status(201).json({ event: result.event });
+});
+
+// Close an item without an event: body { analyst, note }
+function closeQuarantineItem(status) {
+  return (req, res) => {
+    const { analyst, note } = req.body || {};
+    if (!reviewQuarantineItem(parseInt(req.params.id), status, { analyst, note })) {
+      return res.status(404).json({ error: 'No open quarantine item with that id' });
+    }
+    res.json({ status });
+  };
+}
+
+app.post('/api/admin/quarantine/:id/discard', requireAdmin, closeQuarantineItem('discarded'));
+// Extracted again on the next pass, if the story is still in the feed window
+app.post('/api/admin/quarantine/:id/requeue', requireAdmin, closeQuarantineItem('requeued'));
+
+// ─── Re-extraction (prompt/model version migration) ────────────
+
+// Recent jobs, newest first
+app.get('/api/admin/reextract', requireAdmin, (req, res) => {
+  res.json({ modelVersion: MODEL_VERSION, promptVersion: PROMPT_VERSION, jobs: getReextractJobs() });
+});
+
+// Start a job: body { promptVersion, modelVersion, since, until, eventType, country, limit }
+app.post('/api/admin/reextract', requireAdmin, (req, res) => {
+  const { job, error } = startReextractJob(req.body || {});
+  if (error) return res.status(400).json({ error });
+  res.status(202).json({ job });
+});
+
+// A job's candidates next to the live events they would replace
+app.get('/api/admin/reextract/:id', requireAdmin, (req, res) => {
+  const review = getJobReview(parseInt(req.params.id));
+  if (!review) return res.status(404).json({ error: 'Job not found' });
+  res.json(review);
+});
+
+app.post('/api/admin/reextract/:id/promote', requireAdmin, (req, res) => {
+  const review = getJobReview(parseInt(req.params.id));
+  if (!review) return res.status(404).json({ error: 'Job not found' });
+  const promoted = promoteJob(review.job.id);
+  eventsChanged();
+  res.json({ promoted });
+});
+
+app.post('/api/admin/candidates/:id/promote', requireAdmin, (req, res) => {
+  if (promoteCandidates([parseInt(req.params.id)]) === 0) {
+    return res.status(404).json({ error: 'No pending candidate with that id' });
+  }
+  eventsChanged();
+  res.json({ promoted: 1 });
+});
+
+app.post('/api/admin/candidates/:id/reject', requireAdmin, (req, res) => {
+  if (!rejectEventCandidate(parseInt(req.params.id))) {
+    return res.status(404).json({ error: 'No pending candidate with that id' });
+  }
+  res.json({ rejected: 1 });
 });
 
 app.get('/api/admin/alerts', requireAdmin, (req, res) => {
@@ -330,18 +717,24 @@ app.get('/api/admin/quality', requireAdmin, (req, res) => {
 });
 
 app.get('/api/admin/digest', requireAdmin, (req, res) => {
-  const digest = generateDigest();
+  const country = countryParam(req);
+  if (country === null) return res.status(400).json({ error: 'Unknown country' });
+  const digest = generateDigest({ country });
   res.json(digest);
 });
 
 app.get('/api/admin/digest/html', requireAdmin, (req, res) => {
-  const digest = generateDigest();
+  const country = countryParam(req);
+  if (country === null) return res.status(400).json({ error: 'Unknown country' });
+  const digest = generateDigest({ country });
   const html = renderDigestHTML(digest);
   res.type('html').send(html);
 });
 
 app.get('/api/admin/digest/text', requireAdmin, (req, res) => {
-  const digest = generateDigest();
+  const country = countryParam(req);
+  if (country === null) return res.status(400).json({ error: 'Unknown country' });
+  const digest = generateDigest({ country });
   const text = renderDigestText(digest);
   res.type('text').send(text);
 });
@@ -349,7 +742,13 @@ app.get('/api/admin/digest/text', requireAdmin, (req, res) => {
 app.post('/api/admin/digest/send', requireAdmin, sendLimiter, (req, res) => {
   const { exec } = require('child_process');
   const mode = req.query.test === 'true' ? '--test' : '';
-  exec(`node ${path.join(__dirname, 'send-digest.js')} ${mode}`, (err, stdout, stderr) => {
+  let countryFlag = '';
+  if (req.query.country) {
+    const profile = findCountryProfile(req.query.country);
+    if (!profile) return res.status(400).json({ error: 'Unknown country' });
+    countryFlag = `--country=${profile.id}`;
+  }
+  exec(`node ${path.join(__dirname, 'send-digest.js')} ${mode} ${countryFlag}`, (err, stdout, stderr) => {
     const output = (stdout || '') + (stderr || '');
     if (err) {
       return res.status(500).json({ error: 'Send failed', output: output.trim() });
@@ -373,7 +772,7 @@ app.listen(PORT, () => {
     console.log('WARNING: Admin dashboard is OPEN (set ADMIN_TOKEN in .env to protect it)');
   }
 
-  // ─── Background extraction: runs every 15 minutes ──────────
+  // ─── Background archive + extraction: runs every 15 minutes ─
   const EXTRACTION_INTERVAL_MS = 15 * 60 * 1000;
 
   async function backgroundFetchAndExtract() {
@@ -381,24 +780,13 @@ app.listen(PORT, () => {
       let data = cache.get('clusters-raw');
       if (!data) {
         console.log('[background] Fetching fresh articles for extraction...');
-        const articles = await fetchAllSources();
-        if (articles.length === 0) return;
-        const clusters = clusterArticles(articles);
-        const summarized = clusters.map((c) => ({
-          ...c,
-          summary: extractiveSummary(c),
-        }));
-        data = {
-          clusters: summarized,
-          totalArticles: articles.length,
-          sources: [...new Set(articles.map((a) => a.source))],
-          lastUpdated: new Date().toISOString(),
-        };
+        data = await buildClusterData();
+        if (!data) return;
         cache.set('clusters-raw', data, CLUSTERS_TTL);
       }
-      await extractAllEvents(data.clusters);
+      await archiveAndExtract(data.clusters);
       // Clear intelligence cache so banner updates after extraction
-      cache.del('intelligence');
+      cache.del(cache.keys().filter((k) => k.startsWith('intelligence')));
     } catch (err) {
       console.error('[background] Extraction cycle error:', err.message);
     }
@@ -0,0 +1,44 @@
+// Language detection for feed items — English, French and Arabic, which
+// covers every outlet we monitor. Script first (Arabic letters are
+// unambiguous), then function-word counts to tell French from English.
+// Cheap enough to run on every item; no dictionaries or models.
+
+const SUPPORTED_LANGUAGES = ['en', 'fr', 'ar'];
+
+const LANGUAGE_NAMES = { en: 'English', fr: 'French', ar: 'Arabic' };
+
+// High-frequency function words that rarely appear in the other language
+const FUNCTION_WORDS = {
+  en: new Set([
+    'the', 'and', 'of', 'to', 'in', 'is', 'was', 'for', 'on', 'with', 'as', 'by', 'at', 'from',
+    'that', 'this', 'are', 'has', 'have', 'were', 'after', 'over', 'says', 'said', 'its', 'their',
+  ]),
+  fr: new Set([
+    'le', 'la', 'les', 'des', 'du', 'une', 'un', 'et', 'est', 'dans', 'pour', 'sur', 'au', 'aux',
+    'avec', 'qui', 'que', 'par', 'à', 'été', 'ont', 'sont', 'après', 'selon', 'cette', 'ces', 'leur',
+  ]),
+};
+
+// Returns 'en', 'fr' or 'ar'. Short or ambiguous text falls back to English,
+// which is what the keyword lists and prompts were written for.
+function detectLanguage(text) {
+  if (!text) return 'en';
+  const letters = text.match(/\p{L}/gu) || [];
+  if (letters.length === 0) return 'en';
+
+  const arabic = text.match(/\p{Script=Arabic}/gu) || [];
+  if (arabic.length / letters.length > 0.4) return 'ar';
+
+  const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+  let en = 0;
+  let fr = 0;
+  for (const raw of words) {
+    const word = raw.replace(/^[ldjnmstc]'/, ''); // l'armée, d'un → armée, un
+    if (FUNCTION_WORDS.en.has(word)) en++;
+    if (FUNCTION_WORDS.fr.has(word)) fr++;
+    if (raw !== word) fr++; // elided article/pronoun is itself a French marker
+  }
+  return fr > en ? 'fr' : 'en';
+}
+
+module.exports = { detectLanguage, SUPPORTED_LANGUAGES, LANGUAGE_NAMES };
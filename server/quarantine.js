@@ -0,0 +1,81 @@
+// Quarantine review: what an analyst can do with an extraction the
+// pipeline rejected (schema errors), held back (low confidence) or failed
+// to parse — see extractor.js.
+//
+//   approve  — the analyst's corrected fields become the story's event,
+//              with provenance "analyst" (model_version 'analyst', and an
+//              analyst revision in the event's history)
+//   discard  — closed; the story stays without an event
+//   requeue  — closed; the story is extracted again on the next pass, if
+//              it is still in the feed window
+//
+// Every item carries a draft: the model's own answer, parsed as far as it
+// goes, for the analyst to start from. An item is either a story's whole
+// answer or, when the story's other events went in, the one event held
+// back (eventIndex); approving that one adds it to the story.
+
+const { getQuarantineItems, getQuarantineItem, approveQuarantineItem, getArticlesByUrls } = require('./db');
+const { getSourceTier, normalizeActors } = require('./extractor');
+const { EVENT_FIELDS, FIGURE_FIELDS, validateEvent, toColumns } = require('./event-schema');
+const { analyzeSyndication } = require('./syndication');
+
+// The model's answer as editable fields (empty when it didn't parse): the
+// event held back (eventIndex) or else its first event, or the whole
+// answer from prompts before v6, which gave one event per story. Answers
+// from before tool calling (prompt v4 and earlier) may be wrapped in a
+// markdown fence.
+function draftFromItem(item) {
+  let data = {};
+  const raw = (item.rawOutput || '').replace(/^\s*```(?:json)?|```\s*$/g, '').trim();
+  try { data = raw ? JSON.parse(raw) : {}; } catch { /* not JSON */ }
+  if (Array.isArray(data?.events)) data = data.events[item.eventIndex ?? 0];
+  if (!data || typeof data !== 'object') data = {};
+  const draft = {};
+  for (const field of Object.keys(EVENT_FIELDS)) draft[field] = data[field] ?? null;
+  return draft;
+}
+
+function listQuarantine(query) {
+  const { items, counts } = getQuarantineItems(query);
+  return { items: items.map((item) => ({ ...item, draft: draftFromItem(item) })), counts };
+}
+
+// Approve an item with the analyst's fields (event-schema.js names; form
+// strings are coerced, figures given as JSON). Returns { event } or
+// { error, status, details }.
+function approveQuarantine(id, fields, { analyst, note } = {}) {
+  const item = getQuarantineItem(id);
+  if (!item) return { error: 'Quarantine item not found', status: 404 };
+  if (item.status !== 'open') return { error: `Item already ${item.status}`, status: 409 };
+
+  // An analyst's figures are checked, not dropped
+  const { value, errors, warnings } = validateEvent(fields);
+  if (errors.length + warnings.length > 0) return { error: 'Invalid event', status: 400, details: [...errors, ...warnings] };
+
+  // Coverage from the stored articles, as far as they're still there
+  const articles = getArticlesByUrls(item.articleUrls);
+  const latest = articles.map((a) => a.publishedAt).filter(Boolean).sort().pop();
+  const event = {
+    ...toColumns(value),
+    cluster_hash: item.clusterHash,
+    summary: value.summary || item.primaryTitle,
+    source_tier: getSourceTier(item.sources),
+    actors_normalized: normalizeActors(value.actors),
+    figures: value.figures.map((f) => toColumns(f, FIGURE_FIELDS)),
+    model_version: 'analyst',
+    prompt_version: null,
+    article_urls: item.articleUrls,
+    article_count: item.articleUrls.length,
+    independent_source_count: articles.length ? analyzeSyndication(articles).independentSourceCount : null,
+    sources: item.sources,
+    primary_url: item.primaryUrl,
+    primary_title: item.primaryTitle,
+    published_at: latest || new Date(`${item.quarantinedAt.replace(' ', 'T')}Z`).toISOString(),
+  };
+
+  const row = approveQuarantineItem(id, event, { analyst, note });
+  if (!row) return { error: 'This story already has an event', status: 409 };
+  return { event: row };
+}
+
+module.exports = { listQuarantine, approveQuarantine, draftFromItem };
@@ -0,0 +1,158 @@
+// Readable-text extraction for archived article pages.
+//
+// A small take on the Readability approach: find the element whose direct
+// <p> children carry the most prose, then keep that element's paragraphs,
+// skipping anything inside navigation, sharing widgets, related-story
+// rails and the like. Metadata (title, byline, publish date) comes from
+// <meta> tags and JSON-LD, which most news CMSes emit.
+//
+// Built on html-select's parser, so no DOM dependency.
+
+const { parseHTML, selectAll, textContent } = require('./html-select');
+
+const BOILERPLATE_TAGS = new Set([
+  'nav', 'header', 'footer', 'aside', 'form', 'button', 'select', 'svg', 'iframe', 'figcaption',
+]);
+// class/id fragments that mark page furniture rather than article body
+const BOILERPLATE_HINT = /comment|share|social|related|promo|newsletter|subscribe|sidebar|footer|\bnav|menu|advert|\bads?\b|cookie|popup|modal|breadcrumb|\btags?\b|author-bio|recommend|most-read|trending/i;
+// Stock lines that survive as paragraphs inside article bodies
+const BOILERPLATE_LINE = /^(share this|read more|read also|also read|related:|subscribe|follow us|click here|advertisement|sign up|copyright|©|all rights reserved)/i;
+
+const MIN_PARAGRAPH_CHARS = 25;
+
+function isBoilerplate(node) {
+  for (let n = node; n && n.tag !== '#root'; n = n.parent) {
+    if (BOILERPLATE_TAGS.has(n.tag)) return true;
+    if (n.tag === 'article' || n.tag === 'main') return false; // explicit content container
+    const hint = `${n.attrs.class || ''} ${n.attrs.id || ''} ${n.attrs.role || ''}`;
+    if (hint.trim() && BOILERPLATE_HINT.test(hint)) return true;
+  }
+  return false;
+}
+
+// Readability-style score: longer paragraphs with more clauses score higher
+function paragraphScore(text) {
+  return 1 + (text.match(/[,،;]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+}
+
+function findContentRoot(paragraphs) {
+  const scores = new Map();
+  const add = (node, score) => { if (node) scores.set(node, (scores.get(node) || 0) + score); };
+  for (const { node, text } of paragraphs) {
+    const score = paragraphScore(text);
+    add(node.parent, score);
+    add(node.parent?.parent, score / 2);
+  }
+  let best = null;
+  let bestScore = 0;
+  for (const [node, score] of scores) {
+    if (score > bestScore) { best = node; bestScore = score; }
+  }
+  return best;
+}
+
+function isInside(node, ancestor) {
+  for (let n = node; n; n = n.parent) if (n === ancestor) return true;
+  return false;
+}
+
+// ─── Metadata ───────────────────────────────────────────────────
+
+function readMeta(root) {
+  const meta = {};
+  for (const node of selectAll(root, 'meta')) {
+    const key = (node.attrs.property || node.attrs.name || node.attrs.itemprop || '').toLowerCase();
+    if (key && node.attrs.content && !(key in meta)) meta[key] = node.attrs.content.trim();
+  }
+  return meta;
+}
+
+// JSON-LD lives in <script> blocks, which the parser skips — read them raw
+function readJsonLd(html) {
+  const found = {};
+  const re = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    let data;
+    try { data = JSON.parse(m[1].trim()); } catch { continue; }
+    const nodes = [data].flat().flatMap((d) => (d && d['@graph'] ? d['@graph'] : [d]));
+    for (const d of nodes) {
+      if (!d || typeof d !== 'object') continue;
+      if (!found.datePublished && d.datePublished) found.datePublished = d.datePublished;
+      if (!found.headline && d.headline) found.headline = d.headline;
+      if (!found.author && d.author) {
+        const authors = [d.author].flat().map((a) => (typeof a === 'string' ? a : a?.name)).filter(Boolean);
+        if (authors.length) found.author = authors.join(', ');
+      }
+    }
+  }
+  return found;
+}
+
+function toISODate(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return isNaN(d) ? null : d.toISOString();
+}
+
+function findByline(root, meta, jsonLd) {
+  if (jsonLd.author) return jsonLd.author;
+  const fromMeta = meta.author || meta['article:author'] || meta['sailthru.author'];
+  if (fromMeta && !/^https?:\/\//.test(fromMeta)) return fromMeta;
+  for (const selector of ['[rel=author]', '[itemprop=author]', '.byline', '.author-name', '.author']) {
+    const text = selectAll(root, selector).map(textContent).find((t) => t && t.length < 100);
+    if (text) return text.replace(/^by\s+/i, '');
+  }
+  return null;
+}
+
+function findPublishedAt(root, meta, jsonLd) {
+  const candidates = [
+    meta['article:published_time'], meta['og:article:published_time'], meta.datepublished,
+    meta.pubdate, meta.publishdate, meta.date, meta['dc.date'], jsonLd.datePublished,
+    ...selectAll(root, 'time[datetime]').map((n) => n.attrs.datetime),
+  ];
+  for (const value of candidates) {
+    const iso = toISODate(value);
+    if (iso) return iso;
+  }
+  return null;
+}
+
+// ─── Extraction ─────────────────────────────────────────────────
+
+// Returns { title, byline, publishedAt, paragraphs, text, wordCount }.
+// paragraphs is empty when no article body could be found.
+function extractReadable(html) {
+  const root = parseHTML(html || '');
+  const meta = readMeta(root);
+  const jsonLd = readJsonLd(html || '');
+  const titleNode = selectAll(root, 'title')[0];
+
+  const candidates = selectAll(root, 'p, blockquote')
+    .filter((node) => !isBoilerplate(node))
+    .filter((node) => node.tag === 'p' || selectAll(node, 'p').length === 0) // quotes made of <p>s count once
+    .map((node) => ({ node, text: textContent(node) }))
+    .filter((p) => p.text.length >= MIN_PARAGRAPH_CHARS && !BOILERPLATE_LINE.test(p.text));
+
+  const contentRoot = findContentRoot(candidates.filter((p) => p.node.tag === 'p'));
+  const seen = new Set();
+  const paragraphs = [];
+  for (const { node, text } of candidates) {
+    if (!contentRoot || !isInside(node, contentRoot) || seen.has(text)) continue;
+    seen.add(text);
+    paragraphs.push(text);
+  }
+
+  const text = paragraphs.join('\n\n');
+  return {
+    title: meta['og:title'] || jsonLd.headline || (titleNode ? textContent(titleNode) : '') || null,
+    byline: findByline(root, meta, jsonLd),
+    publishedAt: findPublishedAt(root, meta, jsonLd),
+    paragraphs,
+    text,
+    wordCount: text ? text.split(/\s+/).length : 0,
+  };
+}
+
+module.exports = { extractReadable };
@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+// ─── Re-extraction ───────────────────────────────────────────
+// Runs the current extraction prompt and model (extractor.js) again over
+// events already in the database — after a prompt bump, to clean up v2-era
+// rationales, or to compare a new model. Events are selected by the prompt
+// or model version they were extracted with, a published date range, event
+// type or country. The stored articles behind each event are rebuilt into
+// the cluster the extractor expects, one request every REQUEST_DELAY_MS.
+//
+// Results never overwrite the live event: each is kept as a candidate
+// (event_candidates) next to it, compared field by field, and copied onto
+// the event only when promoted — from /admin or with --promote.
+//
+// A story holding several events is extracted once, and each of its
+// selected events is paired with the extracted event most like it. Events
+// the new answer has that the story didn't aren't added here; requeue the
+// story (merge/split in /admin) to extract it from scratch.
+//
+// Usage:
+//   node server/reextract.js --prompt-version=v2              # Re-extract every v2 event
+//   node server/reextract.js --since=2026-01-01 --until=2026-03-31 --type=security
+//   node server/reextract.js --model-version=none --limit=20  # Events with no recorded model
+//   node server/reextract.js --dry-run --prompt-version=v3    # Count matching events, no API calls
+//   node server/reextract.js --list                           # Recent jobs
+//   node server/reextract.js --show=3                         # Job 3's candidates vs live events
+//   node server/reextract.js --promote=3                      # Promote all of job 3's pending candidates
+//
+// With no version filter, events not extracted with the current prompt
+// and model are selected. Requires GROQ_API_KEY in .env (except --list,
+// --show, --promote and --dry-run).
+
+const {
+  getEventsForReextraction, getArticlesByUrls, createReextractJob, updateReextractJob,
+  getReextractJob, getReextractJobs, insertEventCandidate, getEventCandidates,
+  promoteEventCandidate, getPendingCandidateIds,
+} = require('./db');
+const { isExtractorReady, extractCluster, MODEL_VERSION, PROMPT_VERSION, REQUEST_DELAY_MS } = require('./extractor');
+const { analyzeSyndication } = require('./syndication');
+const { linkStorylines } = require('./storylines');
+const { pairEvents } = require('./event-match');
+
+const FILTER_KEYS = ['promptVersion', 'modelVersion', 'since', 'until', 'eventType', 'country', 'limit'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Fields shown side by side when comparing a candidate with its event
+const COMPARED_FIELDS = [
+  'country', 'regions', 'event_type', 'event_subtype', 'severity', 'scope',
+  'verification_status', 'actors_normalized', 'rationale',
+];
+
+let running = false; // one job at a time per process (API pacing)
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Validated selection from request/CLI input. Returns { filters, errors }.
+function parseFilters(input = {}) {
+  const filters = {};
+  const errors = [];
+  for (const key of FILTER_KEYS) {
+    if (input[key] === undefined || input[key] === '') continue;
+    filters[key] = key === 'limit' ? parseInt(input[key]) : String(input[key]).trim();
+  }
+  for (const key of ['since', 'until']) {
+    if (filters[key] && !DATE_PATTERN.test(filters[key])) errors.push(`${key} must be YYYY-MM-DD`);
+  }
+  if (filters.limit !== undefined && !(filters.limit > 0)) errors.push('limit must be a positive number');
+  return { filters, errors };
+}
+
+function selectEvents(filters) {
+  return getEventsForReextraction(filters, { modelVersion: MODEL_VERSION, promptVersion: PROMPT_VERSION });
+}
+
+// ─── Rebuilding the input ────────────────────────────────────
+
+function safeJSON(s) {
+  try { return JSON.parse(s || '[]'); } catch { return []; }
+}
+
+// The cluster extractCluster() expects, from the articles stored for an
+// event. Null when none of them are in the article store any more.
+function storedCluster(event) {
+  const articles = getArticlesByUrls(safeJSON(event.article_urls));
+  if (articles.length === 0) return null;
+
+  // Wire copies marked as in cluster.js, the lead article first
+  const { syndicatedFrom, independentSourceCount } = analyzeSyndication(articles);
+  const marked = articles.map((a) => (syndicatedFrom.has(a.url) ? { ...a, syndicatedFrom: syndicatedFrom.get(a.url) } : a));
+  const primary = marked.find((a) => a.url === event.primary_url) || marked[0];
+  return {
+    id: event.cluster_hash,
+    articles: [primary, ...marked.filter((a) => a !== primary)],
+    primaryArticle: primary,
+    latestDate: event.published_at,
+    independentSourceCount,
+  };
+}
+
+// ─── Jobs ────────────────────────────────────────────────────
+
+// Extract every event in `events` again, one request per story, storing a
+// candidate for each. Progress is written to the job row as it goes.
+async function runJob(jobId, events) {
+  running = true;
+  let processed = 0;
+  let failed = 0;
+  try {
+    const stories = new Map();
+    for (const event of events) {
+      if (!stories.has(event.cluster_hash)) stories.set(event.cluster_hash, []);
+      stories.get(event.cluster_hash).push(event);
+    }
+
+    for (const storyEvents of stories.values()) {
+      const cluster = storedCluster(storyEvents[0]);
+      const result = cluster
+        ? await extractCluster(cluster)
+        : { events: [], rawOutput: null, errors: ['articles no longer in the store'] };
+
+      for (const { event, record } of pairEvents(storyEvents, result.events)) {
+        const unmatched = !record && result.events.length > 0 ? ['no extracted event matches this one'] : [];
+        insertEventCandidate({
+          job_id: jobId,
+          event_id: event.id,
+          event: record,
+          raw_output: result.rawOutput,
+          error_reasons: [...result.errors, ...unmatched],
+          model_version: MODEL_VERSION,
+          prompt_version: PROMPT_VERSION,
+        });
+        processed++;
+        if (!record) failed++;
+      }
+      updateReextractJob(jobId, { processed, failed });
+
+      if (cluster && processed < events.length) await sleep(REQUEST_DELAY_MS);
+    }
+    updateReextractJob(jobId, { status: 'done' });
+    console.log(`Re-extraction job ${jobId}: ${processed} events, ${failed} failed`);
+  } catch (err) {
+    updateReextractJob(jobId, { status: 'failed', error: err.message });
+    console.error(`Re-extraction job ${jobId} failed: ${err.message}`);
+  } finally {
+    running = false;
+  }
+}
+
+// Create a job for the selection and run it in the background. Returns
+// { job } or { error } (no extractor, a job already running, bad filters,
+// nothing selected).
+function startReextractJob(input, { runner = 'server' } = {}) {
+  if (!isExtractorReady()) return { error: 'Re-extraction needs GROQ_API_KEY' };
+  if (running) return { error: 'A re-extraction job is already running' };
+  const { filters, errors } = parseFilters(input);
+  if (errors.length > 0) return { error: errors.join(', ') };
+
+  const events = selectEvents(filters);
+  if (events.length === 0) return { error: 'No events match the selection' };
+
+  const jobId = createReextractJob({
+    filters, modelVersion: MODEL_VERSION, promptVersion: PROMPT_VERSION, runner, total: events.length,
+  });
+  const done = runJob(jobId, events);
+  return { job: getReextractJob(jobId), done };
+}
+
+// ─── Review ──────────────────────────────────────────────────
+
+function comparable(field, value) {
+  if (field === 'regions' || field === 'actors_normalized') {
+    return JSON.stringify([...safeJSON(value)].map((v) => String(v).toLowerCase()).sort());
+  }
+  return value ?? null;
+}
+
+// A candidate next to the live event, with the fields that differ
+function compareCandidate({ candidate, event }) {
+  const changes = [];
+  if (event && candidate.status !== 'failed') {
+    for (const field of COMPARED_FIELDS) {
+      if (comparable(field, candidate[field]) !== comparable(field, event[field])) {
+        changes.push({ field, from: event[field], to: candidate[field] });
+      }
+    }
+  }
+  return {
+    id: candidate.id,
+    eventId: candidate.event_id,
+    status: candidate.status,
+    title: event ? event.primary_title : null,
+    url: event ? event.primary_url : null,
+    from: event ? { modelVersion: event.model_version, promptVersion: event.prompt_version } : null,
+    summary: candidate.summary,
+    errors: safeJSON(candidate.error_reasons),
+    changes,
+  };
+}
+
+function getJobReview(jobId) {
+  const job = getReextractJob(jobId);
+  if (!job) return null;
+  return { job, candidates: getEventCandidates(jobId).map(compareCandidate) };
+}
+
+// Promote candidates (ids) and re-link the changed events to storylines.
+// Returns the number promoted.
+function promoteCandidates(ids) {
+  const promoted = ids.filter((id) => promoteEventCandidate(id) != null).length;
+  if (promoted > 0) linkStorylines();
+  return promoted;
+}
+
+function promoteJob(jobId) {
+  return promoteCandidates(getPendingCandidateIds(jobId));
+}
+
+// ─── CLI ─────────────────────────────────────────────────────
+
+function printReview(review) {
+  const { job, candidates } = review;
+  console.log(`Job ${job.id} (${job.status}): ${job.processed}/${job.total} processed, ${job.failed} failed`);
+  console.log(`  → ${job.modelVersion} / prompt ${job.promptVersion}, selection ${JSON.stringify(job.filters)}\n`);
+  for (const c of candidates) {
+    const from = c.from ? `${c.from.promptVersion || 'none'}` : 'event deleted';
+    console.log(`#${c.id} [${c.status}] event ${c.eventId} (${from}) ${(c.title || '').slice(0, 70)}`);
+    for (const e of c.errors) console.log(`    error: ${e}`);
+    for (const ch of c.changes) console.log(`    ${ch.field}: ${ch.from} → ${ch.to}`);
+    if (c.status === 'pending' && c.changes.length === 0) console.log('    (no changes)');
+  }
+}
+
+async function main() {
+  const path = require('path');
+  require('dotenv').config({ path: path.join(__dirname, '..', '.env'), quiet: true });
+  const { initDB } = require('./db');
+  const { initExtractor } = require('./extractor');
+
+  const args = process.argv.slice(2);
+  const arg = (name) => args.find((a) => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+  initDB();
+
+  if (args.includes('--list')) {
+    for (const job of getReextractJobs()) {
+      console.log(`${job.id}\t${job.status}\t${job.processed}/${job.total}\t${job.promptVersion}\t${job.createdAt}\t${JSON.stringify(job.filters)}`);
+    }
+    return;
+  }
+
+  if (arg('show')) {
+    const review = getJobReview(parseInt(arg('show')));
+    if (!review) throw new Error(`No re-extraction job ${arg('show')}`);
+    printReview(review);
+    return;
+  }
+
+  if (arg('promote')) {
+    const jobId = parseInt(arg('promote'));
+    if (!getReextractJob(jobId)) throw new Error(`No re-extraction job ${jobId}`);
+    console.log(`Promoted ${promoteJob(jobId)} candidates from job ${jobId}`);
+    return;
+  }
+
+  const input = {
+    promptVersion: arg('prompt-version'),
+    modelVersion: arg('model-version'),
+    since: arg('since'),
+    until: arg('until'),
+    eventType: arg('type'),
+    country: arg('country'),
+    limit: arg('limit'),
+  };
+
+  if (args.includes('--dry-run')) {
+    const { filters, errors } = parseFilters(input);
+    if (errors.length > 0) throw new Error(errors.join(', '));
+    const events = selectEvents(filters);
+    console.log(`${events.length} events match; they would be extracted with ${MODEL_VERSION} / prompt ${PROMPT_VERSION}`);
+    return;
+  }
+
+  initExtractor(process.env.GROQ_API_KEY);
+  const { job, done, error } = startReextractJob(input, { runner: 'cli' });
+  if (error) throw new Error(error);
+  console.log(`Re-extraction job ${job.id}: ${job.total} events (about ${Math.ceil(job.total * REQUEST_DELAY_MS / 60000)} min)`);
+  await done;
+  printReview(getJobReview(job.id));
+  console.log(`\nReview in /admin, or promote everything with: node server/reextract.js --promote=${job.id}`);
+}
+
+module.exports = { startReextractJob, getJobReview, promoteCandidates, promoteJob, parseFilters };
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,234 @@
+// Relevance scoring for feed items — replaces the old boolean keyword filter.
+//
+// Every enabled country profile is scored and the best one wins. Evidence
+// (keyword and gazetteer hits in the title and body, plus a prior from the
+// source itself) is combined noisy-OR style: each piece independently
+// "explains" the article with probability `weight`, so
+//   score = 1 - Π(1 - weight)
+// stays in 0–1, rises with every hit and never double-counts to past 1.
+//
+// Weights are calibrated so the default threshold (0.5) keeps the old
+// keyword rules: one strong title keyword passes, and a country's
+// bodyMinMatches supporting keywords in the body reach exactly 0.5.
+// Gazetteer hits (states, counties, towns) are what's new — a local story
+// naming only "Nasir" or "Kajo-Keji" now scores instead of being dropped.
+//
+// French and Arabic items are matched against the profile's `languages`
+// lists for their detected language as well as the English ones.
+//
+// Relevance profiles (per source, see sources.js):
+//   dedicated — outlet covers only our region: prior alone clears the default threshold
+//   strict    — all-news feed: body evidence only counts once the title has some
+//   default   — title and body evidence
+
+const { getCountryProfiles } = require('./countries');
+const { detectLanguage } = require('./language');
+
+const DEFAULT_THRESHOLD = 0.5;
+
+const WEIGHTS = {
+  strong: 0.9,          // strong keyword in the title
+  titleSupporting: 0.4, // supporting keyword or gazetteer place in the title
+  bodyGazetteer: 0.15,  // gazetteer place in the body (not already a keyword)
+};
+const MAX_BODY_HITS = 6;
+const MAX_BODY_PLACES = 3;
+
+const PRIORS = {
+  dedicated: { weight: 0.6, reason: 'dedicated source' },
+  local: { weight: 0.25, reason: 'country/local source' },
+  none: { weight: 0, reason: 'no source prior' },
+};
+
+// ─── Term matching ──────────────────────────────────────────────
+// Whole-word, case-insensitive: "saf" must not match "safety", "bor" must
+// not match "border". One alternation per term list, longest terms first
+// so "south sudanese" wins over "south sudan".
+//
+// Arabic attaches conjunctions and prepositions to the next word
+// (والخرطوم "and Khartoum", بالفاشر "in El Fasher"), so Arabic terms may
+// carry one or two of those prefixes, and hamza/diacritic variants are
+// folded on both sides.
+
+const ARABIC_PROCLITICS = '(?:[وفبلك]{1,2})?';
+
+function normalizeArabic(text) {
+  return text
+    .replace(/[\u064B-\u0652\u0640]/g, '') // tashkeel, tatweel
+    .replace(/[أإآ]/g, 'ا')
+    .replace(/ى/g, 'ي');
+}
+
+function normalizeText(text, language) {
+  const lower = (text || '').toLowerCase();
+  return language === 'ar' ? normalizeArabic(lower) : lower;
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compileTerms(terms, language) {
+  const unique = [...new Set(terms.map((t) => normalizeText(t, language)))].sort((a, b) => b.length - a.length);
+  if (unique.length === 0) return null;
+  const prefix = language === 'ar' ? ARABIC_PROCLITICS : '';
+  return new RegExp(`(?<![\\p{L}\\p{N}])${prefix}(${unique.map(escapeRegex).join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+}
+
+function findTerms(text, re) {
+  if (!re || !text) return [];
+  return [...new Set(Array.from(text.matchAll(re), (m) => m[1]))];
+}
+
+// Compiled term lists per profile and language (profiles are static once loaded)
+const compiled = new Map();
+
+function termsFor(profile, language) {
+  const key = `${profile.id}:${language}`;
+  if (compiled.has(key)) return compiled.get(key);
+
+  // English lists always apply; the item's language adds its own
+  const extra = profile.languages[language] || {};
+  const strongList = [...profile.strongKeywords, ...(extra.strongKeywords || [])];
+  const supportingList = [...profile.supportingKeywords, ...(extra.supportingKeywords || [])];
+  const gazetteerList = [...profile.gazetteer, ...(extra.gazetteer || [])];
+  const titleTerm = extra.titleTerm || profile.titleTerm;
+
+  const strong = new Set(strongList);
+  const supporting = new Set(supportingList);
+  const terms = {
+    strong: compileTerms(strongList, language),
+    supporting: compileTerms(supportingList.filter((kw) => !strong.has(kw)), language),
+    bodyKeywords: compileTerms(supportingList, language),
+    gazetteer: compileTerms(gazetteerList.filter((place) => !supporting.has(place)), language),
+    titleTerm,
+    titleTermRe: titleTerm ? compileTerms([titleTerm.term], language) : null,
+    titleExclude: titleTerm ? compileTerms(titleTerm.exclude || [], language) : null,
+  };
+  compiled.set(key, terms);
+  return terms;
+}
+
+// ─── Scoring ────────────────────────────────────────────────────
+
+// Body keyword weight such that `bodyMinMatches` hits reach exactly 0.5
+function bodyKeywordWeight(profile) {
+  return 1 - Math.pow(0.5, 1 / profile.bodyMinMatches);
+}
+
+// Title-term weight such that the term plus titleTerm.bodyMinMatches body
+// keywords reach exactly 0.5 (one fewer keyword stays below)
+function titleTermWeight(profile, titleTerm) {
+  const hits = titleTerm.bodyMinMatches ?? profile.bodyMinMatches;
+  return 1 - 0.5 / Math.pow(1 - bodyKeywordWeight(profile), hits);
+}
+
+function sourcePrior(source) {
+  if (source.relevanceProfile === 'dedicated') return PRIORS.dedicated;
+  if (source.relevanceProfile !== 'strict' && (source.country || source.category === 'local')) return PRIORS.local;
+  return PRIORS.none;
+}
+
+function noisyOr(weights) {
+  return 1 - weights.reduce((p, w) => p * (1 - w), 1);
+}
+
+function scoreProfile(profile, title, body, strict, language) {
+  const t = termsFor(profile, language);
+  const matched = [];
+  const gazetteer = [];
+
+  for (const term of findTerms(title, t.strong)) {
+    matched.push({ term, field: 'title', kind: 'strong', weight: WEIGHTS.strong });
+  }
+
+  // Bare country name in the title (e.g. "sudan" but not "south sudan") —
+  // weak on its own, body keywords have to confirm it
+  const bareName = t.titleTerm ? normalizeText(t.titleTerm.term, language) : null;
+  if (t.titleTermRe && findTerms(title, t.titleTermRe).length && !findTerms(title, t.titleExclude).length) {
+    matched.push({ term: bareName, field: 'title', kind: 'titleTerm', weight: titleTermWeight(profile, t.titleTerm) });
+  }
+  for (const term of findTerms(title, t.supporting)) {
+    if (term === bareName) continue; // counted (or excluded) above
+    matched.push({ term, field: 'title', kind: 'supporting', weight: WEIGHTS.titleSupporting });
+  }
+  for (const term of findTerms(title, t.gazetteer)) {
+    gazetteer.push({ term, field: 'title', weight: WEIGHTS.titleSupporting });
+  }
+
+  if (!strict || matched.length || gazetteer.length) {
+    const weight = bodyKeywordWeight(profile);
+    for (const term of findTerms(body, t.bodyKeywords).slice(0, MAX_BODY_HITS)) {
+      matched.push({ term, field: 'body', kind: 'supporting', weight });
+    }
+    const titlePlaces = new Set(gazetteer.map((g) => g.term));
+    for (const term of findTerms(body, t.gazetteer).filter((p) => !titlePlaces.has(p)).slice(0, MAX_BODY_PLACES)) {
+      gazetteer.push({ term, field: 'body', weight: WEIGHTS.bodyGazetteer });
+    }
+  }
+
+  return { matched, gazetteer, weights: [...matched, ...gazetteer].map((m) => m.weight) };
+}
+
+// Score an article ({ title, body, language }) for a source. `body` is
+// whatever text the feed carries (snippet and/or full content), tags
+// already stripped; `language` is detected when not given.
+// Returns { score, threshold, relevant, country, language, matched, gazetteer, prior }.
+function scoreRelevance(article, source = {}) {
+  const language = article.language || detectLanguage(`${article.title || ''} ${article.body || ''}`);
+  const title = normalizeText(article.title, language);
+  const body = normalizeText(article.body, language);
+  const strict = source.relevanceProfile === 'strict';
+  const prior = sourcePrior(source);
+  const threshold = source.relevanceThreshold ?? DEFAULT_THRESHOLD;
+
+  let best = { country: null, matched: [], gazetteer: [], score: prior.weight };
+  for (const profile of getCountryProfiles({ enabledOnly: true })) {
+    const result = scoreProfile(profile, title, body, strict, language);
+    const score = noisyOr([prior.weight, ...result.weights]);
+    if (result.weights.length && score > best.score) {
+      best = { country: profile.id, matched: result.matched, gazetteer: result.gazetteer, score };
+    }
+  }
+
+  // Rounded so calibrated ties (exactly 0.5) don't fall to float noise
+  const score = Math.round(best.score * 1000) / 1000;
+  return {
+    score,
+    threshold,
+    relevant: score >= threshold,
+    country: best.country,
+    language,
+    matched: best.matched.map(({ term, field, kind }) => ({ term, field, kind })),
+    gazetteer: best.gazetteer.map(({ term, field }) => ({ term, field })),
+    prior,
+  };
+}
+
+// ─── Country tagging ────────────────────────────────────────────
+// Which monitored countries an article is about, from the same keyword
+// and gazetteer evidence but without the source prior: a story about
+// Sudanese refugees arriving in Renk is tagged with both countries, where
+// scoreRelevance() keeps only the best. A country is tagged when its own
+// evidence reaches TAG_THRESHOLD — one place name in the title is enough.
+
+const TAG_THRESHOLD = 0.4;
+
+// Profile ids, strongest evidence first. Falls back to the country the
+// relevance scorer picked (e.g. a dedicated source's prior) when no
+// country has evidence of its own.
+function tagCountries(article) {
+  const language = article.language || detectLanguage(`${article.title || ''} ${article.body || ''}`);
+  const title = normalizeText(article.title, language);
+  const body = normalizeText(article.body, language);
+
+  const tagged = [];
+  for (const profile of getCountryProfiles({ enabledOnly: true })) {
+    const score = noisyOr(scoreProfile(profile, title, body, false, language).weights);
+    if (score >= TAG_THRESHOLD) tagged.push({ country: profile.id, score });
+  }
+  if (tagged.length === 0) return article.country ? [article.country] : [];
+  return tagged.sort((a, b) => b.score - a.score).map((t) => t.country);
+}
+
+module.exports = { scoreRelevance, tagCountries, DEFAULT_THRESHOLD };
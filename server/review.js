@@ -0,0 +1,71 @@
+// Analyst review of extracted events: corrections to the model's
+// classification, each with a reason code.
+//
+// An analyst can set severity, event type and subtype, scope,
+// verification status, regions and actors. The corrected values are
+// written onto the event itself, so everything that reads events — the
+// feed (enrichClusters), the digest, storylines, the intelligence
+// snapshot — uses them, and they survive re-extraction (db.js,
+// analyst_fields). Every correction is an "analyst" revision in the
+// event's history; reverting past it hands the field back to the model.
+// A review with no corrections confirms the model's values.
+
+const { getEventById, reviewEvent } = require('./db');
+const { normalizeActors } = require('./extractor');
+const { EVENT_FIELDS, validateEvent, toColumns } = require('./event-schema');
+const { linkStorylines } = require('./storylines');
+
+const REASON_CODES = {
+  severity_overstated: 'Severity higher than the reporting supports',
+  severity_understated: 'Severity lower than the reporting supports',
+  misclassified: 'Wrong event type or subtype',
+  verification: 'Verification status wrong for the sources',
+  location: 'Regions wrong or missing',
+  actors: 'Actors wrong or missing',
+  new_information: 'Later reporting changed the picture',
+  confirmed: 'Checked — the model got it right',
+  other: 'Other (explain in the note)',
+};
+
+// Event schema fields (event-schema.js) an analyst can correct
+const REVIEW_FIELDS = ['severity', 'eventType', 'eventSubtype', 'scope', 'verificationStatus', 'regions', 'actors'];
+
+// Validated column changes from a request body. Fields may be given by
+// their schema name or their column name. Returns { changes, errors }.
+function parseCorrections(body) {
+  const given = {};
+  for (const field of REVIEW_FIELDS) {
+    const value = body[field] !== undefined ? body[field] : body[EVENT_FIELDS[field].column];
+    if (value !== undefined) given[field] = value;
+  }
+  const { value, errors } = validateEvent(given, { partial: true });
+  if (errors.length > 0) return { changes: null, errors };
+  const changes = toColumns(value);
+  if (changes.actors) changes.actors_normalized = normalizeActors(changes.actors);
+  return { changes, errors };
+}
+
+// Review event `id`: body has any of the REVIEW_FIELDS plus { reasonCode,
+// note, analyst }. A reason code is required, and a note with "other".
+// Returns { event } or { error, status, details }.
+function reviewExtractedEvent(id, body = {}) {
+  const { reasonCode, analyst } = body;
+  const note = typeof body.note === 'string' ? body.note.trim() : '';
+  if (!Object.hasOwn(REASON_CODES, reasonCode || '')) {
+    return { error: 'Need a reasonCode', status: 400, details: Object.keys(REASON_CODES) };
+  }
+  if (reasonCode === 'other' && !note) return { error: 'Reason "other" needs a note', status: 400 };
+
+  const { changes, errors } = parseCorrections(body);
+  if (errors.length > 0) return { error: 'Invalid correction', status: 400, details: errors };
+
+  let event = reviewEvent(id, changes, { analyst, reasonCode, note });
+  if (!event) return { error: 'Event not found', status: 404 };
+  if (!event.storyline_id) {
+    linkStorylines();
+    event = getEventById(id);
+  }
+  return { event };
+}
+
+module.exports = { reviewExtractedEvent, REASON_CODES };
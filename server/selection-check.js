@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+// ─── Lead article / image selection check ────────────────────
+// Runs selectPrimaryAndImage() (selection.js) over small hand-built
+// stories and checks the chosen lead article and hero image. Each case
+// pins one rule of the policy. No network, no database.
+//
+// Usage:
+//   node server/selection-check.js             # All cases
+//   node server/selection-check.js --verbose   # Print every article's image verdict
+//
+// Exits non-zero if any case fails, so it can gate a deploy.
+
+const { selectPrimaryAndImage, assessImage, getSelectionPolicy } = require('./selection');
+
+const verbose = process.argv.includes('--verbose');
+
+const LONG = 'Fighting between the army and opposition forces spread to three payams of Nasir county on Tuesday, '
+  + 'according to local officials and aid workers, who said several thousand people had fled towards the Ethiopian border.';
+
+let n = 0;
+function article(fields) {
+  n++;
+  return {
+    url: `https://example.org/${n}`,
+    title: `Article ${n}`,
+    description: 'Short.',
+    source: `Source ${n}`,
+    sourceReliability: 'medium',
+    sourceTier: 'tier2',
+    language: 'en',
+    publishedAt: '2026-10-01T10:00:00Z',
+    image: null,
+    ...fields,
+  };
+}
+
+function story(id, articles) {
+  return { id, articles };
+}
+
+// Each case: stories in, then `expect` per story ID: { primary, image }
+// (primary is the article's source; image is the URL, or null)
+const CASES = [
+  {
+    name: 'direct source beats a Google News copy',
+    stories: [story('s1', [
+      article({ source: 'Google News South Sudan', sourceReliability: 'aggregator', sourceTier: null, url: 'https://news.google.com/rss/articles/abc', publishedAt: '2026-10-01T12:00:00Z', description: LONG }),
+      article({ source: 'Radio Tamazuj', description: LONG, image: 'https://radiotamazuj.org/img/nasir-1200x675.jpg' }),
+    ])],
+    expect: { s1: { primary: 'Radio Tamazuj', image: 'https://radiotamazuj.org/img/nasir-1200x675.jpg' } },
+  },
+  {
+    name: 'higher tier beats a richer description',
+    stories: [story('s1', [
+      article({ source: 'Local Blog', sourceTier: 'tier3', description: LONG }),
+      article({ source: 'Reuters', sourceTier: 'tier1', sourceReliability: 'high' }),
+    ])],
+    expect: { s1: { primary: 'Reuters', image: null } },
+  },
+  {
+    name: 'archived full text breaks a tie',
+    stories: [story('s1', [
+      article({ source: 'Eye Radio', publishedAt: '2026-10-01T11:00:00Z' }),
+      article({ source: 'Sudans Post', hasFullText: true }),
+    ])],
+    expect: { s1: { primary: 'Sudans Post', image: null } },
+  },
+  {
+    name: 'a wire copy does not lead',
+    stories: [story('s1', [
+      article({ source: 'Reuters', url: 'https://example.org/wire', sourceTier: 'tier1' }),
+      article({ source: 'Sudan Tribune', sourceTier: 'tier1', syndicatedFrom: 'https://example.org/wire', publishedAt: '2026-10-01T11:00:00Z' }),
+    ])],
+    expect: { s1: { primary: 'Reuters', image: null } },
+  },
+  {
+    name: 'logos, icons, tracking pixels and thumbnails are rejected',
+    stories: [
+      story('s1', [article({ source: 'A', image: 'https://a.org/wp-content/uploads/site-logo.png' })]),
+      story('s2', [article({ source: 'B', image: 'https://b.org/assets/pixel.gif' })]),
+      story('s3', [article({ source: 'C', image: 'https://c.org/uploads/2026/10/juba-150x150.jpg' })]),
+      story('s4', [article({ source: 'D', image: 'https://d.org/img/photo.jpg', imageWidth: 1600, imageHeight: 400 })]),
+      story('s5', [article({ source: 'E', image: 'https://lh3.gstatic.com/placeholder.png' })]),
+    ],
+    expect: {
+      s1: { primary: 'A', image: null },
+      s2: { primary: 'B', image: null },
+      s3: { primary: 'C', image: null },
+      s4: { primary: 'D', image: null },
+      s5: { primary: 'E', image: null },
+    },
+  },
+  {
+    name: 'an image path with a stray "%" is judged, not thrown on',
+    stories: [
+      story('s1', [article({ source: 'A', image: 'https://a.org/photos/prices-100%-rise.jpg' })]),
+      story('s2', [article({ source: 'B', image: 'https://b.org/img/100%-logo.png' })]),
+    ],
+    expect: {
+      s1: { primary: 'A', image: 'https://a.org/photos/prices-100%-rise.jpg' },
+      s2: { primary: 'B', image: null },
+    },
+  },
+  {
+    name: "a site's default image (on every story) is rejected",
+    stories: ['s1', 's2', 's3'].map((id) => story(id, [
+      article({ source: 'Daily', image: 'https://daily.example/share-card.jpg' }),
+    ])),
+    expect: {
+      s1: { primary: 'Daily', image: null },
+      s2: { primary: 'Daily', image: null },
+      s3: { primary: 'Daily', image: null },
+    },
+  },
+  {
+    name: 'the hero image can come from an article other than the lead',
+    stories: [story('s1', [
+      article({ source: 'Reuters', sourceTier: 'tier1', image: 'https://r.example/logo.png', description: LONG }),
+      article({ source: 'Eye Radio', image: 'https://e.example/photos/malakal.jpg', imageWidth: 1280, imageHeight: 720 }),
+    ])],
+    expect: { s1: { primary: 'Reuters', image: 'https://e.example/photos/malakal.jpg' } },
+  },
+  {
+    name: 'a source already leading a bigger story gives way (source diversity)',
+    stories: [
+      story('big', [
+        article({ source: 'Radio Tamazuj', description: LONG }),
+        article({ source: 'Other 1' }),
+        article({ source: 'Other 2' }),
+      ]),
+      story('small', [
+        article({ source: 'Radio Tamazuj', publishedAt: '2026-10-01T11:00:00Z' }),
+        article({ source: 'Eye Radio' }),
+      ]),
+    ],
+    expect: { big: { primary: 'Radio Tamazuj', image: null }, small: { primary: 'Eye Radio', image: null } },
+  },
+  {
+    name: 'policy override: diversity off',
+    policy: { primary: { diversity: 0 } },
+    stories: [
+      story('big', [
+        article({ source: 'Radio Tamazuj', description: LONG }),
+        article({ source: 'Other 1' }),
+        article({ source: 'Other 2' }),
+      ]),
+      story('small', [
+        article({ source: 'Radio Tamazuj', publishedAt: '2026-10-01T11:00:00Z' }),
+        article({ source: 'Eye Radio' }),
+      ]),
+    ],
+    expect: { big: { primary: 'Radio Tamazuj', image: null }, small: { primary: 'Radio Tamazuj', image: null } },
+  },
+];
+
+// ─── Main ────────────────────────────────────────────────────
+
+let failed = 0;
+for (const c of CASES) {
+  selectPrimaryAndImage(c.stories, c.policy);
+  const problems = [];
+  for (const s of c.stories) {
+    const want = c.expect[s.id];
+    if (s.primaryArticle.source !== want.primary) problems.push(`${s.id}: lead ${s.primaryArticle.source}, expected ${want.primary}`);
+    if (s.image !== want.image) problems.push(`${s.id}: image ${s.image}, expected ${want.image}`);
+  }
+
+  console.log(`${problems.length ? 'FAIL' : 'ok  '}  ${c.name}`);
+  for (const p of problems) console.log(`        ${p}`);
+  if (verbose) {
+    const policy = getSelectionPolicy(c.policy);
+    const reuse = (image) => c.stories.filter((s) => s.articles.some((a) => a.image === image)).length;
+    for (const s of c.stories) {
+      for (const a of s.articles.filter((x) => x.image)) {
+        const verdict = assessImage(a, reuse(a.image), policy);
+        console.log(`        ${s.id} ${a.image} → ${verdict.usable ? `usable (${verdict.score.toFixed(2)})` : verdict.reason}`);
+      }
+    }
+  }
+  if (problems.length) failed++;
+}
+
+console.log(`\n${CASES.length - failed}/${CASES.length} cases passed`);
+if (failed) process.exit(1);
@@ -0,0 +1,210 @@
+// Primary-article and image selection for clusters — no AI needed.
+//
+// The primary article heads the story card and feeds the deep summary;
+// the image is the card's hero. Both are scored rather than taken in feed
+// order, so a Google News copy with no picture doesn't lead a story that
+// Reuters and Radio Tamazuj covered properly.
+//
+// Primary: weighted sum of signals, each in [0, 1] —
+//   tier         source tier from the registry (tier1 best); else the
+//                source's reliability rating
+//   description  description length, full marks at richDescriptionChars
+//   fullText     archived full text available (archive.js)
+//   english      English original (the feed is read in English)
+//   image        has a usable image (see below)
+// minus penalties for aggregator / unresolved Google News links, wire
+// copies of another article in the story (syndication.js) and, for source
+// diversity, every story the same source already leads. Stories choose
+// largest first, so the diversity penalty falls on smaller stories.
+//
+// Image: rejected when the URL looks like a logo, icon, tracking pixel or
+// placeholder; when its size (declared by the feed or og:image tags, or
+// hinted in the URL) is under minWidth × minHeight or its aspect ratio is
+// outside [minAspect, maxAspect]; or when more than maxReuse stories use
+// it (a site's default image). Usable images score on size and closeness
+// to 16:9, plus a bonus for belonging to the primary article.
+//
+// SELECTION_POLICY (JSON in .env) overrides any part of DEFAULT_POLICY,
+// e.g. {"primary":{"diversity":0},"image":{"minWidth":400}}. Read lazily:
+// .env loads after require. selection-check.js covers the policy.
+
+const { SOURCE_TIERS } = require('./sources');
+
+const DEFAULT_POLICY = {
+  primary: {
+    tier: 3,
+    description: 1,
+    fullText: 1,
+    english: 1,
+    image: 1,
+    aggregator: 3,
+    syndicated: 2,
+    diversity: 0.5,
+  },
+  image: {
+    minWidth: 300,
+    minHeight: 160,
+    minAspect: 0.75,
+    maxAspect: 2.5,
+    maxReuse: 2,
+    primaryBonus: 1,
+  },
+  richDescriptionChars: 300,
+};
+
+const RELIABILITY_SCORES = { high: 1, medium: 0.5, aggregator: 0 };
+
+// Path words that mark an image as not a photo of the story
+const NON_PHOTO_PATTERN = /(^|[^a-z])(logo|logos|favicon|sprite|icon|icons|avatar|placeholder|default[-_]?(image|img|thumb)|no[-_]?image|blank|spacer|pixel|1x1|transparent)([^a-z]|$)/i;
+const NON_PHOTO_EXTENSIONS = /\.(svg|ico|gif)$/i;
+const PLACEHOLDER_HOSTS = /(^|\.)(news\.google\.com|gstatic\.com)$/i;
+
+let envPolicy;
+
+function readEnvPolicy() {
+  if (envPolicy !== undefined) return envPolicy;
+  envPolicy = {};
+  if (process.env.SELECTION_POLICY) {
+    try {
+      envPolicy = JSON.parse(process.env.SELECTION_POLICY);
+    } catch (err) {
+      console.warn(`Ignoring SELECTION_POLICY: ${err.message}`);
+    }
+  }
+  return envPolicy;
+}
+
+function mergePolicy(base, override = {}) {
+  return {
+    primary: { ...base.primary, ...override.primary },
+    image: { ...base.image, ...override.image },
+    richDescriptionChars: override.richDescriptionChars || base.richDescriptionChars,
+  };
+}
+
+// DEFAULT_POLICY ← SELECTION_POLICY ← `overrides`
+function getSelectionPolicy(overrides) {
+  return mergePolicy(mergePolicy(DEFAULT_POLICY, readEnvPolicy()), overrides);
+}
+
+// ─── Signals ────────────────────────────────────────────────────
+
+function tierScore(article) {
+  const rank = SOURCE_TIERS.indexOf(article.sourceTier);
+  if (rank !== -1) return 1 - rank / SOURCE_TIERS.length;
+  return RELIABILITY_SCORES[article.sourceReliability] ?? 0.25;
+}
+
+function isAggregated(article) {
+  return article.sourceReliability === 'aggregator' || (article.url || '').includes('news.google.com/');
+}
+
+// Size from the feed's declaration, else from the URL: WordPress-style
+// "-1024x576.jpg" or ?w=…&h=… parameters. Missing dimensions are null.
+function imageSize(article) {
+  if (article.imageWidth && article.imageHeight) return { width: article.imageWidth, height: article.imageHeight };
+  let url;
+  try { url = new URL(article.image); } catch { return { width: null, height: null }; }
+  const named = url.pathname.match(/[-_](\d{2,4})x(\d{2,4})\.[a-z]+$/i);
+  if (named) return { width: Number(named[1]), height: Number(named[2]) };
+  const param = (...names) => {
+    for (const name of names) {
+      const value = parseInt(url.searchParams.get(name));
+      if (value > 0) return value;
+    }
+    return null;
+  };
+  return { width: param('w', 'width'), height: param('h', 'height') };
+}
+
+// { usable, reason, score } for an article's image. `reuse` is how many
+// stories carry the same image URL.
+function assessImage(article, reuse, policy) {
+  const rules = policy.image;
+  let url;
+  try { url = new URL(article.image); } catch { return { usable: false, reason: 'invalid URL' }; }
+
+  if (PLACEHOLDER_HOSTS.test(url.hostname)) return { usable: false, reason: 'placeholder host' };
+  if (NON_PHOTO_EXTENSIONS.test(url.pathname)) return { usable: false, reason: 'not a photo format' };
+  // A stray "%" (".../100%-rise.jpg") isn't an escape: match the raw path then
+  let path = url.pathname;
+  try { path = decodeURIComponent(path); } catch { /* malformed escape */ }
+  if (NON_PHOTO_PATTERN.test(path)) return { usable: false, reason: 'logo or icon' };
+  if (reuse > rules.maxReuse) return { usable: false, reason: `used by ${reuse} stories` };
+
+  const { width, height } = imageSize(article);
+  if (width != null && width < rules.minWidth) return { usable: false, reason: `${width}px wide` };
+  if (height != null && height < rules.minHeight) return { usable: false, reason: `${height}px high` };
+
+  // Unknown size scores in the middle
+  let score = 0.5;
+  if (width && height) {
+    const aspect = width / height;
+    if (aspect < rules.minAspect || aspect > rules.maxAspect) {
+      return { usable: false, reason: `aspect ${aspect.toFixed(2)}` };
+    }
+    const sizeScore = Math.min(1, (width * height) / (1200 * 675));
+    const shapeScore = 1 - Math.min(1, Math.abs(Math.log(aspect / (16 / 9))) / Math.log(2));
+    score = 0.5 * sizeScore + 0.5 * shapeScore;
+  }
+  return { usable: true, reason: null, score };
+}
+
+// ─── Selection ──────────────────────────────────────────────────
+
+function primaryScore(article, { usableImages, leadCounts, policy }) {
+  const w = policy.primary;
+  const description = article.translatedDescription || article.description || '';
+  return w.tier * tierScore(article)
+    + w.description * Math.min(1, description.length / policy.richDescriptionChars)
+    + w.fullText * (article.hasFullText ? 1 : 0)
+    + w.english * ((article.language || 'en') === 'en' ? 1 : 0)
+    + w.image * (usableImages.has(article.url) ? 1 : 0)
+    - w.aggregator * (isAggregated(article) ? 1 : 0)
+    - w.syndicated * (article.syndicatedFrom ? 1 : 0)
+    - w.diversity * (leadCounts.get(article.source) || 0);
+}
+
+function newestFirst(a, b) {
+  return (new Date(b.publishedAt) - new Date(a.publishedAt) || 0) || (a.url < b.url ? -1 : a.url > b.url ? 1 : 0);
+}
+
+// Orders each cluster's articles best first and sets `primaryArticle`
+// (articles[0]) and `image` (URL or null). Mutates the clusters.
+function selectPrimaryAndImage(clusters, policyOverrides) {
+  const policy = getSelectionPolicy(policyOverrides);
+
+  const reuse = new Map(); // image URL → stories using it
+  for (const c of clusters) {
+    for (const image of new Set(c.articles.map((a) => a.image).filter(Boolean))) {
+      reuse.set(image, (reuse.get(image) || 0) + 1);
+    }
+  }
+
+  const leadCounts = new Map(); // source → stories it leads
+  const order = [...clusters].sort((a, b) => b.articles.length - a.articles.length || (a.id < b.id ? -1 : 1));
+  for (const cluster of order) {
+    const assessed = new Map(); // article URL → assessment
+    for (const a of cluster.articles) {
+      if (a.image) assessed.set(a.url, assessImage(a, reuse.get(a.image), policy));
+    }
+    const usableImages = new Set([...assessed].filter(([, r]) => r.usable).map(([url]) => url));
+
+    const scores = new Map(cluster.articles.map((a) => [a, primaryScore(a, { usableImages, leadCounts, policy })]));
+    cluster.articles.sort((a, b) => scores.get(b) - scores.get(a) || newestFirst(a, b));
+    cluster.primaryArticle = cluster.articles[0];
+    leadCounts.set(cluster.primaryArticle.source, (leadCounts.get(cluster.primaryArticle.source) || 0) + 1);
+
+    let best = null;
+    for (const a of cluster.articles) {
+      if (!usableImages.has(a.url)) continue;
+      const score = assessed.get(a.url).score
+        + (a === cluster.primaryArticle ? policy.image.primaryBonus : 0)
+        + 0.5 * tierScore(a);
+      if (!best || score > best.score) best = { image: a.image, score };
+    }
+    cluster.image = best ? best.image : null;
+  }
+}
+
+module.exports = { selectPrimaryAndImage, getSelectionPolicy, assessImage, imageSize };
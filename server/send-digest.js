@@ -4,6 +4,7 @@
 //   node server/send-digest.js              # Send to all recipients
 //   node server/send-digest.js --preview    # Generate HTML to stdout (no send)
 //   node server/send-digest.js --test       # Send only to SMTP_USER (yourself)
+//   node server/send-digest.js --country=ethiopia   # Limit the digest to one country profile
 //
 // Required .env vars:
 //   SMTP_HOST=smtp.gmail.com
@@ -18,6 +19,7 @@ require('dotenv').config({ path: path.join(__dirname, '..', '.env'), quiet: true
 
 const { initDB, isUnsubscribed, generateUnsubToken } = require('./db');
 const { generateDigest, renderDigestHTML, renderDigestText } = require('./digest');
+const { findCountryProfile } = require('./countries');
 
 // ─── Config ──────────────────────────────────────────────────
 
@@ -35,6 +37,7 @@ const RECIPIENTS = (process.env.DIGEST_RECIPIENTS || '')
 const args = process.argv.slice(2);
 const isPreview = args.includes('--preview');
 const isTest = args.includes('--test');
+const countryArg = args.find((a) => a.startsWith('--country='))?.slice('--country='.length);
 
 // ─── Main ────────────────────────────────────────────────────
 
@@ -43,7 +46,16 @@ async function main() {
   initDB();
 
   // Generate the digest
-  const digest = generateDigest();
+  let country;
+  if (countryArg) {
+    const profile = findCountryProfile(countryArg);
+    if (!profile) {
+      console.error(`Unknown country profile: ${countryArg}`);
+      process.exit(1);
+    }
+    country = profile.name;
+  }
+  const digest = generateDigest({ country });
   const html = renderDigestHTML(digest);
   const text = renderDigestText(digest);
   const weekNum = digest.weekNumber;
@@ -125,7 +137,7 @@ async function main() {
   const highSevCount = digest.dataPoints.highSevCount;
   const countries = digest.dataPoints.countriesThisWeek.join('/') || 'Horn of Africa';
 
-  let subject = `Horn Risk Delta — Week ${weekNum}`;
+  let subject = `Horn Risk Delta${digest.country ? ` — ${digest.country}` : ''} — Week ${weekNum}`;
   if (evtCount > 0) {
     subject += ` | ${evtCount} events`;
     if (highSevCount > 0) subject += `, ${highSevCount} high-severity`;
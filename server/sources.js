@@ -1,122 +1,242 @@
 // RSS feed sources for Horn of Africa monitoring — all free, no API keys needed
 //
-// Coverage: South Sudan + Sudan (with architecture ready for Ethiopia expansion)
+// Coverage: region-wide outlets live here; country-specific feeds (local
+// outlets, Google News queries) come from each country profile's
+// defaultFeeds (see countries.js) and carry that profile's id as `country`.
 //
 // Strategy: Use DIRECT feeds for articles with images, plus Google News
 // for broad discovery. Clustering combines both, so image-rich direct
 // feed articles provide images for clusters containing Google News articles.
+//
+// The live registry is the `sources` table in SQLite (managed from /admin).
+// This list only seeds it: each entry is inserted once, so edits and
+// deletions made in the admin survive restarts.
+//
+// tier:    source quality tier used for event provenance (tier1 = major
+//          international / official, humanitarian = UN agency / NGO
+//          situation reporting, tier2 = regional / established local,
+//          tier3 = community / aggregated)
+// domains: publisher domains, used to map GDELT/backtest articles to a source
+// relevanceProfile: how feed items are scored for relevance (relevance.js)
+//          (default = title + body evidence, strict = body only counts
+//           once the title matches, dedicated = every item is relevant)
+// relevanceThreshold: minimum relevance score (0–1) for this source's
+//          items; omit for the default (0.5)
+// country: profile id; such sources are only fetched while that country
+//          is enabled via COUNTRIES
+// type:    ingest adapter (default rss); non-RSS types take a `config`:
+//            json-api  { itemsPath, fields: { title, link, guid, date, description, image } }
+//            sitemap   { maxItems }
+//            html-list { item, title, link, date, description, image, maxItems }
+//                      (CSS-like selectors, "selector@attr" for attributes)
+//            reliefweb { countries, formats, sources, excludeSources, limit }
+//                      (all optional; countries defaults to the monitored ones)
+//          any type:   { fixture } reads server/fixtures/<file> instead of the URL
+
+const { getDefaultFeeds, getCountryProfiles } = require('./countries');
 
-const sources = [
-  // ─── International feeds (cover both Sudan + South Sudan) ──────────────────
+const SOURCE_CATEGORIES = ['international', 'regional', 'local', 'general', 'humanitarian'];
+const SOURCE_RELIABILITY = ['high', 'medium', 'aggregator'];
+const SOURCE_TIERS = ['tier1', 'humanitarian', 'tier2', 'tier3']; // best first
+const RELEVANCE_PROFILES = ['default', 'strict', 'dedicated'];
+const SOURCE_TYPES = ['rss', 'atom', 'json-api', 'sitemap', 'html-list', 'reliefweb'];
+
+// Config keys each adapter can't work without
+const REQUIRED_CONFIG = {
+  'json-api': ['fields.title', 'fields.link'],
+  'html-list': ['item', 'title', 'link'],
+};
+
+const REGIONAL_SEEDS = [
+  // ─── International feeds (cover the whole region) ─────────────────────────
 
   {
     name: 'BBC Africa',
     url: 'https://feeds.bbci.co.uk/news/world/africa/rss.xml',
     category: 'international',
     reliability: 'high',
+    tier: 'tier1',
+    domains: ['bbc.com', 'bbc.co.uk'],
   },
   {
     name: 'The Guardian Africa',
     url: 'https://www.theguardian.com/world/africa/rss',
     category: 'international',
     reliability: 'high',
+    tier: 'tier1',
+    domains: ['theguardian.com'],
   },
   {
     name: 'France24 Africa',
     url: 'https://www.france24.com/en/africa/rss',
     category: 'international',
     reliability: 'high',
+    tier: 'tier1',
+    domains: ['france24.com'],
   },
   {
     name: 'Al Jazeera',
     url: 'https://www.aljazeera.com/xml/rss/all.xml',
     category: 'international',
     reliability: 'high',
+    tier: 'tier1',
+    domains: ['aljazeera.com'],
+    relevanceThreshold: 0.6, // all-news feed: passing mentions shouldn't get in
   },
   {
     name: 'UN News Africa',
     url: 'https://news.un.org/feed/subscribe/en/news/region/africa/feed/rss.xml',
     category: 'international',
     reliability: 'high',
+    tier: 'tier1',
+    domains: ['un.org'],
   },
 
-  // ─── Regional feeds (Sudan + South Sudan) ─────────────────────────────────
+  // ─── French / Arabic feeds ────────────────────────────────────────────────
+  // Items are language-detected and matched against each profile's
+  // French/Arabic keyword lists; titles are translated before clustering.
+  // Domains are left to the English editions for GDELT/backtest mapping.
 
   {
-    name: 'Sudan Tribune',
-    url: 'https://sudantribune.net/feed/',
-    category: 'regional',
-    reliability: 'medium',
-  },
-  {
-    name: 'Dabanga Radio',
-    url: 'https://www.dabangasudan.org/en/feed',
-    category: 'regional',
-    reliability: 'medium',
-  },
-
-  // ─── South Sudan local feeds ──────────────────────────────────────────────
-
-  {
-    name: 'Radio Tamazuj',
-    url: 'https://radiotamazuj.org/en/rss',
-    category: 'local',
+    name: 'France 24 Afrique',
+    url: 'https://www.france24.com/fr/afrique/rss',
+    category: 'international',
     reliability: 'high',
+    tier: 'tier1',
+    domains: [],
   },
   {
-    name: 'Eye Radio',
-    url: 'https://eyeradio.org/feed/',
-    category: 'local',
-    reliability: 'medium',
-  },
-  {
-    name: 'Nyamilepedia',
-    url: 'https://nyamile.com/feed/',
-    category: 'local',
-    reliability: 'medium',
-  },
-
-  // ─── Google News: South Sudan ─────────────────────────────────────────────
-
-  {
-    name: 'Google News',
-    url: 'https://news.google.com/rss/search?q=%22south+sudan%22&hl=en-US&gl=US&ceid=US:en',
-    category: 'general',
-    reliability: 'aggregator',
-  },
-  {
-    name: 'Reuters',
-    url: 'https://news.google.com/rss/search?q=%22south+sudan%22+site:reuters.com&hl=en-US&gl=US&ceid=US:en',
+    name: 'RFI Afrique',
+    url: 'https://www.rfi.fr/fr/afrique/rss',
     category: 'international',
     reliability: 'high',
+    tier: 'tier1',
+    domains: ['rfi.fr'],
   },
   {
-    name: 'VOA Africa',
-    url: 'https://news.google.com/rss/search?q=%22south+sudan%22+site:voanews.com&hl=en-US&gl=US&ceid=US:en',
+    name: 'BBC Arabic',
+    url: 'https://feeds.bbci.co.uk/arabic/rss.xml',
     category: 'international',
     reliability: 'high',
+    tier: 'tier1',
+    domains: [],
+    relevanceThreshold: 0.6, // Middle East-heavy all-news feed
   },
 
-  // ─── Google News: Sudan ───────────────────────────────────────────────────
+  // ─── Regional feeds ───────────────────────────────────────────────────────
 
   {
-    name: 'Google News Sudan',
-    url: 'https://news.google.com/rss/search?q=sudan+war+OR+sudan+conflict+OR+khartoum+OR+RSF+OR+darfur+-"south+sudan"&hl=en-US&gl=US&ceid=US:en',
-    category: 'general',
-    reliability: 'aggregator',
+    name: 'Sudan Tribune',
+    url: 'https://sudantribune.net/feed/',
+    category: 'regional',
+    reliability: 'medium',
+    tier: 'tier2',
+    domains: ['sudantribune.net', 'sudantribune.com'],
   },
+
+  // ─── Humanitarian reporting (ReliefWeb API) ───────────────────────────────
+  // Situation reports for the monitored countries. OCHA gets its own source
+  // so its reports keep their provenance; ReliefWeb covers everyone else.
+
   {
-    name: 'Reuters Sudan',
-    url: 'https://news.google.com/rss/search?q=sudan+site:reuters.com+-"south+sudan"&hl=en-US&gl=US&ceid=US:en',
-    category: 'international',
+    name: 'OCHA',
+    url: 'https://api.reliefweb.int/v2/reports',
+    type: 'reliefweb',
+    config: { sources: ['OCHA'] },
+    category: 'humanitarian',
     reliability: 'high',
+    tier: 'humanitarian',
+    relevanceProfile: 'dedicated',
+    domains: ['unocha.org'],
+  },
+  {
+    name: 'ReliefWeb',
+    url: 'https://api.reliefweb.int/v2/reports',
+    type: 'reliefweb',
+    config: {
+      excludeSources: ['OCHA'],
+      formats: ['Situation Report', 'News and Press Release', 'Assessment', 'Analysis'],
+    },
+    category: 'humanitarian',
+    reliability: 'high',
+    tier: 'humanitarian',
+    relevanceProfile: 'dedicated',
+    domains: ['reliefweb.int'],
   },
+
+  // ─── Reference only ───────────────────────────────────────────────────────
+  // Disabled by default; keeps AP's domain mapped for GDELT backtests.
+
   {
-    name: 'VOA Sudan',
-    url: 'https://news.google.com/rss/search?q=sudan+site:voanews.com+-"south+sudan"&hl=en-US&gl=US&ceid=US:en',
+    name: 'AP News',
+    url: 'https://news.google.com/rss/search?q=%22south+sudan%22+OR+sudan+site:apnews.com&hl=en-US&gl=US&ceid=US:en',
     category: 'international',
     reliability: 'high',
+    tier: 'tier1',
+    domains: ['apnews.com'],
+    enabled: false,
   },
 ];
 
-module.exports = sources;
+const SEED_SOURCES = [...REGIONAL_SEEDS, ...getDefaultFeeds()];
+
+// Validate admin input for a source. With `partial`, only provided fields
+// are checked (PATCH). Returns an array of error strings.
+function validateSource(input, { partial = false } = {}) {
+  const errors = [];
+  const has = (field) => input[field] !== undefined;
+
+  if (!partial || has('name')) {
+    if (typeof input.name !== 'string' || !input.name.trim()) errors.push('name is required');
+  }
+  if (!partial || has('url')) {
+    try {
+      const u = new URL(input.url);
+      if (!['http:', 'https:'].includes(u.protocol)) errors.push('url must be http(s)');
+    } catch {
+      errors.push('url is invalid');
+    }
+  }
+  if (!partial || has('category')) {
+    if (!SOURCE_CATEGORIES.includes(input.category)) errors.push(`category must be one of: ${SOURCE_CATEGORIES.join(', ')}`);
+  }
+  if (!partial || has('reliability')) {
+    if (!SOURCE_RELIABILITY.includes(input.reliability)) errors.push(`reliability must be one of: ${SOURCE_RELIABILITY.join(', ')}`);
+  }
+  if (!partial || has('tier')) {
+    if (!SOURCE_TIERS.includes(input.tier)) errors.push(`tier must be one of: ${SOURCE_TIERS.join(', ')}`);
+  }
+  if (has('relevanceProfile') && !RELEVANCE_PROFILES.includes(input.relevanceProfile)) {
+    errors.push(`relevanceProfile must be one of: ${RELEVANCE_PROFILES.join(', ')}`);
+  }
+  if (has('relevanceThreshold') && input.relevanceThreshold !== null
+    && (typeof input.relevanceThreshold !== 'number' || input.relevanceThreshold < 0 || input.relevanceThreshold > 1)) {
+    errors.push('relevanceThreshold must be a number between 0 and 1 (or null for the default)');
+  }
+  if (has('domains') && (!Array.isArray(input.domains) || input.domains.some((d) => typeof d !== 'string'))) {
+    errors.push('domains must be an array of strings');
+  }
+  if (has('enabled') && typeof input.enabled !== 'boolean') errors.push('enabled must be a boolean');
+  if (has('type') && !SOURCE_TYPES.includes(input.type)) {
+    errors.push(`type must be one of: ${SOURCE_TYPES.join(', ')}`);
+  }
+  if (has('config') && (typeof input.config !== 'object' || input.config === null || Array.isArray(input.config))) {
+    errors.push('config must be an object');
+  } else if (REQUIRED_CONFIG[input.type]) {
+    for (const key of REQUIRED_CONFIG[input.type]) {
+      const value = key.split('.').reduce((v, k) => (v == null ? v : v[k]), input.config || {});
+      if (typeof value !== 'string' || !value.trim()) errors.push(`${input.type} sources need config.${key}`);
+    }
+  }
+  if (has('country') && input.country !== null && input.country !== '') {
+    const ids = getCountryProfiles().map((p) => p.id);
+    if (!ids.includes(input.country)) errors.push(`country must be one of: ${ids.join(', ')}`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  SEED_SOURCES, SOURCE_CATEGORIES, SOURCE_RELIABILITY, SOURCE_TIERS, RELEVANCE_PROFILES, SOURCE_TYPES,
+  validateSource,
+};
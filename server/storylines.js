@@ -0,0 +1,180 @@
+// Storylines: long-running stories above clusters and events.
+//
+// A cluster covers a few days of coverage; a siege or a drawn-out crisis
+// shows up as dozens of clusters, each with its own event. After every
+// extraction pass, linkStorylines() attaches each new event to the
+// storyline of a related earlier (or later) event, using the same test the
+// digest uses to bundle escalations (digest.js, groupRelatedBundles):
+//   - same country
+//   - overlapping regions (both events must name at least one)
+//   - a shared actor, or the same event subtype
+// and the two events at most MAX_GAP_DAYS apart. An event that matches
+// nothing starts a storyline of its own. Links are stored on the event row
+// (events.storyline_id), so storyline IDs are stable once assigned.
+
+const crypto = require('crypto');
+const { getEventsForStorylines, setEventStorylines, getStorylineEvents, getStorylineIds } = require('./db');
+const { regionsOverlap, hasSharedActors, collapseRegions } = require('./digest');
+
+const MAX_GAP_DAYS = 14;      // Longest quiet spell a storyline survives
+const WINDOW_DAYS = 120;      // Events considered when linking
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function safeJSON(s) {
+  try { return JSON.parse(s || '[]'); } catch { return []; }
+}
+
+function eventTime(row) {
+  return Date.parse(row.published_at) || Date.parse(`${(row.extracted_at || '').replace(' ', 'T')}Z`) || 0;
+}
+
+function toLinkable(row) {
+  return {
+    id: row.id,
+    clusterHash: row.cluster_hash,
+    eventIndex: row.event_index || 0,
+    country: (row.country || '').toLowerCase(),
+    regions: safeJSON(row.regions),
+    actors: safeJSON(row.actors_normalized || row.actors),
+    subtype: row.event_subtype || null,
+    time: eventTime(row),
+    storylineId: row.storyline_id,
+  };
+}
+
+function related(a, b) {
+  if (a.country !== b.country) return false;
+  if (a.regions.length === 0 || b.regions.length === 0) return false;
+  if (Math.abs(a.time - b.time) > MAX_GAP_DAYS * DAY_MS) return false;
+  if (!regionsOverlap(a.regions, b.regions)) return false;
+  return hasSharedActors(a.actors, b.actors) || (a.subtype != null && a.subtype === b.subtype);
+}
+
+// Named after the event that started it (a story's first event keeps
+// the name storylines had before stories could hold several)
+function newStorylineId(event) {
+  const key = event.eventIndex ? `${event.clusterHash}:${event.eventIndex}` : event.clusterHash;
+  return crypto.createHash('md5').update(`storyline:${key}`).digest('hex').slice(0, 12);
+}
+
+// ─── Linking ────────────────────────────────────────────────────
+
+// Give every unlinked event a storyline. Events are visited oldest first;
+// each joins the storyline with the most related events (ties: the most
+// recently active, then the lower ID). Returns { linked, started }.
+function linkStorylines() {
+  const events = getEventsForStorylines(WINDOW_DAYS)
+    .map(toLinkable)
+    .sort((a, b) => a.time - b.time || a.id - b.id);
+
+  const storylines = new Map(); // storyline ID → { country, events, last }
+  const add = (storylineId, event) => {
+    if (!storylines.has(storylineId)) storylines.set(storylineId, { country: event.country, events: [], last: 0 });
+    const storyline = storylines.get(storylineId);
+    storyline.events.push(event);
+    storyline.last = Math.max(storyline.last, event.time);
+  };
+  for (const e of events) if (e.storylineId) add(e.storylineId, e);
+
+  const links = [];
+  let started = 0;
+  for (const event of events) {
+    if (event.storylineId) continue;
+
+    let best = null;
+    for (const [id, storyline] of storylines) {
+      if (storyline.country !== event.country) continue;
+      const matches = storyline.events.filter((other) => related(event, other)).length;
+      if (matches === 0) continue;
+      if (!best
+        || matches > best.matches
+        || (matches === best.matches && storyline.last > best.last)
+        || (matches === best.matches && storyline.last === best.last && id < best.id)) {
+        best = { id, matches, last: storyline.last };
+      }
+    }
+
+    const storylineId = best ? best.id : newStorylineId(event);
+    if (!best) started++;
+    event.storylineId = storylineId;
+    add(storylineId, event);
+    links.push({ id: event.id, storylineId });
+  }
+
+  setEventStorylines(links);
+  if (links.length > 0) {
+    console.log(`Storylines: linked ${links.length} events (${started} new storylines)`);
+  }
+  return { linked: links.length, started };
+}
+
+// ─── Reading ────────────────────────────────────────────────────
+
+// Most frequent values first
+function ranked(lists, limit) {
+  const counts = new Map();
+  for (const list of lists) {
+    for (const value of new Set(list)) counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([value]) => value);
+}
+
+function describe(storylineId, rows) {
+  const regions = ranked(rows.map((r) => safeJSON(r.regions)), 4);
+  const country = rows[0].country;
+  return {
+    id: storylineId,
+    label: `${country}${regions.length ? ' — ' + collapseRegions(regions).join(', ') : ''}`,
+    country,
+    regions,
+    actors: ranked(rows.map((r) => safeJSON(r.actors_normalized || r.actors)), 6),
+    subtypes: ranked(rows.map((r) => (r.event_subtype ? [r.event_subtype] : [])), 4),
+    peakSeverity: Math.max(...rows.map((r) => r.severity || 0)),
+    eventCount: rows.length,
+    firstDate: rows[0].published_at,
+    lastDate: rows[rows.length - 1].published_at,
+  };
+}
+
+// A storyline with its events grouped by day, oldest first. Null if unknown.
+function getStoryline(storylineId) {
+  const rows = getStorylineEvents(storylineId);
+  if (rows.length === 0) return null;
+
+  const days = new Map();
+  for (const r of rows) {
+    const date = (r.published_at || r.extracted_at || '').slice(0, 10);
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push({
+      id: r.id,
+      storyId: r.cluster_hash,
+      summary: r.summary,
+      severity: r.severity,
+      eventType: r.event_type,
+      eventSubtype: r.event_subtype,
+      regions: safeJSON(r.regions),
+      actors: safeJSON(r.actors_normalized || r.actors),
+      verificationStatus: r.verification_status,
+      sourceCount: safeJSON(r.sources).length || 1,
+      independentSourceCount: r.independent_source_count,
+      primaryUrl: r.primary_url,
+      primaryTitle: r.primary_title,
+      publishedAt: r.published_at,
+    });
+  }
+
+  return {
+    ...describe(storylineId, rows),
+    timeline: [...days.entries()].map(([date, events]) => ({ date, events })),
+  };
+}
+
+// Recently active storylines of two or more events, without their timelines
+function listStorylines({ limit = 20, country } = {}) {
+  return getStorylineIds({ limit, country }).map((id) => describe(id, getStorylineEvents(id)));
+}
+
+module.exports = { linkStorylines, getStoryline, listStorylines };
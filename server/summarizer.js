@@ -3,6 +3,8 @@
 // Rate limit: Groq free tier = 30 RPM. We pace requests with delays + retry on 429.
 
 const Groq = require('groq-sdk');
+const { LANGUAGE_NAMES } = require('./language');
+const { getArticleText } = require('./archive');
 
 let groqClient = null;
 
@@ -10,6 +12,12 @@ let groqClient = null;
 const REQUEST_DELAY_MS = 3000; // 3s between requests = 20 RPM
 const MAX_AI_SUMMARIES = 15; // Only AI-summarize top 15 clusters, rest get extractive
 const MAX_RETRIES = 3;
+const TRANSLATION_BATCH = 10; // articles per translation request
+const MAX_TRANSLATIONS = 40; // per cycle; the rest wait for the next one
+// Archived full text sent to the model (chars) — keeps prompts inside Groq's token limits
+const PRIMARY_TEXT_CHARS = 6000;
+const SUPPORTING_TEXT_CHARS = 1200;
+const FOLLOWUP_TEXT_CHARS = 3000;
 
 function initGroq(apiKey) {
   if (apiKey) {
@@ -76,12 +84,15 @@ async function summarizeCluster(cluster) {
   }
 }
 
+// Prefers English text: translations of French/Arabic articles, when present
 function extractiveSummary(cluster) {
+  const text = (a) => a.translatedDescription || a.description || '';
   const best = cluster.articles
-    .filter((a) => a.description && a.description.length > 50)
-    .sort((a, b) => b.description.length - a.description.length)[0];
+    .filter((a) => text(a).length > 50)
+    .sort((a, b) => text(b).length - text(a).length)[0];
 
-  return best?.description || cluster.primaryArticle.description || cluster.primaryArticle.title;
+  const primary = cluster.primaryArticle;
+  return (best && text(best)) || text(primary) || primary.translatedTitle || primary.title;
 }
 
 async function summarizeClusters(clusters) {
@@ -112,6 +123,86 @@ async function summarizeClusters(clusters) {
   return results;
 }
 
+// ─── Translation (French / Arabic articles) ─────────────────────
+// Titles and descriptions are translated to English so clustering can
+// match them against English coverage of the same story. Without Groq
+// (or when a batch fails) articles keep their original text.
+
+function parseTranslations(text) {
+  let jsonStr = text;
+  const fenceMatch = jsonStr.match(/```(?:json)?\s*\n?([\s\S]*?)\n?\s*```/);
+  if (fenceMatch) jsonStr = fenceMatch[1];
+  const data = JSON.parse(jsonStr.trim());
+  return Array.isArray(data.translations) ? data.translations : [];
+}
+
+async function translateBatch(batch) {
+  const input = batch.map((a, i) => ({
+    id: i + 1,
+    language: LANGUAGE_NAMES[a.language] || a.language,
+    title: a.title,
+    description: a.description || '',
+  }));
+
+  const response = await callGroqWithRetry({
+    model: 'llama-3.3-70b-versatile',
+    messages: [
+      {
+        role: 'system',
+        content: `You translate news headlines and snippets into English for a Horn of Africa news monitor. Translate faithfully — keep names, places, numbers and attributions; do not summarize or add anything. Transliterate Arabic names the way international English-language media spell them (e.g. Hemedti, El Fasher, Abdel Fattah al-Burhan).
+
+Respond with ONLY a JSON object: {"translations": [{"id": 1, "title": "...", "description": "..."}]} — one entry per input item, same ids.`,
+      },
+      { role: 'user', content: JSON.stringify(input) },
+    ],
+    max_tokens: 2500,
+    temperature: 0.1,
+  });
+
+  const byId = new Map(parseTranslations(response.choices[0]?.message?.content?.trim() || '{}').map((t) => [t.id, t]));
+  const results = [];
+  batch.forEach((article, i) => {
+    const t = byId.get(i + 1);
+    if (!t || typeof t.title !== 'string' || !t.title.trim()) return;
+    results.push({
+      url: article.url,
+      title: t.title.trim(),
+      description: typeof t.description === 'string' ? t.description.trim() : '',
+    });
+  });
+  return results;
+}
+
+// Translate non-English articles that don't have a translation yet.
+// Sets translatedTitle/translatedDescription on the articles in place and
+// returns [{ url, title, description }] for the caller to persist.
+async function translateArticles(articles) {
+  const pending = articles.filter((a) => a.language && a.language !== 'en' && !a.translatedTitle);
+  if (pending.length === 0 || !groqClient) return [];
+
+  const todo = pending.slice(0, MAX_TRANSLATIONS);
+  console.log(`Translating ${todo.length} of ${pending.length} non-English articles...`);
+  const byUrl = new Map(todo.map((a) => [a.url, a]));
+  const translated = [];
+
+  for (let i = 0; i < todo.length; i += TRANSLATION_BATCH) {
+    if (i > 0) await sleep(REQUEST_DELAY_MS);
+    try {
+      for (const t of await translateBatch(todo.slice(i, i + TRANSLATION_BATCH))) {
+        const article = byUrl.get(t.url);
+        article.translatedTitle = t.title;
+        article.translatedDescription = t.description || null;
+        translated.push(t);
+      }
+    } catch (err) {
+      console.warn(`Translation batch failed: ${err.message}`);
+    }
+  }
+
+  console.log(`Translated ${translated.length}/${todo.length} articles`);
+  return translated;
+}
+
 // ─── Deep structured summary (for story detail view) ──────────
 
 async function deepSummarizeCluster(cluster) {
@@ -122,23 +213,26 @@ async function deepSummarizeCluster(cluster) {
   try {
     const articles = cluster.articles.slice(0, 6);
 
-    // Fetch full article text for the primary article (has names, quotes, details not in RSS)
-    let fullText = '';
-    try {
-      const { fetchArticleText } = require('./fetcher');
-      fullText = await fetchArticleText(cluster.primaryArticle.url);
-      if (fullText) {
-        console.log(`  Fetched ${fullText.length} chars of article text from ${cluster.primaryArticle.url.slice(0, 60)}...`);
+    // Full text from the archive (has names, quotes, details not in RSS).
+    // The primary article is archived on the spot if the background step
+    // hasn't reached it; the others are used only if already archived.
+    const fullTexts = await Promise.all(articles.map(async (a, i) => {
+      try {
+        const text = await getArticleText(a.url, { fetchIfMissing: i === 0 });
+        return text.slice(0, i === 0 ? PRIMARY_TEXT_CHARS : SUPPORTING_TEXT_CHARS);
+      } catch (err) {
+        console.debug(`  Could not get article text: ${err.message}`);
+        return '';
       }
-    } catch (err) {
-      console.debug(`  Could not fetch article text: ${err.message}`);
-    }
+    }));
+    const withText = fullTexts.filter(Boolean).length;
+    if (withText) console.log(`  Using archived full text for ${withText}/${articles.length} articles`);
 
     const articlesText = articles
       .map((a, i) => {
         let text = `Article ${i + 1} [${a.source}]:\nTitle: ${a.title}\n${a.description}`;
-        if (i === 0 && fullText) {
-          text += `\n\nFull article text:\n${fullText}`;
+        if (fullTexts[i]) {
+          text += `\n\nFull article text:\n${fullTexts[i]}`;
         }
         return text;
       })
@@ -169,7 +263,8 @@ Rules:
 - Synthesize across sources — don't just repeat each article
 - Be factual and journalistic — no editorializing
 - Include specific details: names, dates, numbers, locations, quotes when available
-- Never say "the article discusses" or "an artist" — use actual names from the articles`,
+- Never say "the article discusses" or "an artist" — use actual names from the articles
+- Some articles may be in French or Arabic — always write in English`,
         },
         {
           role: 'user',
@@ -291,6 +386,12 @@ async function answerFollowUp(cluster, question, deepSummary) {
       .map((a) => `[${a.source}] ${a.title}\n${a.description}`)
       .join('\n\n');
 
+    // Archived full text of the primary article, if any (no fetch here)
+    const fullText = await getArticleText(cluster.primaryArticle.url, { fetchIfMissing: false });
+    if (fullText) {
+      context += `\n\n--- Full text: ${cluster.primaryArticle.source} ---\n${fullText.slice(0, FOLLOWUP_TEXT_CHARS)}`;
+    }
+
     // Include deep summary for richer context (has synthesized names, details)
     if (deepSummary && deepSummary.sections) {
       context += '\n\n--- Analysis ---\n';
@@ -328,6 +429,7 @@ module.exports = {
   extractiveSummary,
   summarizeClusters,
   summarizeCluster,
+  translateArticles,
   deepSummarizeCluster,
   answerFollowUp,
 };
@@ -0,0 +1,91 @@
+// Near-duplicate (syndicated) article detection — no AI needed.
+//
+// Wire copy travels: one Reuters or AFP report shows up through Google
+// News, the wire's own feed and every outlet that reprints it. Counted
+// per source, that looks like several outlets confirming a story when it
+// is one report. Within a cluster, articles whose text is a near-copy of
+// another's are grouped; each group is one independent report.
+//
+// Near-copy test: Jaccard resemblance of word shingles (SHINGLE_WORDS-word
+// sequences) over title + description, at least DUPLICATE_THRESHOLD. The
+// " - Outlet" suffix Google News appends to titles is dropped first.
+// Texts too short to shingle only match when identical.
+//
+// The report a group is credited to (its original) is the earliest
+// article, preferring direct sources over aggregators.
+
+const SHINGLE_WORDS = 3;
+const DUPLICATE_THRESHOLD = 0.6;
+
+function normalizeText(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function articleShingles(article) {
+  const title = (article.title || '').replace(/\s+[-–|]\s+[^-–|]{2,40}$/, '');
+  const words = normalizeText(`${title} ${article.description || ''}`);
+  if (words.length < SHINGLE_WORDS) return new Set([words.join(' ')]);
+  const shingles = new Set();
+  for (let i = 0; i <= words.length - SHINGLE_WORDS; i++) {
+    shingles.add(words.slice(i, i + SHINGLE_WORDS).join(' '));
+  }
+  return shingles;
+}
+
+function resemblance(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const s of a) if (b.has(s)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+// Direct sources first, then earliest, then URL (stable)
+function compareOriginals(a, b) {
+  const aggregator = (x) => (x.sourceReliability === 'aggregator' ? 1 : 0);
+  return aggregator(a) - aggregator(b)
+    || (new Date(a.publishedAt) - new Date(b.publishedAt) || 0)
+    || (a.url < b.url ? -1 : a.url > b.url ? 1 : 0);
+}
+
+// Groups of near-duplicate articles (single articles are groups of one),
+// each sorted with its original first
+function groupNearDuplicates(articles) {
+  const shingles = articles.map(articleShingles);
+  const parent = articles.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < articles.length; i++) {
+    for (let j = i + 1; j < articles.length; j++) {
+      if (find(i) === find(j)) continue;
+      if (resemblance(shingles[i], shingles[j]) >= DUPLICATE_THRESHOLD) parent[find(j)] = find(i);
+    }
+  }
+
+  const groups = new Map();
+  articles.forEach((a, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(a);
+  });
+  return [...groups.values()].map((group) => group.sort(compareOriginals));
+}
+
+// Returns { syndicatedFrom: Map(copy URL → original URL), independentSourceCount }.
+// Independent sources are the distinct outlets behind the groups' originals:
+// two distinct reports from one outlet still count once.
+function analyzeSyndication(articles) {
+  const syndicatedFrom = new Map();
+  const originators = new Set();
+  for (const [original, ...copies] of groupNearDuplicates(articles)) {
+    originators.add(original.source);
+    for (const copy of copies) syndicatedFrom.set(copy.url, original.url);
+  }
+  return { syndicatedFrom, independentSourceCount: originators.size };
+}
+
+module.exports = { analyzeSyndication, groupNearDuplicates };